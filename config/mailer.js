@@ -0,0 +1,62 @@
+const fs = require('fs');
+const path = require('path');
+
+// Outgoing email goes through one swappable transport.
+// Outside production the default logs who was mailed (never the body: it carries reset and
+// verification links); MAIL_TRANSPORT=file writes each message as JSON into MAIL_DIR.
+// Production needs MAIL_TRANSPORT=file or a real provider plugged in with
+// setTransport(async (message) => { ... }); the server refuses to start without one.
+
+const consoleTransport = async (message) => {
+    console.log(`[mail] To: ${message.to} | Subject: ${message.subject} (body not logged)`);
+};
+
+const fileTransport = (dir) => async (message) => {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9@.]/gi, '_')}.json`;
+    await fs.promises.writeFile(path.join(dir, fileName), JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+};
+
+const defaultTransport = () => {
+    if (process.env.MAIL_TRANSPORT === 'file') {
+        return fileTransport(process.env.MAIL_DIR || path.join(process.cwd(), 'mail-outbox'));
+    }
+    return process.env.NODE_ENV === 'production' ? null : consoleTransport;
+};
+
+// Resolved on first use, once .env has been loaded
+let transport;
+const getTransport = () => {
+    if (transport === undefined) transport = defaultTransport();
+    return transport;
+};
+
+/**
+ * Replace the transport (e.g. an SMTP/API client, or a capturing stub in tests).
+ * @param {(message: { from: string, to: string, subject: string, text: string }) => Promise<void>} fn
+ */
+const setTransport = (fn) => {
+    transport = fn;
+};
+
+/**
+ * Throw when no transport can deliver mail (production without MAIL_TRANSPORT or setTransport).
+ * Called at startup so a misconfigured server fails loudly instead of dropping every email.
+ */
+const assertMailTransport = () => {
+    if (!getTransport()) {
+        throw new Error('No mail transport configured. Set MAIL_TRANSPORT=file or call setTransport() before starting the server.');
+    }
+};
+
+/**
+ * Send one plain-text email.
+ * @param {{ to: string, subject: string, text: string }} message
+ */
+const sendMail = async ({ to, subject, text }) => {
+    assertMailTransport();
+    const from = process.env.MAIL_FROM || 'no-reply@rms.local';
+    await getTransport()({ from, to, subject, text });
+};
+
+module.exports = { sendMail, setTransport, assertMailTransport };
@@ -0,0 +1,110 @@
+// Single source of truth for who may do what.
+// Routes are guarded by permission names (see middleware/authorize.js); roles are just named bundles of them.
+// A vendor can re-define the Server/Kitchen/Billing bundles and add custom roles (models/Role.js).
+
+const PERMISSIONS = {
+    // Menu
+    'menu.view': 'See the menu',
+    'menu.create': 'Add menu items',
+    'menu.edit': 'Edit menu item details (name, category, description, images, modifiers, recipe)',
+    'menu.edit_price': 'Change menu prices and tax settings',
+    'menu.edit_stock': 'Change stock and availability, see low-stock items',
+    'menu.delete': 'Delete menu items',
+    'menu.import': 'Bulk import menu items',
+
+    // Orders
+    'order.view_kitchen': 'See the kitchen feed of open orders',
+    'order.view': 'See open orders, bills and invoices',
+    'order.create': 'Take orders and add items',
+    'order.status.kitchen': 'Send orders to the kitchen',
+    'order.status.ready': 'Mark orders Ready (also receives new-order alerts)',
+    'order.status.served': 'Mark orders Served',
+    'order.status.billed': 'Mark orders Billed',
+    'order.status.completed': 'Close (complete) paid orders',
+    'order.status.reopen': 'Change the status of a Completed order',
+    'order.move_table': 'Move orders between tables',
+    'order.bill': 'Generate bills',
+    'order.payment': 'Record payments',
+    'order.discount': 'Apply coupons and manual discounts (manual discounts are capped per role)',
+    'order.void': 'Void items (needs approval once the kitchen started on them)',
+    'order.void.approve': 'Void items without approval and decide void requests',
+    'order.cancel': 'Cancel orders the kitchen has not started on',
+    'order.cancel.any': 'Cancel orders at any stage before billing',
+    'order.refund': 'Refund billed orders',
+    'order.history': 'See completed orders and sales totals',
+    'order.reconciliation': 'See your own end-of-shift tender reconciliation',
+    'order.reconciliation.all': 'See tender reconciliation for every user',
+
+    // Tables
+    'table.view': 'See the floor plan',
+    'table.manage': 'Add, edit and delete tables',
+    'table.status': 'Set table status (Free, Reserved, Cleaning)',
+    'table.merge': 'Merge and split tables',
+
+    // Kitchen stations
+    'station.manage': 'Add kitchen stations and route menu categories and items to them',
+
+    // Shifts and cash
+    'shift.manage': 'Plan shift schedules and correct clock-in/out times',
+    'shift.report': 'See attendance, hours worked, late arrivals and cash drawer history',
+    'cash.drawer': 'Open and close a cash drawer during your shift',
+
+    // Inventory
+    'inventory.view': 'See ingredients and stock levels',
+    'inventory.manage': 'Add, edit and delete ingredients',
+    'inventory.record': 'Record purchases and wastage',
+    'inventory.report': 'See inventory transactions and consumption reports',
+
+    // Back office
+    'vendor.settings': 'Edit the shop profile and settings (time zone, tax defaults, invoice prefix, receipt)',
+    'discount.manage': 'Manage discount rules and coupons',
+    'report.view': 'See sales analytics',
+    'export.sales': 'Export orders and daily sales',
+    'export.menu': 'Export the menu',
+    'staff.manage': 'Approve, suspend and remove staff, manage their sessions and PINs',
+    'terminal.manage': 'Authorise and revoke shared terminals',
+    'role.manage': 'Manage roles and permissions',
+    'organisation.manage': 'Open outlets, push the master menu and assign staff across outlets (organisation owner only)',
+    'audit.view': 'See the audit log'
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+// The shop owner's role. It always holds every permission and cannot be edited.
+const OWNER_ROLE = 'Vendor';
+
+// Default bundles. manualDiscountCap is the largest manual discount, as a % of the order.
+const BUILT_IN_ROLES = {
+    Vendor: {
+        description: 'Shop owner',
+        permissions: ALL_PERMISSIONS,
+        manualDiscountCap: 100
+    },
+    Server: {
+        description: 'Takes orders and serves tables',
+        permissions: [
+            'menu.view', 'order.view_kitchen', 'order.view', 'order.create', 'order.status.served', 'order.move_table',
+            'order.void', 'order.cancel', 'table.view', 'table.status', 'table.merge'
+        ],
+        manualDiscountCap: 0
+    },
+    Kitchen: {
+        description: 'Prepares orders',
+        permissions: [
+            'menu.view', 'menu.edit_stock', 'order.view_kitchen', 'order.status.ready', 'table.view',
+            'inventory.view', 'inventory.record'
+        ],
+        manualDiscountCap: 0
+    },
+    Billing: {
+        description: 'Bills, takes payments and closes orders',
+        permissions: [
+            'menu.view', 'order.view_kitchen', 'order.view', 'order.status.billed', 'order.status.completed',
+            'order.move_table', 'order.bill', 'order.payment', 'order.discount', 'order.void', 'order.history',
+            'order.reconciliation', 'table.view', 'table.status', 'export.sales', 'cash.drawer'
+        ],
+        manualDiscountCap: 10
+    }
+};
+
+module.exports = { PERMISSIONS, ALL_PERMISSIONS, OWNER_ROLE, BUILT_IN_ROLES };
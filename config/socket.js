@@ -0,0 +1,125 @@
+const { Server } = require('socket.io');
+const jwt = require('jsonwebtoken');
+const KitchenStation = require('../models/KitchenStation');
+const { rolesWithPermission } = require('../utils/permissions');
+const { getLiveUser } = require('../utils/liveUser');
+
+let io = null;
+
+// Room naming helpers: every room is scoped to a single vendor (shop)
+const vendorRoom = (vendorId) => `vendor:${vendorId}`;
+const roleRoom = (vendorId, role) => `vendor:${vendorId}:role:${role}`;
+const userRoom = (userId) => `user:${userId}`;
+const sessionRoom = (sessionId) => `session:${sessionId}`;
+const stationRoom = (vendorId, stationId) => `vendor:${vendorId}:station:${stationId}`;
+
+/**
+ * Attach Socket.IO to the HTTP server.
+ * Clients authenticate with the same JWT used for the REST API, passed as
+ * `auth: { token }` in the handshake (or the `x-auth-token` header). The same session and live
+ * account checks as the REST API apply, and the role and outlet come from the live account.
+ */
+const initSocket = (server) => {
+    io = new Server(server, { cors: { origin: '*' } });
+
+    io.use(async (socket, next) => {
+        const token = socket.handshake.auth?.token || socket.handshake.headers['x-auth-token'];
+        if (!token) {
+            return next(new Error('No token, authorization denied'));
+        }
+
+        try {
+            const decoded = jwt.verify(token, process.env.JWT_SECRET);
+            if (!decoded.user || !decoded.user.vendorId) {
+                return next(new Error('Token is not linked to a Vendor'));
+            }
+            // Required here because utils/sessions needs this module to disconnect revoked sessions
+            const { isSessionActive } = require('../utils/sessions');
+            // An expired or revoked session cannot open new connections
+            if (!(await isSessionActive(decoded.sid))) {
+                return next(new Error('Session has expired or been revoked'));
+            }
+
+            const current = await getLiveUser(decoded.user.id);
+            if (!current) {
+                return next(new Error('Account no longer exists'));
+            }
+            if (current.isSuspended) {
+                return next(new Error('Account has been suspended'));
+            }
+            if (current.role !== 'Vendor' && !current.isApproved) {
+                return next(new Error('Account is pending Vendor approval'));
+            }
+            // Token claims go stale: join the rooms of the live role and an outlet the user still has
+            const vendorId = current.outletIds.includes(String(decoded.user.vendorId))
+                ? String(decoded.user.vendorId)
+                : current.vendorId;
+            socket.user = { ...decoded.user, role: current.role, vendorId };
+            socket.sessionId = decoded.sid;
+            next();
+        } catch (err) {
+            next(new Error('Token is not valid'));
+        }
+    });
+
+    io.on('connection', (socket) => {
+        const { id, role, vendorId } = socket.user;
+
+        // Each client listens on its shop, its role within the shop and its own user channel
+        socket.join(vendorRoom(vendorId));
+        socket.join(roleRoom(vendorId, role));
+        socket.join(userRoom(id));
+        socket.join(sessionRoom(socket.sessionId));
+
+        // Kitchen display screens pick their station; they then also get 'station:*' events with only its lines
+        socket.on('station:join', async (stationId, ack = () => {}) => {
+            try {
+                const station = await KitchenStation.findOne({ _id: stationId, vendorId }).select('name');
+                if (!station) return ack({ ok: false, msg: 'Station not found.' });
+
+                [...socket.rooms]
+                    .filter(room => room.startsWith(`vendor:${vendorId}:station:`))
+                    .forEach(room => socket.leave(room));
+                socket.join(stationRoom(vendorId, station._id));
+                ack({ ok: true, station: station.name });
+            } catch (err) {
+                ack({ ok: false, msg: 'Station not found.' });
+            }
+        });
+    });
+
+    return io;
+};
+
+// Emit to one or more roles of a vendor. No-op when sockets are not initialised (e.g. scripts).
+const emitToRoles = (vendorId, roles, event, payload) => {
+    if (!io) return;
+    const rooms = roles.map(role => roleRoom(vendorId, role));
+    io.to(rooms).emit(event, payload);
+};
+
+// Emit to every role of a vendor that holds a permission, including custom roles
+const emitToPermission = (vendorId, permission, event, payload) => {
+    if (!io) return;
+    rolesWithPermission(vendorId, permission)
+        .then(roles => emitToRoles(vendorId, roles, event, payload))
+        .catch(err => console.error(`Socket emit ${event} failed:`, err.message));
+};
+
+const emitToStation = (vendorId, stationId, event, payload) => {
+    if (!io) return;
+    io.to(stationRoom(vendorId, stationId)).emit(event, payload);
+};
+
+const emitToUser = (userId, event, payload) => {
+    if (!io || !userId) return;
+    io.to(userRoom(userId)).emit(event, payload);
+};
+
+// Drop live connections of revoked sessions
+const disconnectSessions = (sessionIds) => {
+    if (!io || sessionIds.length === 0) return;
+    io.in(sessionIds.map(sessionRoom)).disconnectSockets(true);
+};
+
+module.exports = { initSocket, emitToRoles, emitToPermission, emitToStation, emitToUser, disconnectSessions };
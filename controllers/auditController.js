@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { buildDateRange, isValidTimeZone } = require('../utils/dateRange');
+const { getVendorTimeZone } = require('../utils/vendorSettings');
+
+// The audit log is strictly filtered by the logged-in user's vendorId. Entries are written by
+// utils/audit.recordAudit from the controllers that change data; this controller only reads them.
+
+// Helper: Validate MongoDB ObjectId
+const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// @desc    Search the audit log, newest first
+// @route   GET /api/audit?entityType=&entityId=&userId=&action=&startDate=&endDate=&tz=&page=&limit=
+// @access  Private (audit.view - Vendor by default)
+exports.getAuditLog = async (req, res) => {
+    const { entityType, entityId, userId, action, startDate, endDate, tz } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+    const query = { vendorId: req.user.vendorId };
+    if (entityType) query.entityType = entityType;
+    if (entityId) {
+        if (!isValidObjectId(entityId)) {
+            return res.status(400).json({ success: false, msg: 'Invalid entity ID.' });
+        }
+        query.entityId = entityId;
+    }
+    if (userId) {
+        if (!isValidObjectId(userId)) {
+            return res.status(400).json({ success: false, msg: 'Invalid user ID.' });
+        }
+        query.actorId = userId;
+    }
+    // 'order' matches every order action (order.status, order.void, ...)
+    if (action) query.action = action.includes('.') ? action : { $regex: `^${action.replace(/[^\w]/g, '')}\\.` };
+    if (tz && !isValidTimeZone(tz)) {
+        return res.status(400).json({ success: false, msg: `Unknown time zone '${tz}'.` });
+    }
+
+    try {
+        const dateRange = buildDateRange(startDate, endDate, tz || await getVendorTimeZone(req.user.vendorId));
+        if (dateRange) query.createdAt = dateRange;
+
+        const [entries, total] = await Promise.all([
+            AuditLog.find(query)
+                .populate('actorId', 'username')
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            AuditLog.countDocuments(query)
+        ]);
+
+        res.json({ success: true, page, limit, total, entries });
+    } catch (err) {
+        console.error("Get Audit Log Error:", err.message);
+        res.status(500).json({ success: false, msg: 'Server error retrieving audit log' });
+    }
+};
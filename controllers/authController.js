@@ -1,51 +1,102 @@
 const User = require('../models/User');
 const Vendor = require('../models/Vendor');
+const Session = require('../models/Session');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const mongoose = require('mongoose');
+const { sendMail } = require('../config/mailer');
+const { getRole } = require('../utils/permissions');
+const { newSecret, hashSecret } = require('../utils/secrets');
+const { recordAudit, snapshot } = require('../utils/audit');
+const { getUserOutletIds } = require('../utils/organisations');
+const { redeemInvite, releaseInvite, recordInviteUse } = require('../utils/invites');
+const {
+    ACCESS_TOKEN_TTL_SECONDS, PIN_SESSION_TTL_SECONDS, signAccessToken, createSession, rotateSession, revokeSessions
+} = require('../utils/sessions');
+
+// PIN login lockout: this many wrong PINs in a row locks the account's PIN for PIN_LOCK_MINUTES
+const PIN_MAX_ATTEMPTS = 5;
+const PIN_LOCK_MINUTES = 15;
+const PIN_FORMAT = /^\d{4,6}$/;
+
+// Lifetimes of the single-use links sent by email
+const EMAIL_VERIFICATION_TTL_HOURS = 24;
+const PASSWORD_RESET_TTL_MINUTES = 60;
+const MIN_PASSWORD_LENGTH = 8;
 
 // NOTE: In a real application, ensure process.env.JWT_SECRET is set up.
 if (!process.env.JWT_SECRET) {
     process.env.JWT_SECRET = 'your_super_secret_jwt_key_for_development'; 
 }
 
-// Helper to generate JWT
-const generateToken = (user, res) => {
-    const payload = { 
+// Helper to open a session and respond with a short-lived access token plus a refresh token
+const generateToken = async (user, req, res) => {
+    const { session, refreshToken } = await createSession(user, req);
+    const token = signAccessToken(user, session._id);
+
+    // Respond with tokens and core user data
+    res.json({ 
+        token, 
+        refreshToken,
+        expiresIn: ACCESS_TOKEN_TTL_SECONDS,
         user: { 
             id: user.id, 
             role: user.role, 
-            isApproved: user.isApproved,
+            isApproved: user.isApproved, 
             vendorId: user.vendorId 
         } 
-    };
-
-    jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '1h' }, (err, token) => {
-        if (err) throw err;
-        // Respond with token and core user data
-        res.json({ 
-            token, 
-            user: { 
-                id: user.id, 
-                role: user.role, 
-                isApproved: user.isApproved, 
-                vendorId: user.vendorId 
-            } 
-        });
     });
 };
 
-// @desc    Register a new user (Vendor or staff)
+// Helper to build a link into the front end, or just show the token when APP_URL is not configured
+const accountLink = (pathName, token) => (process.env.APP_URL
+    ? `${process.env.APP_URL.replace(/\/$/, '')}${pathName}?token=${token}`
+    : `Token: ${token}`);
+
+// Helper to issue a fresh email verification token and mail it. Any earlier token stops working.
+const sendVerificationEmail = async (user) => {
+    const token = newSecret();
+    await User.updateOne({ _id: user._id }, {
+        $set: {
+            emailVerificationTokenHash: hashSecret(token),
+            emailVerificationExpires: new Date(Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000)
+        }
+    });
+
+    await sendMail({
+        to: user.email,
+        subject: 'Verify your email address',
+        text: `Hi ${user.username},\n\nPlease confirm your email address within ${EMAIL_VERIFICATION_TTL_HOURS} hours:\n${accountLink('/verify-email', token)}\n`
+    });
+};
+
+// Helper: the profile fields returned by /me
+const toProfile = (user) => ({
+    id: user.id,
+    username: user.username,
+    email: user.email,
+    isEmailVerified: user.isEmailVerified,
+    phoneNumber: user.phoneNumber,
+    role: user.role,
+    vendorId: user.vendorId,
+    isApproved: user.isApproved,
+    hasPin: Boolean(user.pinHash),
+    createdAt: user.createdAt
+});
+
+// @desc    Register a new user: a Vendor with their shop, or staff with an invite code from their shop
 // @route   POST /api/auth/register
 exports.register = async (req, res) => {
     const { 
         username, password, role, email, phoneNumber, 
         gstNumber, foodLicenseNumber, shopName,
-        vendorId // Staff must provide the Vendor ID they are joining
+        inviteCode // Staff join with a code from the shop; it decides their shop and role
     } = req.body;
 
+    // The invite use taken for this sign-up, given back if the account is not created
+    let invite = null;
+
     try {
-        if (!username || !password || !role || !email || !phoneNumber) {
+        if (!username || !password || !email || !phoneNumber || (!role && !inviteCode)) {
             return res.status(400).json({ msg: 'Missing required common fields.' });
         }
         
@@ -62,7 +113,7 @@ exports.register = async (req, res) => {
         let finalGstNumber = undefined;
         let finalFoodLicenseNumber = undefined;
 
-        if (role === 'Vendor') {
+        if (role === 'Vendor' && !inviteCode) {
             // --- VENDOR REGISTRATION ---
             // 1. Create the shop entity first
             if (!gstNumber || !foodLicenseNumber || !shopName) {
@@ -99,42 +150,66 @@ exports.register = async (req, res) => {
 
         } else {
             // --- STAFF REGISTRATION ---
-            // 1. Must provide the Vendor ID
-            if (!vendorId) {
-                return res.status(400).json({ msg: 'Staff must provide a Vendor ID to join a shop.' });
+            // 1. Must provide an invite code from the shop
+            if (!inviteCode) {
+                return res.status(400).json({ msg: 'Staff need an invite code from their shop to register. Please ask your Vendor/Owner.' });
+            }
+            // 2. Take one use of the invite (it may be expired, revoked or used up)
+            invite = await redeemInvite(inviteCode);
+            if (!invite) {
+                return res.status(400).json({ msg: 'Invite code is invalid, expired or already used. Please ask your Vendor/Owner for a new one.' });
             }
-            // 2. Validate the Vendor ID
-            const existingVendor = await Vendor.findById(vendorId);
-            if (!existingVendor) {
-                return res.status(400).json({ msg: 'Invalid Vendor ID provided. Please check with your Vendor/Owner.' });
+            // 3. The invite's role may have been deleted since it was created
+            if (!(await getRole(invite.vendorId, invite.role))) {
+                await releaseInvite(invite._id);
+                invite = null;
+                return res.status(400).json({ msg: 'The role on this invite no longer exists. Please ask your Vendor/Owner for a new one.' });
             }
             
-            finalVendorId = vendorId;
-            isApproved = false; // Staff starts as pending approval
+            finalVendorId = invite.vendorId;
+            isApproved = invite.autoApprove; // Otherwise staff starts as pending approval
             
-            // Create the staff user, linked to the Vendor ID
+            // Create the staff user, linked to the invite's shop and role
             user = new User({ 
                 username, password: hashedPassword, email, phoneNumber, 
-                role, 
+                role: invite.role, 
                 vendorId: finalVendorId, 
-                isApproved 
+                isApproved,
+                inviteId: invite._id
             });
         }
 
         await user.save();
+        if (invite) {
+            await recordInviteUse(invite._id, user._id);
+            invite = null;
+        }
+        // Nobody is logged in yet, so the new account is its own actor
+        await recordAudit(req, 'account.register', {
+            entity: user,
+            actor: { id: user.id, role: user.role, vendorId: user.vendorId }
+        });
+
+        // A mail outage must not block sign-up; the user can ask for another link
+        await sendVerificationEmail(user)
+            .catch(err => console.error('Verification email failed:', err.message));
         
-        if (user.role === 'Vendor') {
-            // Vendors log in immediately
-            generateToken(user, res);
+        if (user.isApproved) {
+            // Vendors (and staff invited with auto-approval) log in immediately
+            await generateToken(user, req, res);
         } else {
             // Staff wait for approval
+            const shop = await Vendor.findById(finalVendorId).select('name');
             res.status(201).json({ 
-                msg: `Account created for role: ${role}. Waiting for Vendor approval for shop ID: ${finalVendorId}. You will be able to log in once approved.` 
+                msg: `Account created for role: ${user.role}. Waiting for approval by ${shop?.name || 'your shop'}. You will be able to log in once approved.` 
             });
         }
 
     } catch (err) {
         console.error(err.message); 
+        if (invite) {
+            await releaseInvite(invite._id).catch(releaseErr => console.error('Invite release failed:', releaseErr.message));
+        }
         if (err.code === 11000) { 
             const field = Object.keys(err.keyPattern)[0];
             return res.status(400).json({ msg: `${field} is already in use.` });
@@ -163,11 +238,559 @@ exports.login = async (req, res) => {
         if (user.role !== 'Vendor' && !user.isApproved) {
             return res.status(403).json({ msg: 'Your account is pending Vendor approval. Please contact your shop owner.' });
         }
+        if (user.isSuspended) {
+            return res.status(403).json({ msg: 'Your account has been suspended. Please contact your shop owner.' });
+        }
+
+        await generateToken(user, req, res);
+
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+};
+
+// @desc    Exchange a refresh token for a new access token. The refresh token is rotated on every use.
+// @route   POST /api/auth/refresh
+exports.refresh = async (req, res) => {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+        return res.status(400).json({ msg: 'refreshToken is required.' });
+    }
+
+    try {
+        const rotated = await rotateSession(refreshToken, req);
+        if (!rotated) {
+            return res.status(401).json({ msg: 'Refresh token is not valid. Please log in again.' });
+        }
+
+        // Role and approval are re-read so the new access token reflects any change
+        const user = await User.findById(rotated.session.userId);
+        if (!user || user.isSuspended || (user.role !== 'Vendor' && !user.isApproved)) {
+            await revokeSessions({ _id: rotated.session._id }, { reason: 'Account no longer active' });
+            return res.status(401).json({ msg: 'Account is no longer active. Please contact your shop owner.' });
+        }
+
+        // Stay at the outlet the session switched to, unless access to it was withdrawn
+        const outletIds = await getUserOutletIds(user);
+        const vendorId = outletIds.includes(rotated.session.vendorId.toString()) ? rotated.session.vendorId : user.vendorId;
+
+        res.json({
+            token: signAccessToken(user, rotated.session._id, undefined, vendorId),
+            refreshToken: rotated.refreshToken,
+            expiresIn: ACCESS_TOKEN_TTL_SECONDS
+        });
+
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+};
+
+// @desc    Log out this device, or every device with { all: true }
+// @route   POST /api/auth/logout
+exports.logout = async (req, res) => {
+    try {
+        const filter = req.body?.all === true
+            ? { userId: req.user.id }
+            : { _id: req.sessionId, userId: req.user.id };
+
+        const count = await revokeSessions(filter, { reason: 'Logout', revokedBy: req.user.id });
+        res.json({ msg: count > 1 ? `Logged out of ${count} sessions.` : 'Logged out.' });
+
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+};
+
+// @desc    List the logged-in user's active sessions
+// @route   GET /api/auth/sessions
+exports.getSessions = async (req, res) => {
+    try {
+        const sessions = await Session.find({ userId: req.user.id, revokedAt: null, expiresAt: { $gt: new Date() } })
+            .select('-refreshTokenHash')
+            .sort({ lastUsedAt: -1 });
+
+        res.json(sessions.map(session => ({
+            ...session.toObject(),
+            isCurrent: session._id.toString() === req.sessionId
+        })));
+
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+};
+
+// @desc    Revoke one of the logged-in user's own sessions (e.g. a lost tablet)
+// @route   DELETE /api/auth/sessions/:sessionId
+exports.revokeSession = async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.sessionId)) {
+        return res.status(404).json({ msg: 'Session not found.' });
+    }
+
+    try {
+        const count = await revokeSessions(
+            { _id: req.params.sessionId, userId: req.user.id },
+            { reason: 'Revoked by user', revokedBy: req.user.id }
+        );
+        if (count === 0) {
+            return res.status(404).json({ msg: 'Session not found or already revoked.' });
+        }
+
+        res.json({ msg: 'Session revoked.' });
+
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+};
+
+// @desc    List the outlets the logged-in user can work at, marking the current one
+// @route   GET /api/auth/outlets
+exports.getOutlets = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id);
+        if (!user) {
+            return res.status(404).json({ msg: 'User not found.' });
+        }
+
+        const outlets = await Vendor.find({ _id: { $in: await getUserOutletIds(user) } }).select('name').sort({ name: 1 });
+
+        res.json(outlets.map(outlet => ({
+            id: outlet.id,
+            name: outlet.name,
+            isHome: outlet._id.equals(user.vendorId),
+            isCurrent: outlet.id === req.user.vendorId.toString()
+        })));
+
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+};
+
+// @desc    Switch this session to another outlet the user works at. Returns a new access token.
+// @route   PUT /api/auth/outlet
+exports.switchOutlet = async (req, res) => {
+    const { vendorId } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(vendorId)) {
+        return res.status(400).json({ msg: 'A valid outlet (vendorId) is required.' });
+    }
+
+    try {
+        const user = await User.findById(req.user.id);
+        if (!user || !(await getUserOutletIds(user)).includes(vendorId.toString())) {
+            return res.status(403).json({ msg: 'You do not work at this outlet.' });
+        }
+
+        // Terminal sessions stay at the terminal's outlet
+        const session = await Session.findOneAndUpdate(
+            { _id: req.sessionId, terminalId: null },
+            { $set: { vendorId } },
+            { new: true }
+        );
+        if (!session) {
+            return res.status(400).json({ msg: 'Sessions on a shared terminal cannot switch outlet.' });
+        }
+
+        res.json({
+            token: signAccessToken(user, session._id, undefined, vendorId),
+            expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+            user: { id: user.id, role: user.role, isApproved: user.isApproved, vendorId }
+        });
+
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+};
+
+// @desc    Set or change your own PIN for quick login on shared terminals (current password required)
+// @route   PUT /api/auth/pin
+exports.setPin = async (req, res) => {
+    const { pin, password } = req.body;
+
+    if (!PIN_FORMAT.test(String(pin || ''))) {
+        return res.status(400).json({ msg: 'PIN must be 4 to 6 digits.' });
+    }
+    if (!password) {
+        return res.status(400).json({ msg: 'Current password is required to set a PIN.' });
+    }
+
+    try {
+        const user = await User.findById(req.user.id);
+        if (!user) {
+            return res.status(404).json({ msg: 'User not found.' });
+        }
+
+        const isMatch = await bcrypt.compare(password, user.password);
+        if (!isMatch) {
+            return res.status(400).json({ msg: 'Invalid Credentials' });
+        }
+
+        const before = snapshot(user);
+        const salt = await bcrypt.genSalt(10);
+        user.pinHash = await bcrypt.hash(String(pin), salt);
+        user.pinFailedAttempts = 0;
+        user.pinLockedUntil = undefined;
+        await user.save();
+        await recordAudit(req, 'account.pin', { entity: user, before, note: 'PIN set' });
+
+        res.json({ msg: 'PIN saved. You can now switch in on authorised terminals.' });
+
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+};
+
+// @desc    Staff who can switch in on this terminal (approved accounts with a PIN)
+// @route   GET /api/auth/terminal/staff
+// @access  Authorised terminal (x-terminal-key)
+exports.getTerminalStaff = async (req, res) => {
+    try {
+        // Staff assigned to this outlet and the organisation owner can use its terminals too
+        const vendorId = req.terminal.vendorId;
+        const outlet = await Vendor.findById(vendorId).select('organisationId');
+        const worksHere = [{ vendorId }, { outletIds: vendorId }];
+        if (outlet?.organisationId) worksHere.push({ organisationId: outlet.organisationId });
+
+        const staff = await User.find({
+            pinHash: { $exists: true },
+            isSuspended: { $ne: true },
+            $and: [{ $or: worksHere }, { $or: [{ role: 'Vendor' }, { isApproved: true }] }]
+        }).select('username role pinLockedUntil').sort({ username: 1 });
+
+        const now = new Date();
+        res.json(staff.map(user => ({
+            id: user.id,
+            username: user.username,
+            role: user.role,
+            isLocked: Boolean(user.pinLockedUntil && user.pinLockedUntil > now)
+        })));
+
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+};
+
+// @desc    Switch user on an authorised terminal with a PIN. Returns a short-lived token (no refresh token).
+// @route   POST /api/auth/pin-login
+// @access  Authorised terminal (x-terminal-key)
+exports.pinLogin = async (req, res) => {
+    const { userId, pin } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(userId) || !PIN_FORMAT.test(String(pin || ''))) {
+        return res.status(400).json({ msg: 'Invalid Credentials' });
+    }
+
+    try {
+        const user = await User.findById(userId).select('+pinHash');
+        if (!user || !user.pinHash || !(await getUserOutletIds(user)).includes(req.terminal.vendorId.toString())) {
+            return res.status(400).json({ msg: 'Invalid Credentials' });
+        }
+
+        if (user.role !== 'Vendor' && !user.isApproved) {
+            return res.status(403).json({ msg: 'Your account is pending Vendor approval. Please contact your shop owner.' });
+        }
+        if (user.isSuspended) {
+            return res.status(403).json({ msg: 'Your account has been suspended. Please contact your shop owner.' });
+        }
+
+        if (user.pinLockedUntil && user.pinLockedUntil > new Date()) {
+            return res.status(423).json({ msg: `PIN locked after too many attempts. Try again after ${user.pinLockedUntil.toISOString()} or ask the Vendor to reset it.` });
+        }
+
+        const isMatch = await bcrypt.compare(String(pin), user.pinHash);
+        if (!isMatch) {
+            // Count atomically so parallel guesses cannot slip past the limit
+            const updated = await User.findByIdAndUpdate(user._id, { $inc: { pinFailedAttempts: 1 } }, { new: true });
+            if (updated.pinFailedAttempts >= PIN_MAX_ATTEMPTS) {
+                await User.updateOne(
+                    { _id: user._id },
+                    { $set: { pinFailedAttempts: 0, pinLockedUntil: new Date(Date.now() + PIN_LOCK_MINUTES * 60 * 1000) } }
+                );
+                return res.status(423).json({ msg: `Too many wrong PINs. PIN locked for ${PIN_LOCK_MINUTES} minutes.` });
+            }
+            return res.status(400).json({ msg: 'Invalid Credentials' });
+        }
+
+        if (user.pinFailedAttempts > 0 || user.pinLockedUntil) {
+            await User.updateOne({ _id: user._id }, { $set: { pinFailedAttempts: 0 }, $unset: { pinLockedUntil: 1 } });
+        }
+
+        // Switching user ends whoever was logged in on this terminal before
+        await revokeSessions({ terminalId: req.terminal._id }, { reason: 'Terminal user switched' });
+
+        const { session } = await createSession(user, req, {
+            terminalId: req.terminal._id,
+            ttlMs: PIN_SESSION_TTL_SECONDS * 1000,
+            vendorId: req.terminal.vendorId // The session works at the terminal's outlet
+        });
+        req.terminal.lastUsedAt = new Date();
+        await req.terminal.save();
+
+        res.json({
+            token: signAccessToken(user, session._id, PIN_SESSION_TTL_SECONDS, req.terminal.vendorId),
+            expiresIn: PIN_SESSION_TTL_SECONDS,
+            user: {
+                id: user.id,
+                role: user.role,
+                isApproved: user.isApproved,
+                vendorId: req.terminal.vendorId
+            }
+        });
+
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+};
+
+// @desc    Confirm an email address with the token from the verification email
+// @route   POST /api/auth/verify-email
+exports.verifyEmail = async (req, res) => {
+    const { token } = req.body;
+
+    if (!token) {
+        return res.status(400).json({ msg: 'Verification token is required.' });
+    }
+
+    try {
+        // Single use: the token is cleared in the same update that verifies the address
+        const user = await User.findOneAndUpdate(
+            { emailVerificationTokenHash: hashSecret(String(token)), emailVerificationExpires: { $gt: new Date() } },
+            { $set: { isEmailVerified: true }, $unset: { emailVerificationTokenHash: 1, emailVerificationExpires: 1 } },
+            { new: true }
+        );
+        if (!user) {
+            return res.status(400).json({ msg: 'Verification link is invalid or has expired.' });
+        }
+        await recordAudit(req, 'account.verify_email', {
+            entity: user,
+            before: { ...snapshot(user), isEmailVerified: false },
+            actor: { id: user.id, role: user.role, vendorId: user.vendorId }
+        });
 
-        generateToken(user, res);
+        res.json({ msg: `Email ${user.email} verified.` });
 
     } catch (err) {
         console.error(err.message);
         res.status(500).send('Server error');
     }
 };
+
+// @desc    Send a new verification email to the logged-in user
+// @route   POST /api/auth/resend-verification
+exports.resendVerification = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id);
+        if (!user) {
+            return res.status(404).json({ msg: 'User not found.' });
+        }
+        if (user.isEmailVerified) {
+            return res.status(400).json({ msg: 'Email is already verified.' });
+        }
+
+        await sendVerificationEmail(user);
+        res.json({ msg: `Verification email sent to ${user.email}.` });
+
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+};
+
+// @desc    Email a password reset link. Always answers the same way so accounts cannot be discovered.
+// @route   POST /api/auth/forgot-password
+exports.forgotPassword = async (req, res) => {
+    const { email } = req.body;
+    const reply = { msg: 'If an account exists for that email, a reset link has been sent.' };
+
+    if (!email) {
+        return res.status(400).json({ msg: 'Email is required.' });
+    }
+
+    try {
+        const user = await User.findOne({ email: String(email).trim() });
+        if (!user) {
+            return res.json(reply);
+        }
+
+        const token = newSecret();
+        await User.updateOne({ _id: user._id }, {
+            $set: {
+                passwordResetTokenHash: hashSecret(token),
+                passwordResetExpires: new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000)
+            }
+        });
+
+        // A mail failure must answer like an unknown email, or it would reveal that the account exists
+        await sendMail({
+            to: user.email,
+            subject: 'Reset your password',
+            text: `Hi ${user.username},\n\nUse this link within ${PASSWORD_RESET_TTL_MINUTES} minutes to choose a new password:\n${accountLink('/reset-password', token)}\n\nIf you did not ask for this, you can ignore this email.\n`
+        }).catch(err => console.error('Password reset email failed:', err.message));
+
+        res.json(reply);
+
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+};
+
+// @desc    Set a new password with the token from the reset email. Logs the account out everywhere.
+// @route   POST /api/auth/reset-password
+exports.resetPassword = async (req, res) => {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+        return res.status(400).json({ msg: 'Token and new password are required.' });
+    }
+    if (String(password).length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ msg: `Password must be at least ${MIN_PASSWORD_LENGTH} characters.` });
+    }
+
+    try {
+        const salt = await bcrypt.genSalt(10);
+        const hashedPassword = await bcrypt.hash(String(password), salt);
+
+        // Single use: the token is cleared in the same update that changes the password
+        const user = await User.findOneAndUpdate(
+            { passwordResetTokenHash: hashSecret(String(token)), passwordResetExpires: { $gt: new Date() } },
+            {
+                $set: { password: hashedPassword, passwordChangedAt: new Date() },
+                $unset: { passwordResetTokenHash: 1, passwordResetExpires: 1 }
+            },
+            { new: true }
+        );
+        if (!user) {
+            return res.status(400).json({ msg: 'Reset link is invalid or has expired.' });
+        }
+
+        await revokeSessions({ userId: user._id }, { reason: 'Password reset' });
+        await recordAudit(req, 'account.password_reset', {
+            entity: user,
+            before: snapshot(user),
+            note: 'Password reset by email link',
+            actor: { id: user.id, role: user.role, vendorId: user.vendorId }
+        });
+
+        res.json({ msg: 'Password updated. Please log in with your new password.' });
+
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+};
+
+// @desc    Change your password (current password required). Other devices are logged out.
+// @route   PUT /api/auth/password
+exports.changePassword = async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+        return res.status(400).json({ msg: 'Current and new password are required.' });
+    }
+    if (String(newPassword).length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ msg: `Password must be at least ${MIN_PASSWORD_LENGTH} characters.` });
+    }
+
+    try {
+        const user = await User.findById(req.user.id);
+        if (!user) {
+            return res.status(404).json({ msg: 'User not found.' });
+        }
+
+        const isMatch = await bcrypt.compare(currentPassword, user.password);
+        if (!isMatch) {
+            return res.status(400).json({ msg: 'Current password is incorrect.' });
+        }
+
+        const before = snapshot(user);
+        const salt = await bcrypt.genSalt(10);
+        user.password = await bcrypt.hash(String(newPassword), salt);
+        user.passwordChangedAt = new Date();
+        await user.save();
+
+        await revokeSessions(
+            { userId: user._id, _id: { $ne: req.sessionId } },
+            { reason: 'Password changed', revokedBy: req.user.id }
+        );
+        // Secrets are redacted in the diff, so the note says what changed
+        await recordAudit(req, 'account.password_change', { entity: user, before, note: 'Password changed' });
+
+        res.json({ msg: 'Password changed. Other devices have been logged out.' });
+
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+};
+
+// @desc    Get the logged-in user's profile
+// @route   GET /api/auth/me
+exports.getMe = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id).select('+pinHash');
+        if (!user) {
+            return res.status(404).json({ msg: 'User not found.' });
+        }
+
+        res.json(toProfile(user));
+
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+};
+
+// @desc    Update your own username, email or phone number. A new email must be verified again.
+// @route   PUT /api/auth/me
+exports.updateMe = async (req, res) => {
+    const { username, email, phoneNumber } = req.body;
+
+    try {
+        const user = await User.findById(req.user.id).select('+pinHash');
+        if (!user) {
+            return res.status(404).json({ msg: 'User not found.' });
+        }
+
+        const before = snapshot(user);
+        if (username !== undefined) user.username = username;
+        if (phoneNumber !== undefined) user.phoneNumber = phoneNumber;
+
+        const emailChanged = email !== undefined && email !== user.email;
+        if (emailChanged) {
+            user.email = email;
+            user.isEmailVerified = false;
+        }
+
+        await user.save();
+        await recordAudit(req, 'account.update', { entity: user, before });
+
+        if (emailChanged) {
+            await sendVerificationEmail(user)
+                .catch(err => console.error('Verification email failed:', err.message));
+        }
+
+        res.json({ msg: emailChanged ? 'Profile updated. Please verify your new email address.' : 'Profile updated.', user: toProfile(user) });
+
+    } catch (err) {
+        console.error(err.message);
+        if (err.code === 11000) {
+            const field = Object.keys(err.keyPattern)[0];
+            return res.status(400).json({ msg: `${field} is already in use.` });
+        }
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ msg: err.message });
+        }
+        res.status(500).send('Server error');
+    }
+};
@@ -0,0 +1,294 @@
+const mongoose = require('mongoose');
+const DiscountRule = require('../models/DiscountRule');
+const Order = require('../models/Order');
+const { isRuleActiveAt } = require('../utils/discounts');
+const { getVendorTimeZone } = require('../utils/vendorSettings');
+const { recordAudit, snapshot } = require('../utils/audit');
+
+// Discount rules are strictly filtered by the logged-in user's vendorId
+
+// Helper: Validate MongoDB ObjectId
+const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+// Discounts can be changed until the bill is frozen
+const DISCOUNTABLE_STATUSES = ['Pending', 'Kitchen', 'Ready', 'Served'];
+
+// Fields a Vendor may set on a rule (usedCount is maintained by coupon redemption)
+const RULE_FIELDS = [
+    'name', 'kind', 'value', 'scope', 'menuItemIds', 'categories', 'minOrderAmount', 'maxDiscount',
+    'couponCode', 'usageLimit', 'validFrom', 'validTo', 'schedule', 'isActive'
+];
+
+// Give a coupon use back (the coupon was removed, or never made it onto the order)
+const releaseCoupon = (ruleId) => DiscountRule.updateOne({ _id: ruleId, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+
+const pickRuleFields = (body) => RULE_FIELDS.reduce((acc, field) => {
+    if (body[field] !== undefined) acc[field] = body[field];
+    return acc;
+}, {});
+
+// @desc    Vendor lists discount rules and coupons
+// @route   GET /api/discounts
+// @access  Private (Vendor role)
+exports.getRules = async (req, res) => {
+    try {
+        const rules = await DiscountRule.find({ vendorId: req.user.vendorId }).sort({ isActive: -1, name: 1 });
+        res.json({ success: true, rules });
+    } catch (err) {
+        console.error("Get Discount Rules Error:", err.message);
+        res.status(500).json({ success: false, msg: 'Server error retrieving discount rules' });
+    }
+};
+
+// @desc    Vendor creates a discount rule, happy-hour window or coupon
+// @route   POST /api/discounts
+// @access  Private (Vendor role)
+exports.createRule = async (req, res) => {
+    const fields = pickRuleFields(req.body);
+
+    if (!fields.name || !fields.kind || fields.value === undefined || !fields.scope) {
+        return res.status(400).json({ success: false, msg: 'Missing required fields: name, kind, value and scope.' });
+    }
+    if (fields.kind === 'Percentage' && fields.value > 100) {
+        return res.status(400).json({ success: false, msg: 'A percentage discount cannot exceed 100.' });
+    }
+
+    try {
+        const rule = await DiscountRule.create({ ...fields, vendorId: req.user.vendorId });
+        await recordAudit(req, 'discount.create', { entity: rule });
+        res.status(201).json({ success: true, rule, message: 'Discount rule created successfully.' });
+    } catch (err) {
+        console.error("Create Discount Rule Error:", err.message);
+        if (err.code === 11000) {
+            return res.status(400).json({ success: false, msg: 'Coupon code already exists for this vendor.' });
+        }
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ success: false, msg: err.message });
+        }
+        res.status(500).json({ success: false, msg: 'Server error during discount rule creation' });
+    }
+};
+
+// @desc    Vendor updates (or deactivates) a discount rule
+// @route   PUT /api/discounts/:id
+// @access  Private (Vendor role)
+exports.updateRule = async (req, res) => {
+    const { id } = req.params;
+    const fields = pickRuleFields(req.body);
+
+    if (!isValidObjectId(id)) {
+        return res.status(400).json({ success: false, msg: 'Invalid discount rule ID.' });
+    }
+    if (fields.kind === 'Percentage' && fields.value > 100) {
+        return res.status(400).json({ success: false, msg: 'A percentage discount cannot exceed 100.' });
+    }
+
+    try {
+        const existing = await DiscountRule.findOne({ _id: id, vendorId: req.user.vendorId });
+        if (!existing) {
+            return res.status(404).json({ success: false, msg: 'Discount rule not found.' });
+        }
+
+        const rule = await DiscountRule.findOneAndUpdate(
+            { _id: id, vendorId: req.user.vendorId },
+            { $set: fields },
+            { new: true, runValidators: true }
+        );
+
+        if (!rule) {
+            return res.status(404).json({ success: false, msg: 'Discount rule not found.' });
+        }
+        await recordAudit(req, 'discount.update', { entity: rule, before: snapshot(existing) });
+
+        res.json({ success: true, rule, message: 'Discount rule updated successfully.' });
+    } catch (err) {
+        console.error("Update Discount Rule Error:", err.message);
+        if (err.code === 11000) {
+            return res.status(400).json({ success: false, msg: 'Coupon code already exists for this vendor.' });
+        }
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ success: false, msg: err.message });
+        }
+        res.status(500).json({ success: false, msg: 'Server error during discount rule update' });
+    }
+};
+
+// @desc    Vendor deletes a discount rule. Billed orders keep their stored discount lines.
+// @route   DELETE /api/discounts/:id
+// @access  Private (Vendor role)
+exports.deleteRule = async (req, res) => {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+        return res.status(400).json({ success: false, msg: 'Invalid discount rule ID.' });
+    }
+
+    try {
+        const rule = await DiscountRule.findOneAndDelete({ _id: id, vendorId: req.user.vendorId });
+        if (!rule) {
+            return res.status(404).json({ success: false, msg: 'Discount rule not found.' });
+        }
+        await recordAudit(req, 'discount.delete', { entity: rule, deleted: true });
+
+        res.json({ success: true, msg: `Discount rule ${rule.name} deleted successfully.` });
+    } catch (err) {
+        console.error("Delete Discount Rule Error:", err.message);
+        res.status(500).json({ success: false, msg: 'Server error during discount rule deletion' });
+    }
+};
+
+// @desc    Apply a coupon ({ couponCode }) or a manual discount ({ kind, value, reason }) to an open order
+// @route   POST /api/orders/:id/discounts
+// @access  Private (Billing, Vendor roles) - manual discounts are capped by role
+exports.applyOrderDiscount = async (req, res) => {
+    const vendorId = req.user.vendorId;
+    const { couponCode, kind, value, reason } = req.body;
+
+    if (couponCode !== undefined && couponCode !== null && typeof couponCode !== 'string') {
+        return res.status(400).json({ msg: 'couponCode must be a string.' });
+    }
+
+    try {
+        const order = await Order.findOne({ _id: req.params.id, vendorId });
+        if (!order) {
+            return res.status(404).json({ msg: 'Order not found for this shop.' });
+        }
+        if (!DISCOUNTABLE_STATUSES.includes(order.status)) {
+            return res.status(400).json({ msg: `Cannot discount a ${order.status} order.` });
+        }
+
+        const before = snapshot(order);
+        if (couponCode) {
+            if (order.discounts.some(d => d.source === 'Coupon')) {
+                return res.status(400).json({ msg: 'Only one coupon can be used per order.' });
+            }
+
+            const rule = await DiscountRule.findOne({ vendorId, couponCode: couponCode.trim().toUpperCase() });
+            if (!rule || !isRuleActiveAt(rule, new Date(), await getVendorTimeZone(vendorId))) {
+                return res.status(400).json({ msg: 'Coupon code is invalid or has expired.' });
+            }
+
+            // Redeem atomically so concurrent orders cannot exceed the usage limit
+            const redeemed = await DiscountRule.findOneAndUpdate(
+                {
+                    _id: rule._id,
+                    $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }]
+                },
+                { $inc: { usedCount: 1 } }
+            );
+            if (!redeemed) {
+                return res.status(400).json({ msg: 'Coupon usage limit has been reached.' });
+            }
+
+            // Add the coupon only if the order still has none, so concurrent requests cannot stack two.
+            // The use is given back whenever the coupon does not end up on the order.
+            let updated;
+            try {
+                updated = await Order.findOneAndUpdate(
+                    { _id: order._id, vendorId, status: { $in: DISCOUNTABLE_STATUSES }, 'discounts.source': { $ne: 'Coupon' } },
+                    {
+                        $push: {
+                            discounts: {
+                                source: 'Coupon',
+                                ruleId: rule._id,
+                                code: rule.couponCode,
+                                name: rule.name,
+                                kind: rule.kind,
+                                scope: rule.scope,
+                                value: rule.value,
+                                appliedBy: req.user.id
+                            }
+                        }
+                    },
+                    { new: true, runValidators: true }
+                );
+            } catch (saveErr) {
+                await releaseCoupon(rule._id);
+                throw saveErr;
+            }
+            if (!updated) {
+                await releaseCoupon(rule._id);
+                return res.status(400).json({ msg: 'Only one coupon can be used per order.' });
+            }
+
+            await recordAudit(req, 'order.discount_apply', { entity: updated, before, note: couponCode });
+            return res.json({ msg: 'Discount added. Final amounts are calculated when the bill is generated.', order: updated });
+        } else {
+            if (!['Percentage', 'Flat'].includes(kind) || !(Number(value) > 0) || !reason) {
+                return res.status(400).json({ msg: 'Manual discount needs kind (Percentage or Flat), a positive value and a reason.' });
+            }
+
+            // The cap covers every manual discount on the order, so small entries cannot be stacked past it
+            const cap = req.role.manualDiscountCap || 0;
+            const percentOfOrder = (entry) => entry.kind === 'Percentage'
+                ? Number(entry.value)
+                : (order.totalAmount > 0 ? Number(entry.value) / order.totalAmount * 100 : 100);
+            const manualPercent = order.discounts
+                .filter(d => d.source === 'Manual')
+                .reduce((acc, d) => acc + percentOfOrder(d), percentOfOrder({ kind, value }));
+            if (manualPercent > cap) {
+                return res.status(403).json({ msg: `Role ${req.user.role} can give manual discounts of at most ${cap}% of the order in total.` });
+            }
+
+            order.discounts.push({
+                source: 'Manual',
+                name: 'Manual discount',
+                kind,
+                scope: 'Order',
+                value: Number(value),
+                reason,
+                appliedBy: req.user.id
+            });
+        }
+
+        await order.save();
+        await recordAudit(req, 'order.discount_apply', { entity: order, before, note: reason });
+        res.json({ msg: 'Discount added. Final amounts are calculated when the bill is generated.', order });
+
+    } catch (err) {
+        console.error(err.message);
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({ msg: 'Order not found.' });
+        }
+        res.status(500).send('Server error applying discount');
+    }
+};
+
+// @desc    Remove a coupon or manual discount from an open order
+// @route   DELETE /api/orders/:id/discounts/:discountId
+// @access  Private (Billing, Vendor roles)
+exports.removeOrderDiscount = async (req, res) => {
+    try {
+        const order = await Order.findOne({ _id: req.params.id, vendorId: req.user.vendorId });
+        if (!order) {
+            return res.status(404).json({ msg: 'Order not found for this shop.' });
+        }
+        if (!DISCOUNTABLE_STATUSES.includes(order.status)) {
+            return res.status(400).json({ msg: `Cannot change discounts on a ${order.status} order.` });
+        }
+
+        const discount = order.discounts.id(req.params.discountId);
+        if (!discount) {
+            return res.status(404).json({ msg: 'Discount not found on this order.' });
+        }
+
+        const before = snapshot(order);
+        discount.deleteOne();
+        await order.save();
+        await recordAudit(req, 'order.discount_remove', { entity: order, before });
+
+        // Give the coupon use back
+        if (discount.source === 'Coupon') {
+            await releaseCoupon(discount.ruleId);
+        }
+
+        res.json({ msg: 'Discount removed.', order });
+
+    } catch (err) {
+        console.error(err.message);
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({ msg: 'Order not found.' });
+        }
+        res.status(500).send('Server error removing discount');
+    }
+};
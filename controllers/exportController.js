@@ -0,0 +1,248 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const MenuItem = require('../models/MenuItem');
+const { completedOrdersFilter } = require('../utils/orderFilters');
+const { isValidTimeZone } = require('../utils/dateRange');
+const { getVendorTimeZone } = require('../utils/vendorSettings');
+const { createSheetWriter } = require('../utils/sheetWriter');
+const { round2 } = require('../utils/money');
+
+// Spreadsheet exports for the accountant. Rows are streamed from a MongoDB cursor straight into
+// the response, so large date ranges never sit in memory.
+// Every export takes ?format=csv|xlsx and the same startDate/endDate filters as GET /api/orders/completed.
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+const ORDER_COLUMNS = [
+    { header: 'Invoice No', key: 'invoiceNumber', width: 14 },
+    { header: 'Billed At', key: 'billedAt', width: 22 },
+    { header: 'Order ID', key: 'orderId', width: 26 },
+    { header: 'Table', key: 'tableNumber', width: 8 },
+    { header: 'Status', key: 'status', width: 11 },
+    { header: 'Item', key: 'item', width: 28 },
+    { header: 'Category', key: 'category', width: 16 },
+    { header: 'Modifiers', key: 'modifiers', width: 28 },
+    { header: 'Quantity', key: 'quantity', width: 9 },
+    { header: 'Unit Price', key: 'unitPrice', width: 11 },
+    { header: 'Discount', key: 'discount', width: 10 },
+    { header: 'Net Amount', key: 'netAmount', width: 11 },
+    { header: 'Tax Rate %', key: 'taxRate', width: 10 },
+    { header: 'Tax Inclusive', key: 'taxInclusive', width: 12 },
+    { header: 'Order Subtotal', key: 'subtotal', width: 13 },
+    { header: 'Order Service Charge', key: 'serviceCharge', width: 15 },
+    { header: 'Order Tax', key: 'taxTotal', width: 11 },
+    { header: 'Order Grand Total', key: 'grandTotal', width: 15 },
+    { header: 'Payment Methods', key: 'paymentMethods', width: 18 },
+    { header: 'Amount Paid', key: 'amountPaid', width: 12 },
+    { header: 'Refunded', key: 'refundedAmount', width: 10 },
+    { header: 'Tips', key: 'tips', width: 10 }
+];
+
+const DAILY_COLUMNS = [
+    { header: 'Date', key: 'date', width: 12 },
+    { header: 'Orders', key: 'orders', width: 8 },
+    { header: 'Gross Sales', key: 'grossSales', width: 12 },
+    { header: 'Discounts', key: 'discounts', width: 11 },
+    { header: 'Net Sales', key: 'netSales', width: 12 },
+    { header: 'Service Charge', key: 'serviceCharge', width: 13 },
+    { header: 'Tax', key: 'tax', width: 10 },
+    { header: 'Grand Total', key: 'grandTotal', width: 12 },
+    { header: 'Amount Paid', key: 'amountPaid', width: 12 },
+    { header: 'Refunds', key: 'refunds', width: 10 },
+    { header: 'Tips', key: 'tips', width: 10 }
+];
+
+const MENU_COLUMNS = [
+    { header: 'Name', key: 'name', width: 28 },
+    { header: 'Category', key: 'category', width: 16 },
+    { header: 'Price', key: 'price', width: 10 },
+    { header: 'Tax Rate %', key: 'taxRate', width: 10 },
+    { header: 'Tax Inclusive', key: 'taxInclusive', width: 12 },
+    { header: 'Available', key: 'isAvailable', width: 10 },
+    { header: 'Track Stock', key: 'trackStock', width: 11 },
+    { header: 'Stock', key: 'stock', width: 8 },
+    { header: 'Low Stock Threshold', key: 'lowStockThreshold', width: 18 },
+    { header: 'Modifier Groups', key: 'modifierGroups', width: 30 },
+    { header: 'Description', key: 'description', width: 40 }
+];
+
+// Validate ?format= (default csv). Returns null for an unknown format.
+const parseFormat = (req) => {
+    const format = (req.query.format || 'csv').toLowerCase();
+    return EXPORT_FORMATS.includes(format) ? format : null;
+};
+
+// Headers are already sent once streaming starts, so a failure can only cut the file short.
+// Throwing out of the row loop also closes the MongoDB cursor.
+const abortExport = (res, err, label) => {
+    if (err.code === 'EXPORT_CLIENT_GONE') return; // Nobody left to answer
+    console.error(`${label} Export Error:`, err.message);
+    if (!res.headersSent) {
+        return res.status(500).json({ success: false, msg: `Server error exporting ${label.toLowerCase()}` });
+    }
+    res.destroy(err);
+};
+
+// @desc    Export completed orders, one row per (non-voided) item with tax and payment columns
+// @route   GET /api/exports/orders?format=csv|xlsx&startDate=&endDate=&tz=
+// @access  Private (Vendor, Billing roles)
+exports.exportOrders = async (req, res) => {
+    const format = parseFormat(req);
+    if (!format) {
+        return res.status(400).json({ success: false, msg: 'format must be csv or xlsx.' });
+    }
+    if (req.query.tz && !isValidTimeZone(req.query.tz)) {
+        return res.status(400).json({ success: false, msg: `Unknown time zone '${req.query.tz}'.` });
+    }
+
+    try {
+        const timeZone = req.query.tz || await getVendorTimeZone(req.user.vendorId);
+        const cursor = Order.find(completedOrdersFilter(req.user.vendorId, req.query, timeZone))
+            .sort({ updatedAt: 1 })
+            .lean()
+            .cursor();
+
+        const sheet = createSheetWriter(res, format, 'orders', ORDER_COLUMNS);
+
+        for await (const order of cursor) {
+            const bill = order.bill || {};
+            const paymentMethods = [...new Set((order.payments || []).map(p => p.method))].join(' + ') || order.paymentMethod;
+
+            for (const item of order.items) {
+                if (item.isVoided) continue;
+
+                const discount = item.discount || 0;
+                await sheet.addRow({
+                    invoiceNumber: bill.invoiceNumber,
+                    billedAt: bill.billedAt,
+                    orderId: order._id.toString(),
+                    tableNumber: order.tableNumber,
+                    status: order.status,
+                    item: item.name,
+                    category: item.category,
+                    modifiers: (item.addons || []).join('; '),
+                    quantity: item.quantity,
+                    unitPrice: item.price,
+                    discount,
+                    netAmount: round2(item.price * item.quantity - discount),
+                    taxRate: item.taxRate,
+                    taxInclusive: item.taxInclusive ? 'Yes' : 'No',
+                    subtotal: bill.subtotal ?? order.totalAmount,
+                    serviceCharge: bill.serviceCharge ?? 0,
+                    taxTotal: bill.taxTotal ?? 0,
+                    grandTotal: bill.grandTotal ?? order.totalAmount,
+                    paymentMethods,
+                    amountPaid: order.amountPaid || 0,
+                    refundedAmount: order.refundedAmount || 0,
+                    tips: order.tipTotal || 0
+                });
+            }
+        }
+
+        await sheet.end();
+    } catch (err) {
+        abortExport(res, err, 'Orders');
+    }
+};
+
+// @desc    Export one summary row per day of completed orders
+// @route   GET /api/exports/daily-sales?format=csv|xlsx&startDate=&endDate=&tz=
+// @access  Private (Vendor, Billing roles)
+exports.exportDailySales = async (req, res) => {
+    const format = parseFormat(req);
+    if (!format) {
+        return res.status(400).json({ success: false, msg: 'format must be csv or xlsx.' });
+    }
+
+    if (req.query.tz && !isValidTimeZone(req.query.tz)) {
+        return res.status(400).json({ success: false, msg: `Unknown time zone '${req.query.tz}'.` });
+    }
+
+    try {
+        const timeZone = req.query.tz || await getVendorTimeZone(req.user.vendorId);
+        const match = completedOrdersFilter(new mongoose.Types.ObjectId(req.user.vendorId), req.query, timeZone);
+
+        // Days follow the same updatedAt field the date filter uses
+        const cursor = Order.aggregate([
+            { $match: match },
+            {
+                $group: {
+                    _id: { $dateToString: { format: '%Y-%m-%d', date: '$updatedAt', timezone: timeZone } },
+                    orders: { $sum: 1 },
+                    grossSales: { $sum: '$totalAmount' },
+                    discounts: { $sum: { $ifNull: ['$discountTotal', 0] } },
+                    serviceCharge: { $sum: { $ifNull: ['$bill.serviceCharge', 0] } },
+                    tax: { $sum: { $ifNull: ['$bill.taxTotal', 0] } },
+                    grandTotal: { $sum: { $ifNull: ['$bill.grandTotal', '$totalAmount'] } },
+                    amountPaid: { $sum: { $ifNull: ['$amountPaid', 0] } },
+                    refunds: { $sum: { $ifNull: ['$refundedAmount', 0] } },
+                    tips: { $sum: { $ifNull: ['$tipTotal', 0] } }
+                }
+            },
+            { $sort: { _id: 1 } }
+        ]).cursor();
+
+        const sheet = createSheetWriter(res, format, 'daily-sales', DAILY_COLUMNS);
+
+        for await (const day of cursor) {
+            await sheet.addRow({
+                date: day._id,
+                orders: day.orders,
+                grossSales: round2(day.grossSales),
+                discounts: round2(day.discounts),
+                netSales: round2(day.grossSales - day.discounts),
+                serviceCharge: round2(day.serviceCharge),
+                tax: round2(day.tax),
+                grandTotal: round2(day.grandTotal),
+                amountPaid: round2(day.amountPaid),
+                refunds: round2(day.refunds),
+                tips: round2(day.tips)
+            });
+        }
+
+        await sheet.end();
+    } catch (err) {
+        abortExport(res, err, 'Daily Sales');
+    }
+};
+
+// @desc    Export the full vendor menu
+// @route   GET /api/exports/menu?format=csv|xlsx
+// @access  Private (Vendor role)
+exports.exportMenu = async (req, res) => {
+    const format = parseFormat(req);
+    if (!format) {
+        return res.status(400).json({ success: false, msg: 'format must be csv or xlsx.' });
+    }
+
+    try {
+        const cursor = MenuItem.find({ vendorId: req.user.vendorId })
+            .sort({ category: 1, name: 1 })
+            .lean()
+            .cursor();
+
+        const sheet = createSheetWriter(res, format, 'menu', MENU_COLUMNS);
+
+        for await (const item of cursor) {
+            await sheet.addRow({
+                name: item.name,
+                category: item.category,
+                price: item.price,
+                taxRate: item.taxRate,
+                taxInclusive: item.taxInclusive ? 'Yes' : 'No',
+                isAvailable: item.isAvailable ? 'Yes' : 'No',
+                trackStock: item.trackStock ? 'Yes' : 'No',
+                stock: item.stock,
+                lowStockThreshold: item.lowStockThreshold,
+                modifierGroups: (item.modifierGroups || [])
+                    .map(group => `${group.name}: ${group.options.map(o => o.name).join('/')}`)
+                    .join('; '),
+                description: item.description
+            });
+        }
+
+        await sheet.end();
+    } catch (err) {
+        abortExport(res, err, 'Menu');
+    }
+};
@@ -0,0 +1,367 @@
+const mongoose = require('mongoose');
+const Ingredient = require('../models/Ingredient');
+const InventoryTransaction = require('../models/InventoryTransaction');
+const MenuItem = require('../models/MenuItem');
+const { buildDateRange } = require('../utils/dateRange');
+const { getVendorTimeZone } = require('../utils/vendorSettings');
+const { recordAudit, snapshot } = require('../utils/audit');
+
+// All inventory is strictly filtered by the logged-in user's vendorId
+
+// Helper: Validate MongoDB ObjectId
+const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+// @desc    Vendor adds an ingredient
+// @route   POST /api/inventory/ingredients
+// @access  Private (Vendor role)
+exports.createIngredient = async (req, res) => {
+    const vendorId = req.user.vendorId;
+    const { name, unit, currentStock, reorderLevel, costPerUnit } = req.body;
+
+    if (!name || !unit) {
+        return res.status(400).json({ success: false, msg: 'Missing required fields: name and unit.' });
+    }
+
+    try {
+        const ingredient = await Ingredient.create({
+            vendorId, name, unit, currentStock, reorderLevel, costPerUnit
+        });
+
+        // Opening stock is logged so the movement history adds up to currentStock
+        if (ingredient.currentStock) {
+            await InventoryTransaction.create({
+                vendorId,
+                ingredientId: ingredient._id,
+                type: 'Adjustment',
+                quantity: ingredient.currentStock,
+                unitCost: ingredient.costPerUnit,
+                reason: 'Opening stock',
+                createdBy: req.user.id
+            });
+        }
+        await recordAudit(req, 'inventory.create', { entity: ingredient });
+
+        res.status(201).json({ success: true, ingredient, message: 'Ingredient created successfully.' });
+    } catch (err) {
+        console.error("Create Ingredient Error:", err.message);
+        if (err.code === 11000) {
+            return res.status(400).json({ success: false, msg: 'Ingredient name already exists for this vendor.' });
+        }
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ success: false, msg: err.message });
+        }
+        res.status(500).json({ success: false, msg: 'Server error during ingredient creation' });
+    }
+};
+
+// @desc    Current stock of every ingredient, flagging those at or below reorder level
+// @route   GET /api/inventory/ingredients
+// @access  Private (Vendor/Kitchen roles)
+exports.getIngredients = async (req, res) => {
+    const vendorId = req.user.vendorId;
+
+    try {
+        const ingredients = await Ingredient.find({ vendorId }).sort({ name: 1 });
+
+        res.json({
+            success: true,
+            ingredients: ingredients.map(ingredient => ({
+                ...ingredient.toObject(),
+                stockValue: ingredient.currentStock * ingredient.costPerUnit,
+                needsReorder: ingredient.currentStock <= ingredient.reorderLevel
+            }))
+        });
+    } catch (err) {
+        console.error("Get Ingredients Error:", err.message);
+        res.status(500).json({ success: false, msg: 'Server error retrieving ingredients' });
+    }
+};
+
+// @desc    Update ingredient details. Stock changes go through purchases, wastage or adjustments.
+// @route   PUT /api/inventory/ingredients/:id
+// @access  Private (Vendor role)
+exports.updateIngredient = async (req, res) => {
+    const vendorId = req.user.vendorId;
+    const { id } = req.params;
+    const { name, unit, reorderLevel, costPerUnit } = req.body;
+
+    if (!isValidObjectId(id)) {
+        return res.status(400).json({ success: false, msg: 'Invalid ingredient ID.' });
+    }
+
+    try {
+        const existing = await Ingredient.findOne({ _id: id, vendorId });
+        if (!existing) {
+            return res.status(404).json({ success: false, msg: 'Ingredient not found.' });
+        }
+
+        const ingredient = await Ingredient.findOneAndUpdate(
+            { _id: id, vendorId },
+            { $set: { name, unit, reorderLevel, costPerUnit } },
+            { new: true, runValidators: true } // Undefined fields are left unchanged
+        );
+
+        if (!ingredient) {
+            return res.status(404).json({ success: false, msg: 'Ingredient not found.' });
+        }
+        await recordAudit(req, 'inventory.update', { entity: ingredient, before: snapshot(existing) });
+
+        res.json({ success: true, ingredient, message: 'Ingredient updated successfully.' });
+    } catch (err) {
+        console.error("Update Ingredient Error:", err.message);
+        if (err.code === 11000) {
+            return res.status(400).json({ success: false, msg: 'Ingredient name already exists for this vendor.' });
+        }
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ success: false, msg: err.message });
+        }
+        res.status(500).json({ success: false, msg: 'Server error during ingredient update' });
+    }
+};
+
+// @desc    Delete an ingredient that no recipe uses
+// @route   DELETE /api/inventory/ingredients/:id
+// @access  Private (Vendor role)
+exports.deleteIngredient = async (req, res) => {
+    const vendorId = req.user.vendorId;
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+        return res.status(400).json({ success: false, msg: 'Invalid ingredient ID.' });
+    }
+
+    try {
+        const usedBy = await MenuItem.countDocuments({ vendorId, 'recipe.ingredientId': id });
+        if (usedBy > 0) {
+            return res.status(400).json({ success: false, msg: `Ingredient is used in ${usedBy} recipe(s). Remove it from those menu items first.` });
+        }
+
+        const ingredient = await Ingredient.findOneAndDelete({ _id: id, vendorId });
+        if (!ingredient) {
+            return res.status(404).json({ success: false, msg: 'Ingredient not found.' });
+        }
+        await recordAudit(req, 'inventory.delete', { entity: ingredient, deleted: true });
+
+        res.json({ success: true, msg: `Ingredient ${ingredient.name} deleted successfully.` });
+    } catch (err) {
+        console.error("Delete Ingredient Error:", err.message);
+        res.status(500).json({ success: false, msg: 'Server error during ingredient deletion' });
+    }
+};
+
+// @desc    Record a purchase/receiving entry for one or more ingredients
+// @route   POST /api/inventory/purchases
+// @access  Private (Vendor/Kitchen roles)
+exports.recordPurchase = async (req, res) => {
+    const vendorId = req.user.vendorId;
+    const { supplier, invoiceRef, items } = req.body;
+
+    const isValid = Array.isArray(items) && items.length > 0 && items.every(item =>
+        isValidObjectId(item.ingredientId) && Number(item.quantity) > 0 && Number(item.unitCost || 0) >= 0
+    );
+    if (!isValid) {
+        return res.status(400).json({ success: false, msg: 'Purchase must include items with ingredientId, a positive quantity and unitCost.' });
+    }
+
+    try {
+        const ids = [...new Set(items.map(item => item.ingredientId.toString()))];
+        const found = await Ingredient.countDocuments({ _id: { $in: ids }, vendorId });
+        if (found !== ids.length) {
+            return res.status(400).json({ success: false, msg: 'One or more ingredients do not exist for this vendor.' });
+        }
+
+        const transactions = [];
+        for (const item of items) {
+            const quantity = Number(item.quantity);
+            const unitCost = Number(item.unitCost || 0);
+            // One atomic pipeline update, so deductions made by orders meanwhile are not overwritten.
+            // Weighted average cost across what is on hand and what was received.
+            const previous = await Ingredient.findOneAndUpdate(
+                { _id: item.ingredientId, vendorId },
+                [{
+                    $set: {
+                        costPerUnit: {
+                            $let: {
+                                vars: { onHand: { $max: [{ $ifNull: ['$currentStock', 0] }, 0] } },
+                                in: {
+                                    $divide: [
+                                        { $add: [{ $multiply: ['$$onHand', { $ifNull: ['$costPerUnit', 0] }] }, quantity * unitCost] },
+                                        { $add: ['$$onHand', quantity] }
+                                    ]
+                                }
+                            }
+                        },
+                        currentStock: { $add: [{ $ifNull: ['$currentStock', 0] }, quantity] }
+                    }
+                }]
+            );
+            const ingredient = await Ingredient.findById(previous._id);
+            await recordAudit(req, 'inventory.purchase', { entity: ingredient, before: snapshot(previous), note: invoiceRef });
+
+            transactions.push({
+                vendorId,
+                ingredientId: ingredient._id,
+                type: 'Purchase',
+                quantity,
+                unitCost,
+                supplier,
+                invoiceRef,
+                createdBy: req.user.id
+            });
+        }
+
+        const saved = await InventoryTransaction.insertMany(transactions);
+        const totalCost = saved.reduce((acc, t) => acc + t.quantity * t.unitCost, 0);
+
+        res.status(201).json({ success: true, totalCost, transactions: saved, message: 'Purchase recorded successfully.' });
+    } catch (err) {
+        console.error("Record Purchase Error:", err.message);
+        res.status(500).json({ success: false, msg: 'Server error recording purchase' });
+    }
+};
+
+// @desc    Log wasted/spoiled ingredient quantity
+// @route   POST /api/inventory/wastage
+// @access  Private (Vendor/Kitchen roles)
+exports.recordWastage = async (req, res) => {
+    const vendorId = req.user.vendorId;
+    const { ingredientId, quantity, reason } = req.body;
+
+    if (!isValidObjectId(ingredientId) || !(Number(quantity) > 0) || !reason) {
+        return res.status(400).json({ success: false, msg: 'Wastage must include ingredientId, a positive quantity and a reason.' });
+    }
+
+    try {
+        const ingredient = await Ingredient.findOneAndUpdate(
+            { _id: ingredientId, vendorId },
+            { $inc: { currentStock: -Number(quantity) } },
+            { new: true }
+        );
+
+        if (!ingredient) {
+            return res.status(404).json({ success: false, msg: 'Ingredient not found.' });
+        }
+
+        const transaction = await InventoryTransaction.create({
+            vendorId,
+            ingredientId,
+            type: 'Wastage',
+            quantity: -Number(quantity),
+            unitCost: ingredient.costPerUnit,
+            reason,
+            createdBy: req.user.id
+        });
+        await recordAudit(req, 'inventory.wastage', { entity: transaction, note: reason });
+
+        res.status(201).json({ success: true, ingredient, transaction, message: 'Wastage recorded.' });
+    } catch (err) {
+        console.error("Record Wastage Error:", err.message);
+        res.status(500).json({ success: false, msg: 'Server error recording wastage' });
+    }
+};
+
+// @desc    Stock movement history, filterable by ingredient, type and date range
+// @route   GET /api/inventory/transactions?ingredientId=&type=&startDate=&endDate=
+// @access  Private (Vendor role)
+exports.getTransactions = async (req, res) => {
+    const vendorId = req.user.vendorId;
+    const { ingredientId, type, startDate, endDate } = req.query;
+
+    const query = { vendorId };
+    if (ingredientId) {
+        if (!isValidObjectId(ingredientId)) {
+            return res.status(400).json({ success: false, msg: 'Invalid ingredient ID.' });
+        }
+        query.ingredientId = ingredientId;
+    }
+    if (type) query.type = type;
+
+    try {
+        const dateRange = buildDateRange(startDate, endDate, await getVendorTimeZone(vendorId));
+        if (dateRange) query.createdAt = dateRange;
+
+        const transactions = await InventoryTransaction.find(query)
+            .populate('ingredientId', 'name unit')
+            .populate('createdBy', 'username')
+            .sort({ createdAt: -1 })
+            .limit(1000);
+
+        res.json({ success: true, count: transactions.length, transactions });
+    } catch (err) {
+        console.error("Get Inventory Transactions Error:", err.message);
+        res.status(500).json({ success: false, msg: 'Server error retrieving inventory transactions' });
+    }
+};
+
+// @desc    Consumption report: purchased, consumed and wasted quantity and cost per ingredient
+// @route   GET /api/inventory/report?startDate=&endDate=
+// @access  Private (Vendor role)
+exports.getConsumptionReport = async (req, res) => {
+    const vendorId = req.user.vendorId;
+    const { startDate, endDate } = req.query;
+
+    const match = { vendorId: new mongoose.Types.ObjectId(vendorId) };
+
+    // Sum the signed quantity of one movement type, reported as a positive figure for outflows
+    const sumOf = (type, field) => ({
+        $sum: { $cond: [{ $eq: ['$type', type] }, field, 0] }
+    });
+
+    try {
+        const dateRange = buildDateRange(startDate, endDate, await getVendorTimeZone(vendorId));
+        if (dateRange) match.createdAt = dateRange;
+
+        const [movements, ingredients] = await Promise.all([
+            InventoryTransaction.aggregate([
+                { $match: match },
+                {
+                    $group: {
+                        _id: '$ingredientId',
+                        purchased: sumOf('Purchase', '$quantity'),
+                        purchaseCost: sumOf('Purchase', { $multiply: ['$quantity', '$unitCost'] }),
+                        consumed: sumOf('Consumption', { $multiply: ['$quantity', -1] }),
+                        consumptionCost: sumOf('Consumption', { $multiply: ['$quantity', '$unitCost', -1] }),
+                        wasted: sumOf('Wastage', { $multiply: ['$quantity', -1] }),
+                        wastageCost: sumOf('Wastage', { $multiply: ['$quantity', '$unitCost', -1] }),
+                        adjusted: sumOf('Adjustment', '$quantity')
+                    }
+                }
+            ]),
+            Ingredient.find({ vendorId }).sort({ name: 1 })
+        ]);
+
+        const byIngredient = new Map(movements.map(m => [m._id.toString(), m]));
+        const report = ingredients.map(ingredient => {
+            const m = byIngredient.get(ingredient._id.toString()) || {};
+            return {
+                ingredientId: ingredient._id,
+                name: ingredient.name,
+                unit: ingredient.unit,
+                currentStock: ingredient.currentStock,
+                reorderLevel: ingredient.reorderLevel,
+                purchased: m.purchased || 0,
+                purchaseCost: m.purchaseCost || 0,
+                consumed: m.consumed || 0,
+                consumptionCost: m.consumptionCost || 0,
+                wasted: m.wasted || 0,
+                wastageCost: m.wastageCost || 0,
+                adjusted: m.adjusted || 0
+            };
+        });
+
+        res.json({
+            success: true,
+            startDate,
+            endDate,
+            totals: {
+                purchaseCost: report.reduce((acc, r) => acc + r.purchaseCost, 0),
+                consumptionCost: report.reduce((acc, r) => acc + r.consumptionCost, 0),
+                wastageCost: report.reduce((acc, r) => acc + r.wastageCost, 0)
+            },
+            ingredients: report
+        });
+    } catch (err) {
+        console.error("Inventory Report Error:", err.message);
+        res.status(500).json({ success: false, msg: 'Server error generating inventory report' });
+    }
+};
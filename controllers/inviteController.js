@@ -0,0 +1,172 @@
+const mongoose = require('mongoose');
+const Invite = require('../models/Invite');
+const Vendor = require('../models/Vendor');
+const { getRole, permissionsBeyondCaller, capBeyondCaller } = require('../utils/permissions');
+const { OWNER_ROLE } = require('../config/permissions');
+const { newInviteCode, hashInviteCode, findUsableInvite } = require('../utils/invites');
+const { recordAudit, snapshot } = require('../utils/audit');
+
+// Staff invitations are strictly filtered by the logged-in user's vendorId
+
+// Helper: Validate MongoDB ObjectId
+const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+const DEFAULT_INVITE_HOURS = 7 * 24;
+const MAX_INVITE_HOURS = 30 * 24;
+
+// Helper to build a join link into the front end, or null when APP_URL is not configured
+const inviteLink = (code) => (process.env.APP_URL
+    ? `${process.env.APP_URL.replace(/\/$/, '')}/join?invite=${code}`
+    : null);
+
+// Helper: invite fields safe to show (never the code hash)
+const toInvite = (invite) => ({
+    id: invite.id,
+    codeHint: invite.codeHint,
+    role: invite.role,
+    maxUses: invite.maxUses,
+    uses: invite.uses,
+    expiresAt: invite.expiresAt,
+    autoApprove: invite.autoApprove,
+    note: invite.note,
+    createdBy: invite.createdBy,
+    usedBy: invite.usedBy,
+    revokedAt: invite.revokedAt,
+    status: invite.revokedAt ? 'Revoked'
+        : invite.uses >= invite.maxUses ? 'Used'
+            : invite.expiresAt <= new Date() ? 'Expired' : 'Active',
+    createdAt: invite.createdAt
+});
+
+// @desc 	Vendor creates an invite code for a role. The code is returned only once.
+// @route 	POST /api/vendor/invites
+// @access 	Private (staff.manage)
+exports.createInvite = async (req, res) => {
+    const { role, maxUses = 1, expiresInHours = DEFAULT_INVITE_HOURS, autoApprove = false, note } = req.body;
+
+    if (!role || role === OWNER_ROLE) {
+        return res.status(400).json({ msg: 'A staff role is required.' });
+    }
+    const hours = Number(expiresInHours);
+    if (!(hours > 0) || hours > MAX_INVITE_HOURS) {
+        return res.status(400).json({ msg: `expiresInHours must be between 1 and ${MAX_INVITE_HOURS}.` });
+    }
+    if (!Number.isInteger(Number(maxUses)) || Number(maxUses) < 1) {
+        return res.status(400).json({ msg: 'maxUses must be a whole number of at least 1.' });
+    }
+
+    try {
+        const target = await getRole(req.user.vendorId, role);
+        if (!target) {
+            return res.status(400).json({ msg: `Role '${role}' does not exist for this shop.` });
+        }
+        const beyond = permissionsBeyondCaller(req, target.permissions);
+        if (beyond.length > 0) {
+            return res.status(403).json({ msg: `Role '${role}' has permissions you do not hold: ${beyond.join(', ')}` });
+        }
+        if (capBeyondCaller(req, target.manualDiscountCap)) {
+            return res.status(403).json({ msg: `Role '${role}' has a higher manual discount cap than yours.` });
+        }
+
+        const code = newInviteCode();
+        const invite = new Invite({
+            vendorId: req.user.vendorId,
+            codeHash: hashInviteCode(code),
+            codeHint: code.slice(-4),
+            role,
+            maxUses: Number(maxUses),
+            expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000),
+            autoApprove: autoApprove === true || autoApprove === 'true',
+            note,
+            createdBy: req.user.id
+        });
+        await invite.save();
+        await recordAudit(req, 'staff.invite_create', { entity: invite });
+
+        res.status(201).json({
+            msg: 'Invite created. Share the code or link now; it will not be shown again.',
+            invite: toInvite(invite),
+            code,
+            link: inviteLink(code)
+        });
+
+    } catch (err) {
+        console.error(err.message);
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ msg: err.message });
+        }
+        res.status(500).send('Server error');
+    }
+};
+
+// @desc 	Vendor lists the shop's invites, newest first
+// @route 	GET /api/vendor/invites
+// @access 	Private (staff.manage)
+exports.getInvites = async (req, res) => {
+    try {
+        const invites = await Invite.find({ vendorId: req.user.vendorId })
+            .populate('usedBy.userId', 'username')
+            .sort({ createdAt: -1 })
+            .limit(200);
+
+        res.json(invites.map(toInvite));
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+};
+
+// @desc 	Vendor revokes an invite; accounts already created with it are kept
+// @route 	DELETE /api/vendor/invites/:id
+// @access 	Private (staff.manage)
+exports.revokeInvite = async (req, res) => {
+    if (!isValidObjectId(req.params.id)) {
+        return res.status(404).json({ msg: 'Invite not found.' });
+    }
+
+    try {
+        const invite = await Invite.findOne({ _id: req.params.id, vendorId: req.user.vendorId });
+        if (!invite) {
+            return res.status(404).json({ msg: 'Invite not found.' });
+        }
+        if (invite.revokedAt) {
+            return res.status(400).json({ msg: 'Invite is already revoked.' });
+        }
+
+        const before = snapshot(invite);
+        invite.revokedAt = new Date();
+        invite.revokedBy = req.user.id;
+        await invite.save();
+        await recordAudit(req, 'staff.invite_revoke', { entity: invite, before });
+
+        res.json({ msg: 'Invite revoked.', invite: toInvite(invite) });
+
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+};
+
+// @desc 	Check an invite code before signing up: which shop and role it is for
+// @route 	GET /api/auth/invites/:code
+// @access 	Public
+exports.previewInvite = async (req, res) => {
+    try {
+        const invite = await findUsableInvite(req.params.code);
+        if (!invite) {
+            return res.status(404).json({ msg: 'Invite code is invalid or has expired.' });
+        }
+        const vendor = await Vendor.findById(invite.vendorId).select('name');
+
+        res.json({
+            shopName: vendor?.name,
+            role: invite.role,
+            autoApprove: invite.autoApprove,
+            expiresAt: invite.expiresAt
+        });
+
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+};
@@ -1,35 +1,89 @@
 const MenuItem = require('../models/MenuItem');
+const Ingredient = require('../models/Ingredient');
 const mongoose = require('mongoose');
-const cloudinary = require('../config/cloudinary'); 
-const streamifier = require('streamifier');
+const { uploadToCloudinary } = require('../utils/uploads');
+const { parse: parseCsv } = require('csv-parse/sync');
+const httpError = require('../utils/httpError');
+const { recordAudit, snapshot } = require('../utils/audit');
+const { getVendorSettings } = require('../utils/vendorSettings');
 
 // Helper: Validate MongoDB ObjectId
 const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
 
-// --- Cloudinary Upload Helper (Defined here for the controller to use) ---
-const uploadToCloudinary = (buffer) =>
-    new Promise((resolve, reject) => {
-        const stream = cloudinary.uploader.upload_stream((err, result) => {
-            if (result) {
-                console.log("Image uploaded to Cloudinary:", result.secure_url);
-                resolve(result.secure_url);
-            } else {
-                console.error("Cloudinary upload error:", err);
-                reject(err);
-            }
-        });
-        streamifier.createReadStream(buffer).pipe(stream);
+// Helper: modifier groups arrive as a JSON string from multipart form-data
+const parseModifierGroups = (value) => {
+    if (value === undefined || value === '') return undefined;
+
+    let groups = value;
+    if (typeof value === 'string') {
+        try {
+            groups = JSON.parse(value);
+        } catch (err) {
+            throw httpError(400, 'modifierGroups must be valid JSON.');
+        }
+    }
+
+    if (!Array.isArray(groups)) {
+        throw httpError(400, 'modifierGroups must be an array.');
+    }
+    groups.forEach(group => {
+        const min = group.minSelect ?? 0;
+        const max = group.maxSelect ?? 1;
+        if (min > max) {
+            throw httpError(400, `Modifier group '${group.name}' has minSelect greater than maxSelect.`);
+        }
+        if (!Array.isArray(group.options) || group.options.length < min) {
+            throw httpError(400, `Modifier group '${group.name}' needs at least ${min} option(s).`);
+        }
     });
 
-// Define roles that are PERMITTED to view/manage the menu
-// Vendor/Staff roles who can access the menu interface
-const MENU_ACCESS_ROLES = ['Vendor', 'Server', 'Kitchen', 'Billing']; 
-// Roles permitted to CREATE/UPDATE/DELETE items (usually more restricted)
-const MENU_MANAGEMENT_ROLES = ['Vendor', 'Kitchen']; 
+    return groups;
+};
 
+// Helper: parse a recipe ([{ ingredientId, quantity }]) and check every ingredient belongs to the vendor
+const parseRecipe = async (value, vendorId) => {
+    if (value === undefined || value === '') return undefined;
 
-// Helper function to check role and approval status
-const checkMenuAccess = (req, res, allowedRoles = MENU_ACCESS_ROLES) => {
+    let recipe = value;
+    if (typeof value === 'string') {
+        try {
+            recipe = JSON.parse(value);
+        } catch (err) {
+            throw httpError(400, 'recipe must be valid JSON.');
+        }
+    }
+
+    const isValid = Array.isArray(recipe) && recipe.every(line =>
+        isValidObjectId(line?.ingredientId) && Number(line.quantity) > 0
+    );
+    if (!isValid) {
+        throw httpError(400, 'recipe must be an array of { ingredientId, quantity } with positive quantities.');
+    }
+
+    const ids = [...new Set(recipe.map(line => line.ingredientId.toString()))];
+    const found = await Ingredient.countDocuments({ _id: { $in: ids }, vendorId });
+    if (found !== ids.length) {
+        throw httpError(400, 'recipe references ingredients that do not exist for this vendor.');
+    }
+
+    return recipe.map(line => ({ ingredientId: line.ingredientId, quantity: Number(line.quantity) }));
+};
+
+// Which permission each updatable field needs (anything not listed needs 'menu.edit')
+const FIELD_PERMISSIONS = {
+    price: 'menu.edit_price',
+    taxRate: 'menu.edit_price',
+    taxInclusive: 'menu.edit_price',
+    stock: 'menu.edit_stock',
+    isAvailable: 'menu.edit_stock',
+    trackStock: 'menu.edit_stock',
+    lowStockThreshold: 'menu.edit_stock'
+};
+
+
+// Helper function to check vendor link and approval status.
+// Which actions a role may take is decided by the route's permission guard (config/permissions.js).
+const checkMenuAccess = (req, res) => {
     const vendorId = req.user?.vendorId;
     const userRole = req.user?.role;
     const isApproved = req.user?.isApproved;
@@ -38,15 +92,7 @@ const checkMenuAccess = (req, res, allowedRoles = MENU_ACCESS_ROLES) => {
         return res.status(403).json({ success: false, msg: 'Vendor/Staff must be linked to a Vendor entity.' });
     }
 
-    // 1. Check for approved role (Role-based access)
-    if (!allowedRoles.includes(userRole)) {
-        return res.status(403).json({ 
-            success: false, 
-            msg: `Role '${userRole}' is unauthorized for this action.` 
-        });
-    }
-
-    // 2. Check for staff approval status (Approval-based access)
+    // Check for staff approval status (Approval-based access)
     // Vendor is always considered approved. This mainly applies to staff roles.
     if (userRole !== 'Vendor' && !isApproved) {
         return res.status(403).json({ 
@@ -59,23 +105,27 @@ const checkMenuAccess = (req, res, allowedRoles = MENU_ACCESS_ROLES) => {
 };
 
 // @desc    Vendor creates a new menu item
-// @route   POST /api/menu
-// @access  Private (Vendor/Kitchen roles)
+// @route   POST /api/menu
+// @access  Private (menu.create permission)
 exports.createMenuItem = async (req, res) => {
     // 📢 Enforce role and approval checks before processing
-    const accessCheck = checkMenuAccess(req, res, MENU_MANAGEMENT_ROLES);
+    const accessCheck = checkMenuAccess(req, res);
     if (accessCheck !== true) return accessCheck;
     
     const vendorId = req.user?.vendorId;
 
     try {
         const {
-            name, price, description, category, stock, isAvailable
+            name, price, description, category, stock, isAvailable, taxRate, taxInclusive, modifierGroups,
+            trackStock, lowStockThreshold, recipe
         } = req.body;
 
         if (!name || !price || !category) {
             return res.status(400).json({ success: false, msg: 'Missing required fields: name, price, and category.' });
         }
+        // Validate modifiers before spending time on image uploads
+        const parsedModifierGroups = parseModifierGroups(modifierGroups);
+        const parsedRecipe = await parseRecipe(recipe, vendorId);
 
         // 1. Handle Image Uploads
         const imageUrls = [];
@@ -92,6 +142,12 @@ exports.createMenuItem = async (req, res) => {
         const parsedStock = stock ? parseInt(stock, 10) : undefined; 
         // Convert 'true'/'false' string from form-data to boolean
         const parsedIsAvailable = typeof isAvailable === 'string' ? (isAvailable === 'true') : isAvailable;
+        // Tax falls back to the shop's defaults
+        const { taxDefaults } = await getVendorSettings(vendorId);
+        const parsedTaxRate = taxRate !== undefined && taxRate !== '' ? parseFloat(taxRate) : taxDefaults.taxRate;
+        const parsedTaxInclusive = typeof taxInclusive === 'string' ? (taxInclusive === 'true') : (taxInclusive ?? taxDefaults.taxInclusive);
+        const parsedTrackStock = typeof trackStock === 'string' ? (trackStock === 'true') : trackStock;
+        const parsedLowStockThreshold = lowStockThreshold ? parseInt(lowStockThreshold, 10) : undefined;
 
         const newItem = new MenuItem({
             vendorId,
@@ -102,13 +158,23 @@ exports.createMenuItem = async (req, res) => {
             images: imageUrls, 
             stock: parsedStock,
             isAvailable: parsedIsAvailable,
+            taxRate: parsedTaxRate,
+            taxInclusive: parsedTaxInclusive,
+            modifierGroups: parsedModifierGroups,
+            trackStock: parsedTrackStock,
+            lowStockThreshold: parsedLowStockThreshold,
+            recipe: parsedRecipe,
         });
 
         const savedItem = await newItem.save();
+        await recordAudit(req, 'menu.create', { entity: savedItem });
         res.status(201).json({ success: true, item: savedItem, message: "Menu item created successfully." });
 
     } catch (err) {
         console.error("Create Menu Item Error:", err.message);
+        if (err.statusCode) {
+            return res.status(err.statusCode).json({ success: false, msg: err.message });
+        }
         if (err.code === 11000) { 
             return res.status(400).json({ success: false, msg: 'Menu Item name already exists for this vendor.' });
         }
@@ -119,12 +185,205 @@ exports.createMenuItem = async (req, res) => {
     }
 };
 
-// @desc    Get all menu items for the vendor
+// --- Bulk import ---
+
+// Largest file accepted by POST /api/menu/import, in rows
+const MAX_IMPORT_ROWS = 1000;
+// Columns a CSV/JSON import row may set
+const IMPORT_FIELDS = [
+    'name', 'price', 'category', 'description', 'stock', 'isAvailable', 'taxRate', 'taxInclusive',
+    'trackStock', 'lowStockThreshold', 'images', 'modifierGroups', 'recipe'
+];
+
+const parseBooleanCell = (value, field) => {
+    if (typeof value === 'boolean') return value;
+    const text = String(value).trim().toLowerCase();
+    if (['true', 'yes', '1'].includes(text)) return true;
+    if (['false', 'no', '0'].includes(text)) return false;
+    throw httpError(400, `${field} must be true or false.`);
+};
+
+const parseNumberCell = (value, field, { integer = false } = {}) => {
+    const number = Number(value);
+    if (String(value).trim() === '' || !Number.isFinite(number) || number < 0 || (integer && !Number.isInteger(number))) {
+        throw httpError(400, `${field} must be a ${integer ? 'whole ' : ''}number of 0 or more.`);
+    }
+    return number;
+};
+
+// Images are referenced by URL (CSV cells separate several URLs with '|'); files cannot be uploaded in bulk
+const parseImageUrls = (value) => {
+    const urls = Array.isArray(value) ? value : String(value).split('|');
+    const trimmed = urls.map(url => String(url).trim()).filter(Boolean);
+    trimmed.forEach(url => {
+        if (!/^https?:\/\/\S+$/i.test(url)) {
+            throw httpError(400, `Image '${url}' is not an http(s) URL.`);
+        }
+    });
+    return trimmed;
+};
+
+// Helper: turn one raw import row into MenuItem fields. Blank cells leave the field untouched.
+const parseImportRow = async (row, vendorId) => {
+    if (!row || typeof row !== 'object' || Array.isArray(row)) {
+        throw httpError(400, 'Row must be an object.');
+    }
+
+    const fields = {};
+    IMPORT_FIELDS.forEach(field => {
+        const value = row[field];
+        if (value !== undefined && value !== null && value !== '') fields[field] = value;
+    });
+
+    fields.name = typeof fields.name === 'string' ? fields.name.trim() : fields.name;
+    if (!fields.name || typeof fields.name !== 'string') throw httpError(400, 'name is required.');
+    if (fields.price === undefined) throw httpError(400, 'price is required.');
+    fields.price = parseNumberCell(fields.price, 'price');
+    if (fields.category === undefined || String(fields.category).trim() === '') throw httpError(400, 'category is required.');
+    fields.category = String(fields.category).trim();
+
+    if (fields.stock !== undefined) fields.stock = parseNumberCell(fields.stock, 'stock', { integer: true });
+    if (fields.lowStockThreshold !== undefined) {
+        fields.lowStockThreshold = parseNumberCell(fields.lowStockThreshold, 'lowStockThreshold', { integer: true });
+    }
+    if (fields.taxRate !== undefined) fields.taxRate = parseNumberCell(fields.taxRate, 'taxRate');
+    ['isAvailable', 'taxInclusive', 'trackStock'].forEach(field => {
+        if (fields[field] !== undefined) fields[field] = parseBooleanCell(fields[field], field);
+    });
+    if (fields.images !== undefined) fields.images = parseImageUrls(fields.images);
+    if (fields.modifierGroups !== undefined) fields.modifierGroups = parseModifierGroups(fields.modifierGroups);
+    if (fields.recipe !== undefined) fields.recipe = await parseRecipe(fields.recipe, vendorId);
+
+    return fields;
+};
+
+// Helper: read import rows from an uploaded CSV/JSON file or a JSON body ({ items: [...] })
+const readImportRows = (req) => {
+    if (req.file) {
+        const text = req.file.buffer.toString('utf8').replace(/^\uFEFF/, '');
+        const isJson = req.file.mimetype === 'application/json' || /\.json$/i.test(req.file.originalname);
+
+        if (isJson) {
+            let parsed;
+            try {
+                parsed = JSON.parse(text);
+            } catch (err) {
+                throw httpError(400, 'Uploaded file is not valid JSON.');
+            }
+            return Array.isArray(parsed) ? parsed : parsed?.items;
+        }
+
+        try {
+            return parseCsv(text, { columns: true, skip_empty_lines: true, trim: true, bom: true });
+        } catch (err) {
+            throw httpError(400, `Uploaded file is not valid CSV: ${err.message}`);
+        }
+    }
+
+    return Array.isArray(req.body) ? req.body : req.body?.items;
+};
+
+// @desc    Bulk create/update menu items from a CSV or JSON file (or JSON body), matched by name.
+//          With ?dryRun=true every row is validated and reported but nothing is saved.
+// @route   POST /api/menu/import
+// @access  Private (menu.import permission)
+exports.importMenuItems = async (req, res) => {
+    const accessCheck = checkMenuAccess(req, res);
+    if (accessCheck !== true) return accessCheck;
+
+    const vendorId = req.user?.vendorId;
+    const dryRun = String(req.query.dryRun ?? req.body?.dryRun) === 'true';
+
+    try {
+        const rows = readImportRows(req);
+        if (!Array.isArray(rows) || rows.length === 0) {
+            return res.status(400).json({ success: false, msg: 'Upload a CSV/JSON file or send { items: [...] } with at least one row.' });
+        }
+        if (rows.length > MAX_IMPORT_ROWS) {
+            return res.status(400).json({ success: false, msg: `Imports are limited to ${MAX_IMPORT_ROWS} rows.` });
+        }
+
+        // One lookup for every existing name instead of one per row
+        const names = rows.map(row => (typeof row?.name === 'string' ? row.name.trim() : null)).filter(Boolean);
+        const existing = await MenuItem.find({ vendorId, name: { $in: names } });
+        const existingByName = new Map(existing.map(item => [item.name, item]));
+        // New items without tax columns get the shop's defaults
+        const { taxDefaults } = await getVendorSettings(vendorId);
+
+        const seen = new Map(); // name -> first row number
+        const report = [];
+
+        for (const [index, row] of rows.entries()) {
+            const rowNumber = index + 1;
+            try {
+                const fields = await parseImportRow(row, vendorId);
+
+                if (seen.has(fields.name)) {
+                    throw httpError(400, `Duplicate of row ${seen.get(fields.name)}.`);
+                }
+                seen.set(fields.name, rowNumber);
+
+                const previous = existingByName.get(fields.name);
+                const action = previous ? 'updated' : 'created';
+
+                if (dryRun) {
+                    // Run the schema validators without touching the database
+                    const validationError = new MenuItem({ taxRate: taxDefaults.taxRate, taxInclusive: taxDefaults.taxInclusive, ...fields, vendorId }).validateSync();
+                    if (validationError) throw validationError;
+                } else {
+                    const item = await MenuItem.findOneAndUpdate(
+                        { vendorId, name: fields.name },
+                        {
+                            $set: fields,
+                            $setOnInsert: {
+                                ...(fields.taxRate === undefined && { taxRate: taxDefaults.taxRate }),
+                                ...(fields.taxInclusive === undefined && { taxInclusive: taxDefaults.taxInclusive })
+                            }
+                        },
+                        { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+                    );
+                    await recordAudit(req, previous ? 'menu.update' : 'menu.create', {
+                        entity: item,
+                        before: previous ? snapshot(previous) : undefined,
+                        note: 'Bulk import'
+                    });
+                }
+
+                report.push({ row: rowNumber, name: fields.name, status: action });
+            } catch (err) {
+                if (!err.statusCode && err.name !== 'ValidationError' && err.name !== 'CastError') throw err;
+                report.push({ row: rowNumber, name: row?.name, status: 'failed', error: err.message });
+            }
+        }
+
+        const summary = report.reduce((acc, line) => {
+            acc[line.status] += 1;
+            return acc;
+        }, { total: report.length, created: 0, updated: 0, failed: 0 });
+
+        res.json({
+            success: true,
+            dryRun,
+            summary,
+            rows: report,
+            message: dryRun ? 'Dry run complete. Nothing was saved.' : 'Menu import complete.'
+        });
+
+    } catch (err) {
+        console.error("Import Menu Items Error:", err.message);
+        if (err.statusCode) {
+            return res.status(err.statusCode).json({ success: false, msg: err.message });
+        }
+        res.status(500).json({ success: false, msg: 'Server error during menu import' });
+    }
+};
+
+// @desc    Get all menu items for the vendor
 // @route   GET /api/menu
-// @access  Private (All Approved Vendor/Staff roles: Vendor, Server, Kitchen, Billing)
+// @access  Private (menu.view permission)
 exports.getMenuItems = async (req, res) => {
     // 📢 Enforce role and approval checks before processing
-    const accessCheck = checkMenuAccess(req, res, MENU_ACCESS_ROLES);
+    const accessCheck = checkMenuAccess(req, res);
     if (accessCheck !== true) return accessCheck;
     
     const vendorId = req.user?.vendorId; 
@@ -141,11 +400,11 @@ exports.getMenuItems = async (req, res) => {
 };
 
 // @desc    Update a menu item
-// @route   PUT /api/menu/:id
-// @access  Private (Vendor/Kitchen roles)
+// @route   PUT /api/menu/:id
+// @access  Private (menu.edit; price/tax fields need menu.edit_price, stock/availability need menu.edit_stock)
 exports.updateMenuItem = async (req, res) => {
     // 📢 Enforce role and approval checks before processing
-    const accessCheck = checkMenuAccess(req, res, MENU_MANAGEMENT_ROLES);
+    const accessCheck = checkMenuAccess(req, res);
     if (accessCheck !== true) return accessCheck;
 
     const vendorId = req.user?.vendorId;
@@ -157,10 +416,24 @@ exports.updateMenuItem = async (req, res) => {
             return res.status(400).json({ success: false, msg: 'Invalid menu item ID.' });
         }
 
+        // Kitchen staff may switch a dish off without being able to change its price
+        const changedFields = Object.keys(updates).concat(req.files?.length ? ['images'] : []);
+        const missing = [...new Set(changedFields.map(field => FIELD_PERMISSIONS[field] || 'menu.edit'))]
+            .filter(permission => !req.permissions.has(permission));
+        if (missing.length > 0) {
+            return res.status(403).json({ success: false, msg: `Access denied. Requires permission: ${missing.join(', ')}` });
+        }
+
         // 1. Handle Numeric/Boolean Fields from string
         if (updates.price) updates.price = parseFloat(updates.price);
         if (updates.stock) updates.stock = parseInt(updates.stock, 10);
         if (typeof updates.isAvailable === 'string') updates.isAvailable = (updates.isAvailable === 'true');
+        if (updates.taxRate !== undefined) updates.taxRate = parseFloat(updates.taxRate);
+        if (typeof updates.taxInclusive === 'string') updates.taxInclusive = (updates.taxInclusive === 'true');
+        if (typeof updates.trackStock === 'string') updates.trackStock = (updates.trackStock === 'true');
+        if (updates.lowStockThreshold !== undefined) updates.lowStockThreshold = parseInt(updates.lowStockThreshold, 10);
+        if (updates.modifierGroups !== undefined) updates.modifierGroups = parseModifierGroups(updates.modifierGroups) || [];
+        if (updates.recipe !== undefined) updates.recipe = (await parseRecipe(updates.recipe, vendorId)) || [];
 
         // 2. Handle Image Uploads (Replace existing images if new files are provided)
         if (req.files && req.files.length > 0) {
@@ -172,21 +445,42 @@ exports.updateMenuItem = async (req, res) => {
             updates.images = newImageUrls;
         }
 
+        const existing = await MenuItem.findOne({ _id: id, vendorId });
+        if (!existing) {
+            return res.status(404).json({ success: false, msg: 'Menu item not found or unauthorized to update.' });
+        }
+
+        // Price/availability edits on an item pushed from the master menu survive later pushes
+        const overrides = existing.masterItemId
+            ? ['price', 'isAvailable'].filter(field => updates[field] !== undefined)
+            : [];
+        delete updates.localOverrides;
+        delete updates.masterItemId;
+        delete updates.autoDisabled;
+        // Switching availability by hand overrides the automatic sold-out state
+        if (updates.isAvailable !== undefined) updates.autoDisabled = false;
+
         // 3. Find and Update the item, ensuring vendor ownership
         const item = await MenuItem.findOneAndUpdate(
             { _id: id, vendorId }, // CRITICAL: Filter by both _id and vendorId
-            { $set: updates },
+            overrides.length > 0
+                ? { $set: updates, $addToSet: { localOverrides: { $each: overrides } } }
+                : { $set: updates },
             { new: true, runValidators: true }
         );
 
         if (!item) {
             return res.status(404).json({ success: false, msg: 'Menu item not found or unauthorized to update.' });
         }
+        await recordAudit(req, 'menu.update', { entity: item, before: snapshot(existing) });
 
         res.json({ success: true, item, message: "Menu item updated successfully." });
 
     } catch (err) {
         console.error("Update Menu Item Error:", err.message);
+        if (err.statusCode) {
+            return res.status(err.statusCode).json({ success: false, msg: err.message });
+        }
         if (err.code === 11000) { 
             return res.status(400).json({ success: false, msg: 'Menu Item name already exists for this vendor.' });
         }
@@ -198,11 +492,11 @@ exports.updateMenuItem = async (req, res) => {
 };
 
 // @desc    Delete a menu item
-// @route   DELETE /api/menu/:id
-// @access  Private (Vendor/Kitchen roles)
+// @route   DELETE /api/menu/:id
+// @access  Private (menu.delete permission)
 exports.deleteMenuItem = async (req, res) => {
     // 📢 Enforce role and approval checks before processing
-    const accessCheck = checkMenuAccess(req, res, MENU_MANAGEMENT_ROLES);
+    const accessCheck = checkMenuAccess(req, res);
     if (accessCheck !== true) return accessCheck;
 
     const vendorId = req.user?.vendorId;
@@ -221,10 +515,34 @@ exports.deleteMenuItem = async (req, res) => {
         if (!item) {
             return res.status(404).json({ success: false, msg: 'Menu item not found or unauthorized to delete.' });
         }
+        await recordAudit(req, 'menu.delete', { entity: item, deleted: true });
 
         res.json({ success: true, msg: `Menu item ${item.name} deleted successfully.` });
     } catch (err) {
         console.error("Delete Menu Item Error:", err.message);
         res.status(500).json({ success: false, msg: 'Server error during menu item deletion' });
     }
-};
\ No newline at end of file
+};
+
+// @desc    List stock-tracked items at or below their low-stock threshold
+// @route   GET /api/menu/low-stock
+// @access  Private (menu.edit_stock permission)
+exports.getLowStockItems = async (req, res) => {
+    const accessCheck = checkMenuAccess(req, res);
+    if (accessCheck !== true) return accessCheck;
+
+    const vendorId = req.user?.vendorId;
+
+    try {
+        const items = await MenuItem.find({
+            vendorId,
+            trackStock: true,
+            $expr: { $lte: ['$stock', '$lowStockThreshold'] }
+        }).select('name category stock lowStockThreshold isAvailable').sort({ stock: 1, name: 1 });
+
+        res.json({ success: true, count: items.length, items });
+    } catch (err) {
+        console.error("Low Stock Items Error:", err.message);
+        res.status(500).json({ success: false, msg: 'Server error retrieving low-stock items' });
+    }
+};
@@ -2,32 +2,72 @@ const Order = require('../models/Order');
 const Vendor = require('../models/Vendor'); 
 const User = require('../models/User'); 
 const MenuItem = require('../models/MenuItem');
+const { emitToPermission, emitToUser } = require('../config/socket');
+const mongoose = require('mongoose');
+const { freezeBill, claimForBilling, releaseBillingClaim, getBillTotal, round2 } = require('../utils/billing');
+const { renderInvoiceText, streamInvoicePdf } = require('../utils/invoice');
+const { buildDateRange } = require('../utils/dateRange');
+const { completedOrdersFilter } = require('../utils/orderFilters');
+const { getVendorSettings, getVendorTimeZone } = require('../utils/vendorSettings');
+const { resolveModifiers } = require('../utils/modifiers');
+const httpError = require('../utils/httpError');
+const { reserveStock, restoreStock } = require('../utils/stock');
+const { consumeIngredients } = require('../utils/inventory');
+const { OPEN_ORDER_STATUSES, resolveTable, occupyTable, releaseTableIfIdle } = require('../utils/tables');
+const { recordAudit, snapshot } = require('../utils/audit');
+const {
+    ITEM_STATUSES, canTransition, setOrderStatus, setItemStatus, advanceItems, rollUpItemStatus
+} = require('../utils/orderStatus');
+const { assignStations, stationItems, emitToStations } = require('../utils/stations');
+
+// Socket audiences: new dishes go to whoever prepares them; status changes go to every order screen
+const KITCHEN_FEED_PERMISSION = 'order.status.ready';
+const ORDER_FEED_PERMISSION = 'order.view_kitchen';
+// Statuses set through PUT /:id/status (cancelling goes through the void controller)
+const SETTABLE_STATUSES = ['Kitchen', 'Ready', 'Served', 'Billed', 'Completed'];
 
 // Helper function to calculate total amount (Uses real price from DB)
+// Validates modifier selections and prices them in; invalid input throws a 400 httpError.
 const calculateTotalAmount = async (items, vendorId) => {
-    let total = 0;
-    const itemIds = items.map(item => item.menuItemId);
-
-    // Fetch prices and names for all items in one query
-    const menuItems = await MenuItem.find({ 
-        _id: { $in: itemIds }, 
-        vendorId 
-    }).select('price name _id');
-    
-    if (menuItems.length !== itemIds.length) {
-        throw new Error('One or more menu items are invalid or unavailable.');
-    }
+    let total = 0;
+    // The same dish may appear on several lines (e.g. different sizes)
+    const itemIds = [...new Set(items.map(item => item.menuItemId.toString()))];
+
+    if (!itemIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+        throw httpError(400, 'One or more menu items are invalid or unavailable.');
+    }
+
+    // Fetch prices and names for all items in one query
+    const menuItems = await MenuItem.find({
+        _id: { $in: itemIds },
+        vendorId,
+        isAvailable: true
+    }).select('price name category taxRate taxInclusive modifierGroups _id');
+
+    if (menuItems.length !== itemIds.length) {
+        throw httpError(400, 'One or more menu items are invalid or unavailable.');
+    }
 
     const priceMap = menuItems.reduce((acc, item) => {
-        acc[item._id.toString()] = { price: item.price, name: item.name };
+        acc[item._id.toString()] = item;
         return acc;
     }, {});
 
     items.forEach(item => {
         const details = priceMap[item.menuItemId.toString()];
-        if (details) {
-            total += item.quantity * details.price;
-            item.name = details.name; // Denormalize the name into the order item for KOT/Billing view
+        if (details) {
+            const { modifiers, addons, priceDelta } = resolveModifiers(details, item.modifiers);
+            const unitPrice = details.price + priceDelta;
+
+            total += item.quantity * unitPrice;
+            item.name = details.name; // Denormalize the name into the order item for KOT/Billing view
+            item.category = details.category;
+            item.modifiers = modifiers;
+            item.addons = addons;
+            // Freeze price and tax terms so later menu edits don't change this order's bill
+            item.price = unitPrice;
+            item.taxRate = details.taxRate;
+            item.taxInclusive = details.taxInclusive;
         }
     });
 
@@ -44,8 +84,11 @@ exports.createOrder = async (req, res) => {
     const serverId = req.user.id;
 
     if (!tableNumber || !items || items.length === 0) {
-        return res.status(400).json({ msg: 'Order must include table number and at least one item.' });
-    }
+        return res.status(400).json({ msg: 'Order must include table number and at least one item.' });
+    }
+    if (!Number.isInteger(Number(tableNumber))) {
+        return res.status(400).json({ msg: 'Table number must be a whole number.' });
+    }
 
     // Basic validation for item structure
     const isValid = items.every(item => item.menuItemId && item.quantity > 0 && item.itemTableNumber);
@@ -54,26 +97,49 @@ exports.createOrder = async (req, res) => {
     }
 
     try {
-        const totalAmount = await calculateTotalAmount(items, vendorId);
+        // Orders on a table merged into another one are seated at the combined table
+        const table = await resolveTable(vendorId, tableNumber);
+
+        const totalAmount = await calculateTotalAmount(items, vendorId);
+        await assignStations(items, vendorId);
+        await reserveStock(items, vendorId);
 
-        const newOrder = new Order({
-            tableNumber,
+        const newOrder = new Order({
+            tableNumber: table.number,
             items,
             server: serverId,
             vendorId,
-            totalAmount,
-            status: 'Kitchen' // Immediately sent to kitchen upon creation
-        });
+            totalAmount,
+            status: 'Kitchen', // Immediately sent to kitchen upon creation
+            statusHistory: [{ from: null, status: 'Kitchen', changedBy: serverId, note: 'Order opened' }]
+        });
 
-        await newOrder.save();
-        res.status(201).json(newOrder);
+        try {
+            await newOrder.save();
+        } catch (saveErr) {
+            await restoreStock(items, vendorId); // Don't lose stock for an order that was never stored
+            throw saveErr;
+        }
 
-    } catch (err) {
-        console.error(err.message);
-        if (err.message.includes('invalid or unavailable')) {
-            return res.status(400).json({ msg: err.message });
-        }
-        res.status(500).send('Server error during order creation');
+        await occupyTable(vendorId, table.number);
+        await recordAudit(req, 'order.create', { entity: newOrder });
+
+        // Ingredient deduction must never fail an order that has already been stored
+        await consumeIngredients(newOrder.items, vendorId, { orderId: newOrder._id, userId: serverId })
+            .catch(err => console.error('Ingredient deduction failed:', err.message));
+
+        // Push the new KOT to kitchen screens
+        emitToPermission(vendorId, KITCHEN_FEED_PERMISSION, 'order:new', newOrder);
+        emitToStations(newOrder, 'order_new', newOrder.items);
+
+        res.status(201).json(newOrder);
+
+    } catch (err) {
+        console.error(err.message);
+        if (err.statusCode) {
+            return res.status(err.statusCode).json({ msg: err.message });
+        }
+        res.status(500).send('Server error during order creation');
     }
 };
 
@@ -105,55 +171,90 @@ exports.addItemsToOrder = async (req, res) => {
             return res.status(404).json({ msg: 'Order not found for this shop.' });
         }
 
-        // Prevent modifying completed orders
-        if (order.status === 'Completed' || order.status === 'Billed') {
+        // Prevent modifying completed orders
+        if (['Completed', 'Billed', 'Cancelled'].includes(order.status)) {
             return res.status(400).json({ msg: `Cannot add items to an already ${order.status} order.` });
         }
 
-        // Calculate price and denormalize names for NEW items
-        let newItemsTotal = await calculateTotalAmount(newItems, vendorId);
+        const before = snapshot(order);
+
+        // Calculate price and denormalize names for NEW items
+        let newItemsTotal = await calculateTotalAmount(newItems, vendorId);
+        await assignStations(newItems, vendorId);
+        await reserveStock(newItems, vendorId);
 
         // Append new items and update total
         order.items.push(...newItems);
         order.totalAmount += newItemsTotal;
 
         // Reset status to 'Kitchen' to notify kitchen staff of the add-on
-        if (order.status !== 'Kitchen' && order.status !== 'Pending') {
-             order.status = 'Kitchen'; 
-        }
+        if (order.status !== 'Kitchen' && order.status !== 'Pending') {
+             setOrderStatus(order, 'Kitchen', req.user.id, `${newItems.length} item(s) added`);
+        }
+
+        try {
+            await order.save();
+        } catch (saveErr) {
+            await restoreStock(newItems, vendorId);
+            throw saveErr;
+        }
+        await recordAudit(req, 'order.add_items', { entity: order, before });
 
-        await order.save();
+        await consumeIngredients(newItems, vendorId, { orderId: order._id, userId: req.user.id })
+            .catch(err => console.error('Ingredient deduction failed:', err.message));
 
-        res.json({ 
-            msg: `Successfully added ${newItems.length} items to the order. Total updated.`, 
+        // Push only the add-on items so the kitchen sees what is new
+        emitToPermission(vendorId, KITCHEN_FEED_PERMISSION, 'order:items_added', {
+            orderId: order._id,
+            tableNumber: order.tableNumber,
+            status: order.status,
+            items: order.items.slice(-newItems.length)
+        });
+        emitToStations(order, 'items_added', order.items.slice(-newItems.length));
+
+        res.json({
+            msg: `Successfully added ${newItems.length} items to the order. Total updated.`, 
             order 
         });
 
-    } catch (err) {
-        console.error(err.message);
-        if (err.message.includes('invalid or unavailable')) {
-            return res.status(400).json({ msg: err.message });
-        }
-        if (err.kind === 'ObjectId') {
+    } catch (err) {
+        console.error(err.message);
+        if (err.statusCode) {
+            return res.status(err.statusCode).json({ msg: err.message });
+        }
+        if (err.kind === 'ObjectId') {
             return res.status(404).json({ msg: 'Order not found.' });
         }
         res.status(500).send('Server error during add-on operation');
     }
 };
 
-// @desc    Kitchen gets pending/cooking orders
-// @route   GET /api/orders/kitchen
-// @access  Private (Kitchen role required)
+// @desc    Kitchen gets pending/cooking orders. With ?stationId= only that station's lines still to cook.
+// @route   GET /api/orders/kitchen?stationId=
+// @access  Private (Kitchen role required)
 exports.getKitchenOrders = async (req, res) => {
-    const vendorId = req.user.vendorId;
+    const vendorId = req.user.vendorId;
+    const { stationId } = req.query;
 
-    try {
-        const orders = await Order.find({
-            vendorId,
-            status: { $in: ['Pending', 'Kitchen'] }
-        }).sort({ createdAt: 1 }); 
+    if (stationId && !mongoose.Types.ObjectId.isValid(stationId)) {
+        return res.status(400).json({ msg: 'Invalid station ID.' });
+    }
 
-        res.json(orders);
+    try {
+        const query = { vendorId, status: { $in: ['Pending', 'Kitchen'] } };
+        // Lines no station claims show on every station's screen
+        if (stationId) query['items.stationId'] = { $in: [stationId, null] };
+
+        const orders = await Order.find(query).sort({ createdAt: 1 }); 
+
+        if (!stationId) {
+            return res.json(orders);
+        }
+
+        // The KOT for a station carries only its own lines (and unrouted ones)
+        res.json(orders
+            .map(order => ({ ...order.toObject(), items: stationItems(order, stationId) }))
+            .filter(order => order.items.length > 0));
     } catch (err) {
         console.error(err.message);
         res.status(500).send('Server error retrieving kitchen orders');
@@ -208,23 +309,16 @@ exports.getOrderById = async (req, res) => {
 
 // @desc    Update order status
 // @route   PUT /api/orders/:id/status
-// @access  Private (Kitchen, Server, Billing, Vendor roles)
+// @access  Private (order.status.<status> permission for the target status)
 exports.updateStatus = async (req, res) => {
-    const { newStatus } = req.body;
-    const vendorId = req.user.vendorId;
-    const userRole = req.user.role;
-    
-    // Define which roles are allowed to set which statuses
-    const allowedTransitions = {
-        Kitchen: ['Ready'], 
-        Server: ['Served'], 
-        Billing: ['Billed', 'Completed'], 
-        Vendor: ['Pending', 'Kitchen', 'Ready', 'Served', 'Billed', 'Completed'] 
-    };
-    
-    if (!newStatus || !allowedTransitions[userRole]?.includes(newStatus)) {
-        return res.status(400).json({ msg: `Invalid status or role (${userRole}) not authorized to set status to ${newStatus}.` });
-    }
+    const { newStatus } = req.body;
+    const vendorId = req.user.vendorId;
+    const userRole = req.user.role;
+    
+    // Each target status has its own permission, e.g. Kitchen staff hold order.status.ready
+    if (!newStatus || !SETTABLE_STATUSES.includes(newStatus) || !req.permissions.has(`order.status.${newStatus.toLowerCase()}`)) {
+        return res.status(400).json({ msg: `Invalid status or role (${userRole}) not authorized to set status to ${newStatus}.` });
+    }
 
     try {
         let order = await Order.findOne({
@@ -236,14 +330,63 @@ exports.updateStatus = async (req, res) => {
             return res.status(404).json({ msg: 'Order not found for this shop.' });
         }
         
-        // Prevent setting a status that is chronologically backwards or already final
-        // NOTE: Vendor is allowed to reset status backwards for correction, but staff are not.
-        if (order.status === 'Completed' && userRole !== 'Vendor') {
-             return res.status(400).json({ msg: `Cannot change status of an already ${order.status} order.` });
-        }
+        // Only moves allowed by the state machine (utils/orderStatus), for every role
+        if (!canTransition(order.status, newStatus)) {
+            return res.status(400).json({ msg: `Cannot move an order from ${order.status} to ${newStatus}.` });
+        }
+        // NOTE: Only roles with order.status.reopen (the Vendor by default) may correct a Completed order.
+        if (order.status === 'Completed' && !req.permissions.has('order.status.reopen')) {
+             return res.status(400).json({ msg: `Cannot change status of an already ${order.status} order.` });
+        }
+
+        const before = snapshot(order);
+
+        // An order can only be closed once its payments cover the bill
+        if (newStatus === 'Completed' && order.amountPaid < getBillTotal(order)) {
+            return res.status(400).json({
+                msg: `Cannot complete order: ${round2(getBillTotal(order) - order.amountPaid).toFixed(2)} is still due.`
+            });
+        }
+
+        // Moving to 'Billed' without an explicit bill still freezes one with the shop's default supply type
+        if (newStatus === 'Billed' && !order.bill) {
+            const claimed = await claimForBilling({ _id: order._id });
+            if (!claimed) {
+                return res.status(409).json({ msg: 'This order is being billed by someone else. Try again in a moment.' });
+            }
+            order = claimed;
+            try {
+                await freezeBill(order, { billedBy: req.user.id });
+            } catch (billErr) {
+                await releaseBillingClaim(order);
+                throw billErr;
+            }
+        }
+
+        // Marking the whole order Ready/Served bumps its remaining lines too
+        if (['Ready', 'Served'].includes(newStatus)) {
+            advanceItems(order, newStatus, req.user.id);
+        }
+        setOrderStatus(order, newStatus, req.user.id, req.body.note);
+        await order.save();
+        await recordAudit(req, 'order.status', { entity: order, before });
+
+        if (newStatus === 'Completed') {
+            await releaseTableIfIdle(vendorId, order.tableNumber);
+        }
 
-        order.status = newStatus;
-        await order.save();
+        emitToPermission(vendorId, ORDER_FEED_PERMISSION, 'order:status', {
+            orderId: order._id,
+            tableNumber: order.tableNumber,
+            status: order.status
+        });
+        // Let the server who took the order know it can be picked up
+        if (newStatus === 'Ready') {
+            emitToUser(order.server?.toString(), 'order:ready', {
+                orderId: order._id,
+                tableNumber: order.tableNumber
+            });
+        }
 
         res.json({ msg: `Order status updated to ${newStatus}`, order });
 
@@ -252,8 +395,156 @@ exports.updateStatus = async (req, res) => {
         if (err.kind === 'ObjectId') {
             return res.status(404).json({ msg: 'Order not found.' });
         }
-        res.status(500).send('Server error during status update');
-    }
+        if (err.statusCode) {
+            return res.status(err.statusCode).json({ msg: err.message });
+        }
+        res.status(500).send('Server error during status update');
+    }
+};
+
+// @desc    Move one line through the kitchen (Queued -> Preparing -> Ready -> Served). The order
+//          becomes Ready once every line is Ready, and Served once every line is Served.
+// @route   PUT /api/orders/:id/items/:itemId/status
+// @access  Private (order.status.ready for kitchen steps, order.status.served to serve)
+exports.updateItemStatus = async (req, res) => {
+    const { status } = req.body;
+    const vendorId = req.user.vendorId;
+
+    const permission = status === 'Served' ? 'order.status.served' : 'order.status.ready';
+    if (!ITEM_STATUSES.includes(status) || !req.permissions.has(permission)) {
+        return res.status(400).json({ msg: `Invalid item status or role (${req.user.role}) not authorized to set it to ${status}.` });
+    }
+
+    try {
+        const order = await Order.findOne({ _id: req.params.id, vendorId });
+        if (!order) {
+            return res.status(404).json({ msg: 'Order not found for this shop.' });
+        }
+        if (!['Kitchen', 'Ready', 'Served'].includes(order.status)) {
+            return res.status(400).json({ msg: `Items of a ${order.status} order cannot change kitchen status.` });
+        }
+
+        const item = order.items.id(req.params.itemId);
+        if (!item) {
+            return res.status(404).json({ msg: 'Item not found on this order.' });
+        }
+
+        const before = snapshot(order);
+        setItemStatus(item, status, req.user.id);
+        // A line sent back to the kitchen takes the order back with it
+        if (['Queued', 'Preparing'].includes(status) && order.status !== 'Kitchen') {
+            setOrderStatus(order, 'Kitchen', req.user.id, `${item.name} sent back`);
+        }
+        const orderChanged = rollUpItemStatus(order, req.user.id) || order.status !== before.status;
+        await order.save();
+        await recordAudit(req, 'order.item_status', { entity: order, before });
+
+        emitToPermission(vendorId, ORDER_FEED_PERMISSION, 'order:item_status', {
+            orderId: order._id,
+            tableNumber: order.tableNumber,
+            itemId: item._id,
+            name: item.name,
+            kitchenStatus: item.kitchenStatus
+        });
+        if (orderChanged) {
+            emitToPermission(vendorId, ORDER_FEED_PERMISSION, 'order:status', {
+                orderId: order._id,
+                tableNumber: order.tableNumber,
+                status: order.status
+            });
+        }
+        // The server hears about each dish as it comes off the pass
+        if (status === 'Ready') {
+            emitToUser(order.server?.toString(), 'order:ready', {
+                orderId: order._id,
+                tableNumber: order.tableNumber,
+                itemId: item._id,
+                name: item.name
+            });
+        }
+
+        res.json({ msg: `${item.name} is now ${item.kitchenStatus}.`, order });
+
+    } catch (err) {
+        console.error(err.message);
+        if (err.statusCode) {
+            return res.status(err.statusCode).json({ msg: err.message });
+        }
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({ msg: 'Order not found.' });
+        }
+        res.status(500).send('Server error updating item status');
+    }
+};
+
+// @desc    A station bumps all of its lines on an order to Preparing or Ready. The order becomes
+//          Ready once every station (and unrouted line) is done.
+// @route   POST /api/orders/:id/stations/:stationId/bump
+// @access  Private (order.status.ready)
+exports.bumpStation = async (req, res) => {
+    const { status = 'Ready' } = req.body;
+    const { stationId } = req.params;
+    const vendorId = req.user.vendorId;
+
+    if (!['Preparing', 'Ready'].includes(status)) {
+        return res.status(400).json({ msg: 'A station can bump its items to Preparing or Ready.' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(stationId)) {
+        return res.status(400).json({ msg: 'Invalid station ID.' });
+    }
+
+    try {
+        const order = await Order.findOne({ _id: req.params.id, vendorId });
+        if (!order) {
+            return res.status(404).json({ msg: 'Order not found for this shop.' });
+        }
+        if (order.status !== 'Kitchen') {
+            return res.status(400).json({ msg: `Cannot bump items of a ${order.status} order.` });
+        }
+
+        const items = stationItems(order, stationId).filter(item => item.kitchenStatus !== status);
+        if (items.length === 0) {
+            return res.status(400).json({ msg: 'This station has nothing left to bump on this order.' });
+        }
+
+        const before = snapshot(order);
+        items.forEach(item => setItemStatus(item, status, req.user.id));
+        const orderChanged = rollUpItemStatus(order, req.user.id);
+        await order.save();
+        await recordAudit(req, 'order.station_bump', { entity: order, before, note: items[0].station });
+
+        emitToPermission(vendorId, ORDER_FEED_PERMISSION, 'order:station_bumped', {
+            orderId: order._id,
+            tableNumber: order.tableNumber,
+            stationId,
+            station: items[0].station,
+            kitchenStatus: status,
+            itemIds: items.map(item => item._id)
+        });
+        if (orderChanged) {
+            emitToPermission(vendorId, ORDER_FEED_PERMISSION, 'order:status', {
+                orderId: order._id,
+                tableNumber: order.tableNumber,
+                status: order.status
+            });
+            emitToUser(order.server?.toString(), 'order:ready', {
+                orderId: order._id,
+                tableNumber: order.tableNumber
+            });
+        }
+
+        res.json({ msg: `${items.length} item(s) marked ${status}.`, order });
+
+    } catch (err) {
+        console.error(err.message);
+        if (err.statusCode) {
+            return res.status(err.statusCode).json({ msg: err.message });
+        }
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({ msg: 'Order not found.' });
+        }
+        res.status(500).send('Server error bumping station items');
+    }
 };
 
 // @desc    Vendor/Management gets completed (billed/closed) orders
@@ -265,40 +556,471 @@ exports.getCompletedOrders = async (req, res) => {
     // Optional: Allow filtering by date range for better performance/usability
     const { startDate, endDate } = req.query; 
 
-    try {
-        const query = {
-            vendorId,
-            // CORRECT: This correctly includes both Billed and Completed for reporting
-            status: { $in: ['Billed', 'Completed'] } 
-        };
-
-        // Apply date filtering
-        if (startDate && endDate) {
-            // Note: Ensuring endDate includes the whole day
-            const endOfDay = new Date(endDate);
-            endOfDay.setHours(23, 59, 59, 999); 
-
-            query.updatedAt = {
-                $gte: new Date(startDate),
-                $lte: endOfDay
-            };
-        }
-        
-        // Populate server details (optional, but useful for reports)
-        const orders = await Order.find(query)
-            .sort({ updatedAt: -1 }); 
-            
+    try {
+        // Billed and Completed orders, with optional date filtering on the shop's calendar days
+        const query = completedOrdersFilter(vendorId, { startDate, endDate }, await getVendorTimeZone(vendorId));
         
-        // Optional: Calculate total sales amount for the fetched orders
-        const totalSales = orders.reduce((acc, order) => acc + order.totalAmount, 0);
+        // Populate server details (optional, but useful for reports)
+        const orders = await Order.find(query)
+            .sort({ updatedAt: -1 }); 
 
-        res.json({
-            count: orders.length,
-            totalSales: totalSales.toFixed(2),
-            orders: orders
-        });
+        // Cancelled orders carry no revenue but are reported alongside it
+        const cancelledOrders = await Order.find({ ...query, status: 'Cancelled' }).select('voidedAmount');
+
+        // Optional: Calculate total sales amount for the fetched orders
+        const totalSales = orders.reduce((acc, order) => acc + order.totalAmount, 0);
+        const discounts = orders.reduce((acc, order) => acc + order.discountTotal, 0);
+        const refunds = orders.reduce((acc, order) => acc + order.refundedAmount, 0);
+        const voids = orders.reduce((acc, order) => acc + order.voidedAmount, 0);
+
+        res.json({
+            count: orders.length,
+            totalSales: totalSales.toFixed(2), // Gross: item value before discounts
+            discountTotal: discounts.toFixed(2),
+            // Voids and refunds are shown separately from revenue
+            voidedAmount: voids.toFixed(2),
+            refundedAmount: refunds.toFixed(2),
+            netSales: (totalSales - discounts - refunds).toFixed(2),
+            cancelled: {
+                count: cancelledOrders.length,
+                amount: cancelledOrders.reduce((acc, order) => acc + order.voidedAmount, 0).toFixed(2)
+            },
+            orders: orders
+        });
     } catch (err) { 
         console.error(err.message);
         res.status(500).send('Server error retrieving completed orders');
     }
-};
\ No newline at end of file
+};
+
+// @desc    Generate the bill: freeze subtotal, GST lines and grand total and assign an invoice number
+// @route   POST /api/orders/:id/bill
+// @access  Private (Billing, Vendor roles)
+exports.generateBill = async (req, res) => {
+    const vendorId = req.user.vendorId;
+    // Defaults to the shop's tax settings when not given; applyServiceCharge: false waives the service charge
+    const { supplyType, applyServiceCharge = true } = req.body;
+
+    if (supplyType !== undefined && !['Intra', 'Inter'].includes(supplyType)) {
+        return res.status(400).json({ msg: "supplyType must be either 'Intra' or 'Inter'." });
+    }
+    if (typeof applyServiceCharge !== 'boolean') {
+        return res.status(400).json({ msg: 'applyServiceCharge must be true or false.' });
+    }
+
+    let order;
+    let billed = false;
+    try {
+        // Claim the order first so two bill requests cannot both take an invoice number
+        order = await claimForBilling({ _id: req.params.id, vendorId });
+
+        if (!order) {
+            const existing = await Order.findOne({ _id: req.params.id, vendorId }).select('bill.invoiceNumber');
+            if (!existing) {
+                return res.status(404).json({ msg: 'Order not found for this shop.' });
+            }
+            if (existing.bill) {
+                return res.status(400).json({ msg: `Order is already billed as ${existing.bill.invoiceNumber}.` });
+            }
+            return res.status(409).json({ msg: 'This order is being billed by someone else. Try again in a moment.' });
+        }
+
+        if (['Pending', 'Completed'].includes(order.status) || !canTransition(order.status, 'Billed')) {
+            return res.status(400).json({ msg: `Cannot bill an order that is ${order.status}.` });
+        }
+
+        const before = snapshot(order);
+        await freezeBill(order, { supplyType, applyServiceCharge, billedBy: req.user.id });
+        setOrderStatus(order, 'Billed', req.user.id);
+        await order.save();
+        billed = true;
+        await recordAudit(req, 'order.bill', { entity: order, before });
+
+        emitToPermission(vendorId, ORDER_FEED_PERMISSION, 'order:status', {
+            orderId: order._id,
+            tableNumber: order.tableNumber,
+            status: order.status
+        });
+
+        res.json({ msg: `Invoice ${order.bill.invoiceNumber} generated.`, order });
+
+    } catch (err) {
+        console.error(err.message);
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({ msg: 'Order not found.' });
+        }
+        res.status(500).send('Server error during bill generation');
+    } finally {
+        // Let someone else bill the order when this attempt stopped short
+        if (order && !billed) {
+            await releaseBillingClaim(order).catch(err => console.error('Billing claim release failed:', err.message));
+        }
+    }
+};
+
+// @desc    Download the invoice of a billed order as PDF or thermal-printer text
+// @route   GET /api/orders/:id/invoice?format=pdf|text
+// @access  Private (Billing, Server, Vendor roles)
+exports.getInvoice = async (req, res) => {
+    const vendorId = req.user.vendorId;
+    const format = req.query.format || 'pdf';
+
+    if (!['pdf', 'text'].includes(format)) {
+        return res.status(400).json({ msg: "format must be either 'pdf' or 'text'." });
+    }
+
+    try {
+        const order = await Order.findOne({
+            _id: req.params.id,
+            vendorId
+        });
+
+        if (!order) {
+            return res.status(404).json({ msg: 'Order not found for this shop.' });
+        }
+
+        if (!order.bill) {
+            return res.status(400).json({ msg: 'Order has not been billed yet.' });
+        }
+
+        const [vendor, settings] = await Promise.all([Vendor.findById(vendorId), getVendorSettings(vendorId)]);
+        const fileName = `${order.bill.invoiceNumber}.${format === 'pdf' ? 'pdf' : 'txt'}`;
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+        if (format === 'text') {
+            res.type('text/plain').send(renderInvoiceText(order, vendor, settings));
+        } else {
+            res.type('application/pdf');
+            streamInvoicePdf(order, vendor, settings, res);
+        }
+
+    } catch (err) {
+        console.error(err.message);
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({ msg: 'Order not found.' });
+        }
+        res.status(500).send('Server error generating invoice');
+    }
+};
+
+// @desc    Record one or more payments (tenders) against a billed order
+// @route   POST /api/orders/:id/payments
+// @access  Private (Billing, Vendor roles)
+exports.addPayments = async (req, res) => {
+    const vendorId = req.user.vendorId;
+    // Accept either { payments: [...] } for split tenders or a single payment object
+    const payments = Array.isArray(req.body.payments) ? req.body.payments : [req.body];
+
+    const isValid = payments.length > 0 && payments.every(p => p.method && Number(p.amount) > 0);
+    if (!isValid) {
+        return res.status(400).json({ msg: 'Each payment must include a method and a positive amount.' });
+    }
+
+    try {
+        const order = await Order.findOne({
+            _id: req.params.id,
+            vendorId
+        });
+
+        if (!order) {
+            return res.status(404).json({ msg: 'Order not found for this shop.' });
+        }
+
+        if (order.status !== 'Billed') {
+            return res.status(400).json({ msg: 'Payments can only be recorded against a Billed order.' });
+        }
+
+        const billTotal = getBillTotal(order);
+        const due = round2(billTotal - order.amountPaid);
+        const total = round2(payments.reduce((acc, p) => acc + Number(p.amount), 0));
+        if (total > due) {
+            return res.status(400).json({ msg: `Payment of ${total.toFixed(2)} exceeds the balance due of ${due.toFixed(2)}.` });
+        }
+
+        const tenders = [];
+        for (const p of payments) {
+            const amount = round2(Number(p.amount));
+            // Only cash can be over-tendered; other methods are charged the exact amount
+            const tendered = p.method === 'Cash' && p.tendered !== undefined ? round2(Number(p.tendered)) : amount;
+            if (tendered < amount) {
+                return res.status(400).json({ msg: `Tendered amount ${tendered.toFixed(2)} is less than the payment amount.` });
+            }
+
+            tenders.push({
+                method: p.method,
+                amount,
+                tendered,
+                change: round2(tendered - amount),
+                reference: p.reference,
+                receivedBy: req.user.id
+            });
+        }
+
+        const before = snapshot(order);
+        // Record the tenders in one conditional update so concurrent payments cannot overpay the bill.
+        // Half a paisa of slack absorbs floating-point drift in the stored running total.
+        const paid = await Order.findOneAndUpdate(
+            { _id: order._id, vendorId, status: 'Billed', amountPaid: { $lte: billTotal - total + 0.005 } },
+            { $push: { payments: { $each: tenders } }, $inc: { amountPaid: total } },
+            { new: true, runValidators: true }
+        );
+        if (!paid) {
+            return res.status(409).json({ msg: 'The order changed while recording the payment (another payment may have been taken). Check the balance and try again.' });
+        }
+
+        const methods = [...new Set(paid.payments.map(p => p.method))];
+        paid.paymentMethod = methods.length > 1 ? 'Split' : methods[0];
+        await Order.updateOne({ _id: paid._id }, { paymentMethod: paid.paymentMethod });
+        await recordAudit(req, 'order.payment', { entity: paid, before });
+
+        res.json({
+            msg: 'Payment recorded.',
+            balanceDue: round2(getBillTotal(paid) - paid.amountPaid),
+            change: round2(tenders.reduce((acc, p) => acc + p.change, 0)),
+            order: paid
+        });
+
+    } catch (err) {
+        console.error(err.message);
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ msg: err.message });
+        }
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({ msg: 'Order not found.' });
+        }
+        res.status(500).send('Server error recording payment');
+    }
+};
+
+// @desc    Record a tip on a billed order. It is attributed to the order's server.
+// @route   POST /api/orders/:id/tips
+// @access  Private (order.payment)
+exports.addTip = async (req, res) => {
+    const { amount, method, reference } = req.body;
+
+    if (!(Number(amount) > 0) || !method) {
+        return res.status(400).json({ msg: 'A tip must include a positive amount and a method.' });
+    }
+
+    try {
+        const order = await Order.findOne({ _id: req.params.id, vendorId: req.user.vendorId });
+        if (!order) {
+            return res.status(404).json({ msg: 'Order not found for this shop.' });
+        }
+        if (!['Billed', 'Completed'].includes(order.status)) {
+            return res.status(400).json({ msg: 'Tips can only be recorded on Billed or Completed orders.' });
+        }
+
+        const before = snapshot(order);
+        order.tips.push({
+            amount: round2(Number(amount)),
+            method,
+            reference,
+            serverId: order.server,
+            receivedBy: req.user.id
+        });
+        order.tipTotal = round2(order.tips.reduce((acc, tip) => acc + tip.amount, 0));
+        await order.save();
+        await recordAudit(req, 'order.tip', { entity: order, before });
+
+        res.json({ msg: `Tip of ${round2(Number(amount)).toFixed(2)} recorded.`, order });
+
+    } catch (err) {
+        console.error(err.message);
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ msg: err.message });
+        }
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({ msg: 'Order not found.' });
+        }
+        res.status(500).send('Server error recording tip');
+    }
+};
+
+// @desc    Remove a tip recorded by mistake
+// @route   DELETE /api/orders/:id/tips/:tipId
+// @access  Private (order.refund)
+exports.removeTip = async (req, res) => {
+    try {
+        const order = await Order.findOne({ _id: req.params.id, vendorId: req.user.vendorId });
+        if (!order) {
+            return res.status(404).json({ msg: 'Order not found for this shop.' });
+        }
+
+        const tip = order.tips.id(req.params.tipId);
+        if (!tip) {
+            return res.status(404).json({ msg: 'Tip not found on this order.' });
+        }
+
+        const before = snapshot(order);
+        tip.deleteOne();
+        order.tipTotal = round2(order.tips.reduce((acc, t) => acc + t.amount, 0));
+        await order.save();
+        await recordAudit(req, 'order.tip_remove', { entity: order, before, note: req.body?.reason });
+
+        res.json({ msg: 'Tip removed.', order });
+
+    } catch (err) {
+        console.error(err.message);
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({ msg: 'Order not found.' });
+        }
+        res.status(500).send('Server error removing tip');
+    }
+};
+
+// @desc    End-of-shift reconciliation: tenders totalled per method and per Billing user
+// @route   GET /api/orders/reconciliation?startDate=&endDate=&userId=
+// @access  Private (order.reconciliation) - without order.reconciliation.all users only see their own tenders
+exports.getReconciliation = async (req, res) => {
+    const vendorId = req.user.vendorId;
+    const { startDate, endDate, userId } = req.query;
+
+    if (!startDate || !endDate) {
+        return res.status(400).json({ msg: 'startDate and endDate are required.' });
+    }
+
+    const receivedBy = req.permissions.has('order.reconciliation.all') ? userId : req.user.id;
+    if (receivedBy && !mongoose.Types.ObjectId.isValid(receivedBy)) {
+        return res.status(400).json({ msg: 'Invalid user ID.' });
+    }
+
+    try {
+        const dateRange = buildDateRange(startDate, endDate, await getVendorTimeZone(vendorId));
+        const paymentMatch = { 'payments.receivedAt': dateRange };
+        if (receivedBy) {
+            paymentMatch['payments.receivedBy'] = new mongoose.Types.ObjectId(receivedBy);
+        }
+
+        const [result] = await Order.aggregate([
+            { $match: { vendorId: new mongoose.Types.ObjectId(vendorId), 'payments.receivedAt': dateRange } },
+            { $unwind: '$payments' },
+            { $match: paymentMatch },
+            {
+                $facet: {
+                    byMethod: [
+                        {
+                            $group: {
+                                _id: '$payments.method',
+                                amount: { $sum: '$payments.amount' },
+                                tendered: { $sum: '$payments.tendered' },
+                                change: { $sum: '$payments.change' },
+                                count: { $sum: 1 }
+                            }
+                        },
+                        { $sort: { _id: 1 } }
+                    ],
+                    byUser: [
+                        {
+                            $group: {
+                                _id: { user: '$payments.receivedBy', method: '$payments.method' },
+                                amount: { $sum: '$payments.amount' },
+                                count: { $sum: 1 }
+                            }
+                        },
+                        {
+                            $group: {
+                                _id: '$_id.user',
+                                total: { $sum: '$amount' },
+                                methods: { $push: { method: '$_id.method', amount: '$amount', count: '$count' } }
+                            }
+                        },
+                        { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+                        {
+                            $project: {
+                                _id: 0,
+                                userId: '$_id',
+                                username: { $arrayElemAt: ['$user.username', 0] },
+                                total: 1,
+                                methods: 1
+                            }
+                        },
+                        { $sort: { username: 1 } }
+                    ]
+                }
+            }
+        ]);
+
+        const byMethod = result.byMethod.map(m => ({
+            method: m._id,
+            amount: round2(m.amount),
+            tendered: round2(m.tendered),
+            change: round2(m.change),
+            count: m.count
+        }));
+
+        res.json({
+            startDate,
+            endDate,
+            totalCollected: round2(byMethod.reduce((acc, m) => acc + m.amount, 0)),
+            byMethod,
+            byUser: result.byUser
+        });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error retrieving payment reconciliation');
+    }
+};
+
+// @desc    Move an open order to another table
+// @route   PUT /api/orders/:id/table
+// @access  Private (Server, Billing, Vendor roles)
+exports.moveOrderTable = async (req, res) => {
+    const vendorId = req.user.vendorId;
+    const { tableNumber } = req.body;
+
+    if (!tableNumber) {
+        return res.status(400).json({ msg: 'Target table number is required.' });
+    }
+
+    try {
+        const order = await Order.findOne({
+            _id: req.params.id,
+            vendorId
+        });
+
+        if (!order) {
+            return res.status(404).json({ msg: 'Order not found for this shop.' });
+        }
+
+        if (!OPEN_ORDER_STATUSES.includes(order.status)) {
+            return res.status(400).json({ msg: `Cannot move a ${order.status} order.` });
+        }
+
+        const table = await resolveTable(vendorId, tableNumber);
+        const fromTable = order.tableNumber;
+        if (table.number === fromTable) {
+            return res.status(400).json({ msg: `Order is already on table ${fromTable}.` });
+        }
+
+        const before = snapshot(order);
+        order.tableNumber = table.number;
+        // Items that were served to the old table follow the order
+        order.items.forEach(item => {
+            if (item.itemTableNumber === fromTable) item.itemTableNumber = table.number;
+        });
+        await order.save();
+
+        await occupyTable(vendorId, table.number);
+        await releaseTableIfIdle(vendorId, fromTable);
+        await recordAudit(req, 'order.move_table', { entity: order, before });
+
+        emitToPermission(vendorId, ORDER_FEED_PERMISSION, 'order:moved', {
+            orderId: order._id,
+            fromTable,
+            tableNumber: order.tableNumber
+        });
+
+        res.json({ msg: `Order moved from table ${fromTable} to table ${order.tableNumber}.`, order });
+
+    } catch (err) {
+        console.error(err.message);
+        if (err.statusCode) {
+            return res.status(err.statusCode).json({ msg: err.message });
+        }
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({ msg: 'Order not found.' });
+        }
+        res.status(500).send('Server error moving order');
+    }
+};
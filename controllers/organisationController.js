@@ -0,0 +1,325 @@
+const mongoose = require('mongoose');
+const Organisation = require('../models/Organisation');
+const Vendor = require('../models/Vendor');
+const User = require('../models/User');
+const MenuItem = require('../models/MenuItem');
+const { OWNER_ROLE } = require('../config/permissions');
+const { getOwnOrganisation } = require('../utils/organisations');
+const { invalidateUser } = require('../utils/liveUser');
+const { recordAudit, snapshot } = require('../utils/audit');
+
+// Multi-outlet organisations. Every action here is limited to the organisation owned by the logged-in user.
+
+// Helper: Validate MongoDB ObjectId
+const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+// Menu fields copied from the master outlet. Stock, recipes and stations stay per outlet.
+const MASTER_MENU_FIELDS = ['name', 'description', 'category', 'price', 'images', 'isAvailable', 'taxRate', 'taxInclusive', 'modifierGroups'];
+// Fields an outlet may override on a pushed item
+const OVERRIDABLE_FIELDS = ['price', 'isAvailable'];
+
+// Helper: the caller's organisation and its outlet IDs, or a 404 response
+const loadOrganisation = async (req, res) => {
+    const organisation = await getOwnOrganisation(req.user.id);
+    if (!organisation) {
+        res.status(404).json({ msg: 'You do not own an organisation. Create one with POST /api/organisation.' });
+        return null;
+    }
+    const outlets = await Vendor.find({ organisationId: organisation._id }).sort({ name: 1 });
+    return { organisation, outlets, outletIds: outlets.map(outlet => outlet.id) };
+};
+
+/**
+ * Copy master menu items into one outlet. Items are matched by masterItemId, then by name;
+ * fields the outlet has overridden are kept, and items the outlet has sold out of (tracked stock
+ * at zero) stay unavailable. Returns { created, updated, failed }.
+ */
+const pushMenuToOutlet = async (masterItems, outletId) => {
+    const result = { created: 0, updated: 0, failed: [] };
+    const existing = await MenuItem.find({ vendorId: outletId });
+    const byMaster = new Map(existing.filter(item => item.masterItemId).map(item => [item.masterItemId.toString(), item]));
+    const byName = new Map(existing.map(item => [item.name, item]));
+
+    for (const master of masterItems) {
+        const fields = MASTER_MENU_FIELDS.reduce((acc, field) => ({ ...acc, [field]: master[field] }), {});
+        const copy = byMaster.get(master.id) || byName.get(master.name);
+
+        try {
+            if (copy) {
+                copy.localOverrides.forEach(field => delete fields[field]);
+                if (copy.trackStock && copy.stock <= 0) delete fields.isAvailable;
+                copy.set({ ...fields, masterItemId: master._id });
+                await copy.save();
+                result.updated += 1;
+            } else {
+                await MenuItem.create({ ...fields, vendorId: outletId, masterItemId: master._id });
+                result.created += 1;
+            }
+        } catch (err) {
+            result.failed.push({ name: master.name, error: err.code === 11000 ? 'Name already used by another item.' : err.message });
+        }
+    }
+    return result;
+};
+
+// @desc    Turn the current shop into the first outlet (and master menu) of a new organisation
+// @route   POST /api/organisation
+// @access  Private (organisation.manage, shop owner only)
+exports.createOrganisation = async (req, res) => {
+    const { name } = req.body;
+
+    if (!name) {
+        return res.status(400).json({ msg: 'Organisation name is required.' });
+    }
+    if (req.user.role !== OWNER_ROLE) {
+        return res.status(403).json({ msg: 'Only the shop owner can create an organisation.' });
+    }
+
+    try {
+        const vendor = await Vendor.findById(req.user.vendorId);
+        if (!vendor || vendor.ownerUser.toString() !== req.user.id) {
+            return res.status(403).json({ msg: 'Only the shop owner can create an organisation.' });
+        }
+        if (vendor.organisationId || await getOwnOrganisation(req.user.id)) {
+            return res.status(400).json({ msg: 'You already own an organisation.' });
+        }
+
+        const organisation = await Organisation.create({ name, ownerUser: req.user.id, masterOutletId: vendor._id });
+        await Vendor.updateOne({ _id: vendor._id }, { organisationId: organisation._id });
+        await User.updateOne({ _id: req.user.id }, { organisationId: organisation._id });
+        invalidateUser(req.user.id);
+        await recordAudit(req, 'organisation.create', { entity: organisation, entityType: 'Organisation' });
+
+        res.status(201).json({ msg: `Organisation ${organisation.name} created with ${vendor.name} as its first outlet.`, organisation });
+
+    } catch (err) {
+        console.error(err.message);
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ msg: err.message });
+        }
+        res.status(500).send('Server error');
+    }
+};
+
+// @desc    Get the organisation with its outlets and their staff counts
+// @route   GET /api/organisation
+// @access  Private (organisation.manage, owner only)
+exports.getOrganisation = async (req, res) => {
+    try {
+        const loaded = await loadOrganisation(req, res);
+        if (!loaded) return;
+        const { organisation, outlets } = loaded;
+
+        const staffCounts = await User.aggregate([
+            { $match: { vendorId: { $in: outlets.map(outlet => outlet._id) }, role: { $ne: OWNER_ROLE } } },
+            { $group: { _id: '$vendorId', count: { $sum: 1 } } }
+        ]);
+        const countByOutlet = new Map(staffCounts.map(row => [row._id.toString(), row.count]));
+
+        res.json({
+            id: organisation.id,
+            name: organisation.name,
+            masterOutletId: organisation.masterOutletId,
+            outlets: outlets.map(outlet => ({
+                id: outlet.id,
+                name: outlet.name,
+                gstNumber: outlet.gstNumber,
+                foodLicenseNumber: outlet.foodLicenseNumber,
+                isMaster: outlet._id.equals(organisation.masterOutletId),
+                staff: countByOutlet.get(outlet.id) || 0
+            }))
+        });
+
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+};
+
+// @desc    Open another outlet. With copyMenu: true it starts with the master menu.
+// @route   POST /api/organisation/outlets
+// @access  Private (organisation.manage, owner only)
+exports.createOutlet = async (req, res) => {
+    const { name, gstNumber, foodLicenseNumber, copyMenu } = req.body;
+
+    if (!name || !gstNumber || !foodLicenseNumber) {
+        return res.status(400).json({ msg: 'Outlet must have a name, GST Number and Food License Number.' });
+    }
+
+    try {
+        const loaded = await loadOrganisation(req, res);
+        if (!loaded) return;
+        const { organisation } = loaded;
+
+        const outlet = await Vendor.create({ name, gstNumber, foodLicenseNumber, ownerUser: req.user.id, organisationId: organisation._id });
+        invalidateUser(req.user.id);
+        await recordAudit(req, 'organisation.outlet_create', { entity: outlet, entityType: 'Vendor' });
+
+        let menu;
+        if (copyMenu) {
+            const masterItems = await MenuItem.find({ vendorId: organisation.masterOutletId });
+            menu = await pushMenuToOutlet(masterItems, outlet._id);
+        }
+
+        res.status(201).json({ msg: `Outlet ${outlet.name} created.`, outlet, menu });
+
+    } catch (err) {
+        console.error(err.message);
+        if (err.code === 11000) {
+            const field = Object.keys(err.keyPattern)[0];
+            return res.status(400).json({ msg: `${field} is already in use.` });
+        }
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ msg: err.message });
+        }
+        res.status(500).send('Server error');
+    }
+};
+
+// @desc    Assign a staff member to one or more outlets. Their home outlet moves if it is not in the list.
+// @route   PUT /api/organisation/staff/:id/outlets
+// @access  Private (organisation.manage, owner only)
+exports.assignStaffOutlets = async (req, res) => {
+    const { outletIds } = req.body;
+
+    if (!Array.isArray(outletIds) || outletIds.length === 0 || !outletIds.every(isValidObjectId)) {
+        return res.status(400).json({ msg: 'outletIds must be a non-empty array of outlet IDs.' });
+    }
+
+    try {
+        const loaded = await loadOrganisation(req, res);
+        if (!loaded) return;
+
+        const requested = [...new Set(outletIds.map(String))];
+        if (!requested.every(id => loaded.outletIds.includes(id))) {
+            return res.status(400).json({ msg: 'One or more outlets do not belong to your organisation.' });
+        }
+
+        const user = await User.findById(req.params.id);
+        if (!user || user.role === OWNER_ROLE || !loaded.outletIds.includes(user.vendorId.toString())) {
+            return res.status(404).json({ msg: 'Staff account not found in your organisation.' });
+        }
+
+        const before = snapshot(user);
+        const home = requested.includes(user.vendorId.toString()) ? user.vendorId.toString() : requested[0];
+        user.vendorId = home;
+        user.outletIds = requested.filter(id => id !== home);
+        await user.save();
+        invalidateUser(user._id);
+        await recordAudit(req, 'staff.outlets', { entity: user, before });
+
+        res.json({ msg: `${user.username} now works at ${requested.length} outlet(s).`, user: { id: user.id, vendorId: user.vendorId, outletIds: user.outletIds } });
+
+    } catch (err) {
+        console.error(err.message);
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({ msg: 'Staff account not found.' });
+        }
+        res.status(500).send('Server error');
+    }
+};
+
+// @desc    Push the master outlet's menu (or some items of it) to other outlets, keeping their overrides
+// @route   POST /api/organisation/menu/push
+// @access  Private (organisation.manage, owner only)
+exports.pushMenu = async (req, res) => {
+    const { outletIds, menuItemIds } = req.body;
+
+    try {
+        const loaded = await loadOrganisation(req, res);
+        if (!loaded) return;
+        const { organisation } = loaded;
+
+        const masterId = organisation.masterOutletId.toString();
+        const targets = outletIds === undefined
+            ? loaded.outletIds.filter(id => id !== masterId)
+            : [...new Set([].concat(outletIds).map(String))];
+        if (targets.length === 0 || !targets.every(id => loaded.outletIds.includes(id) && id !== masterId)) {
+            return res.status(400).json({ msg: 'Push to one or more outlets of your organisation other than the master outlet.' });
+        }
+
+        const query = { vendorId: masterId };
+        if (menuItemIds !== undefined) {
+            if (!Array.isArray(menuItemIds) || !menuItemIds.every(isValidObjectId)) {
+                return res.status(400).json({ msg: 'menuItemIds must be an array of menu item IDs.' });
+            }
+            query._id = { $in: menuItemIds };
+        }
+        const masterItems = await MenuItem.find(query);
+        if (masterItems.length === 0) {
+            return res.status(400).json({ msg: 'The master menu has no matching items to push.' });
+        }
+
+        const results = [];
+        for (const outletId of targets) {
+            const result = await pushMenuToOutlet(masterItems, outletId);
+            const outlet = loaded.outlets.find(o => o.id === outletId);
+            await recordAudit(req, 'menu.push', {
+                entity: outlet,
+                entityType: 'Vendor',
+                before: snapshot(outlet),
+                note: `Master menu push: ${result.created} created, ${result.updated} updated, ${result.failed.length} failed`
+            });
+            results.push({ outletId, name: outlet.name, ...result });
+        }
+
+        res.json({ msg: `Pushed ${masterItems.length} item(s) to ${targets.length} outlet(s).`, outlets: results });
+
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+};
+
+// @desc    Set or clear an outlet's price/availability override on a pushed item (null clears it
+//          and restores the master value)
+// @route   PUT /api/organisation/outlets/:outletId/menu/:itemId
+// @access  Private (organisation.manage, owner only)
+exports.setMenuOverride = async (req, res) => {
+    const { outletId, itemId } = req.params;
+
+    const changes = OVERRIDABLE_FIELDS.filter(field => req.body[field] !== undefined);
+    if (changes.length === 0) {
+        return res.status(400).json({ msg: `Provide ${OVERRIDABLE_FIELDS.join(' and/or ')} (null clears an override).` });
+    }
+
+    try {
+        const loaded = await loadOrganisation(req, res);
+        if (!loaded) return;
+        if (!loaded.outletIds.includes(outletId)) {
+            return res.status(404).json({ msg: 'Outlet not found in your organisation.' });
+        }
+
+        const item = await MenuItem.findOne({ _id: itemId, vendorId: outletId });
+        if (!item || !item.masterItemId) {
+            return res.status(404).json({ msg: 'Pushed menu item not found at this outlet.' });
+        }
+        const master = await MenuItem.findById(item.masterItemId);
+
+        const before = snapshot(item);
+        changes.forEach(field => {
+            const value = req.body[field];
+            if (value === null) {
+                item.localOverrides = item.localOverrides.filter(f => f !== field);
+                if (master) item[field] = master[field];
+            } else {
+                item[field] = field === 'price' ? Number(value) : value === true || value === 'true';
+                if (!item.localOverrides.includes(field)) item.localOverrides.push(field);
+            }
+        });
+        await item.save();
+        await recordAudit(req, 'menu.override', { entity: item, before });
+
+        res.json({ msg: 'Outlet override saved.', item });
+
+    } catch (err) {
+        console.error(err.message);
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({ msg: 'Menu item not found.' });
+        }
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ msg: err.message });
+        }
+        res.status(500).send('Server error');
+    }
+};
@@ -0,0 +1,520 @@
+const Order = require('../models/Order');
+const MenuItem = require('../models/MenuItem');
+const Vendor = require('../models/Vendor');
+const Shift = require('../models/Shift');
+const User = require('../models/User');
+const { buildDateRange, isValidTimeZone } = require('../utils/dateRange');
+const { resolveReportOutlets } = require('../utils/organisations');
+const { getVendorSettings, getVendorTimeZone } = require('../utils/vendorSettings');
+const { round2 } = require('../utils/money');
+
+// Sales analytics. Everything is aggregated inside MongoDB; orders are never loaded into memory.
+// Sales are counted on Billed/Completed orders by the time the order was opened.
+
+const SALES_STATUSES = ['Billed', 'Completed'];
+
+// Net sales of an order: item value after discounts, before tax
+const NET_SALES = { $subtract: ['$totalAmount', { $ifNull: ['$discountTotal', 0] }] };
+// Net value of one unwound order item
+const ITEM_NET = { $subtract: [{ $multiply: ['$items.price', '$items.quantity'] }, { $ifNull: ['$items.discount', 0] }] };
+
+/**
+ * Parse the shared report query (startDate, endDate, tz, outlets) into a $match stage.
+ * Returns { error, status } when the query is unusable.
+ */
+const parseReportQuery = async (req) => {
+    const { startDate, endDate } = req.query;
+    // Days are the current outlet's calendar days unless ?tz= says otherwise
+    const timeZone = req.query.tz || await getVendorTimeZone(req.user.vendorId);
+
+    if (!isValidTimeZone(timeZone)) {
+        return { error: `Unknown time zone '${timeZone}'.` };
+    }
+
+    const dateRange = buildDateRange(startDate, endDate, timeZone);
+    if (!dateRange) {
+        return { error: 'startDate and endDate are required (YYYY-MM-DD).' };
+    }
+
+    let outlets;
+    try {
+        outlets = await resolveReportOutlets(req);
+    } catch (err) {
+        if (err.statusCode) return { error: err.message, status: err.statusCode };
+        throw err;
+    }
+
+    return {
+        timeZone,
+        outlets,
+        match: {
+            vendorId: { $in: outlets },
+            status: { $in: SALES_STATUSES },
+            createdAt: dateRange
+        }
+    };
+};
+
+// Round an aggregation expression to paise
+const rounded = (expr) => ({ $round: [{ $ifNull: [expr, 0] }, 2] });
+
+const EMPTY_SUMMARY = { orders: 0, grossSales: 0, discounts: 0, netSales: 0, tax: 0, serviceCharge: 0, tips: 0, refunds: 0, voids: 0, averageOrderValue: 0 };
+
+// @desc    Headline numbers: orders, gross/net sales, discounts, tax, service charge, tips and average order value.
+//          Across several outlets (?outlets=all|id,id) the totals come with a per-outlet breakdown.
+// @route   GET /api/reports/summary?startDate=&endDate=&tz=&outlets=
+// @access  Private (Vendor role)
+exports.getSummary = async (req, res) => {
+    try {
+        const { match, outlets, error, status } = await parseReportQuery(req);
+        if (error) return res.status(status || 400).json({ msg: error });
+
+        const perOutlet = await Order.aggregate([
+            { $match: match },
+            {
+                $group: {
+                    _id: '$vendorId',
+                    orders: { $sum: 1 },
+                    grossSales: { $sum: '$totalAmount' },
+                    discounts: { $sum: { $ifNull: ['$discountTotal', 0] } },
+                    netSales: { $sum: NET_SALES },
+                    tax: { $sum: { $ifNull: ['$bill.taxTotal', 0] } },
+                    serviceCharge: { $sum: { $ifNull: ['$bill.serviceCharge', 0] } },
+                    tips: { $sum: { $ifNull: ['$tipTotal', 0] } },
+                    refunds: { $sum: { $ifNull: ['$refundedAmount', 0] } },
+                    voids: { $sum: { $ifNull: ['$voidedAmount', 0] } }
+                }
+            },
+            { $sort: { netSales: -1 } }
+        ]);
+
+        const totals = ['orders', 'grossSales', 'discounts', 'netSales', 'tax', 'serviceCharge', 'tips', 'refunds', 'voids'];
+        const summarise = (rows) => {
+            if (rows.length === 0) return { ...EMPTY_SUMMARY };
+            const sums = totals.reduce((acc, key) => ({ ...acc, [key]: rows.reduce((sum, row) => sum + row[key], 0) }), {});
+            return {
+                ...totals.reduce((acc, key) => ({ ...acc, [key]: round2(sums[key]) }), {}),
+                averageOrderValue: round2(sums.netSales / sums.orders)
+            };
+        };
+
+        const summary = summarise(perOutlet);
+        if (outlets.length > 1) {
+            const names = await Vendor.find({ _id: { $in: outlets } }).select('name').lean();
+            summary.outlets = outlets.map(outletId => {
+                const row = perOutlet.find(r => r._id.equals(outletId));
+                return {
+                    outletId,
+                    name: names.find(v => v._id.equals(outletId))?.name,
+                    ...summarise(row ? [row] : [])
+                };
+            });
+        }
+
+        res.json(summary);
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error generating sales summary');
+    }
+};
+
+// @desc    Sales over time, bucketed by hour, day or week (or by hour of day for a heatmap)
+// @route   GET /api/reports/sales?groupBy=hour|day|week|hourOfDay&startDate=&endDate=&tz=
+// @access  Private (Vendor role)
+exports.getSalesByPeriod = async (req, res) => {
+    const groupBy = req.query.groupBy || 'day';
+    if (!['hour', 'day', 'week', 'hourOfDay'].includes(groupBy)) {
+        return res.status(400).json({ msg: 'groupBy must be one of: hour, day, week, hourOfDay.' });
+    }
+
+    try {
+        const { match, timeZone, error, status } = await parseReportQuery(req);
+        if (error) return res.status(status || 400).json({ msg: error });
+
+        const bucket = groupBy === 'hourOfDay'
+            ? { $hour: { date: '$createdAt', timezone: timeZone } }
+            : { $dateTrunc: { date: '$createdAt', unit: groupBy, timezone: timeZone, startOfWeek: 'monday' } };
+
+        const buckets = await Order.aggregate([
+            { $match: match },
+            {
+                $group: {
+                    _id: bucket,
+                    orders: { $sum: 1 },
+                    grossSales: { $sum: '$totalAmount' },
+                    netSales: { $sum: NET_SALES }
+                }
+            },
+            { $sort: { _id: 1 } },
+            {
+                $project: {
+                    _id: 0,
+                    period: '$_id',
+                    orders: 1,
+                    grossSales: rounded('$grossSales'),
+                    netSales: rounded('$netSales'),
+                    averageOrderValue: rounded({ $divide: ['$netSales', '$orders'] })
+                }
+            }
+        ]);
+
+        res.json({ groupBy, timeZone, buckets });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error generating sales by period');
+    }
+};
+
+// @desc    Top or bottom selling menu items by quantity (bottom includes items with no sales)
+// @route   GET /api/reports/items?order=top|bottom&limit=10&startDate=&endDate=&tz=
+// @access  Private (Vendor role)
+exports.getItemSales = async (req, res) => {
+    const order = req.query.order || 'top';
+    const limit = Math.min(parseInt(req.query.limit, 10) || 10, 100);
+
+    try {
+        const { match, outlets, error, status } = await parseReportQuery(req);
+        if (error) return res.status(status || 400).json({ msg: error });
+        // Each outlet has its own copy of a dish, so a consolidated report matches them by name
+        const consolidated = outlets.length > 1;
+
+        const sold = await Order.aggregate([
+            { $match: match },
+            { $unwind: '$items' },
+            { $match: { 'items.isVoided': { $ne: true } } },
+            {
+                $group: {
+                    _id: consolidated ? '$items.name' : '$items.menuItemId',
+                    menuItemId: { $last: '$items.menuItemId' },
+                    name: { $last: '$items.name' },
+                    quantity: { $sum: '$items.quantity' },
+                    revenue: { $sum: ITEM_NET }
+                }
+            },
+            { $project: { _id: 0, menuItemId: consolidated ? null : '$menuItemId', name: 1, quantity: 1, revenue: rounded('$revenue') } }
+        ]);
+
+        let items = sold;
+        if (order === 'bottom') {
+            // Dishes that never sold are the real bottom sellers
+            if (consolidated) {
+                const soldNames = new Set(sold.map(item => item.name));
+                const unsold = await MenuItem.distinct('name', { vendorId: { $in: outlets }, name: { $nin: [...soldNames] } });
+                items = [...sold, ...unsold.map(name => ({ menuItemId: null, name, quantity: 0, revenue: 0 }))];
+            } else {
+                const soldIds = new Set(sold.map(item => item.menuItemId.toString()));
+                const unsold = await MenuItem.find({ vendorId: { $in: outlets }, _id: { $nin: [...soldIds] } }).select('name');
+                items = [...sold, ...unsold.map(item => ({ menuItemId: item._id, name: item.name, quantity: 0, revenue: 0 }))];
+            }
+        }
+
+        items.sort((a, b) => (order === 'bottom' ? a.quantity - b.quantity : b.quantity - a.quantity));
+
+        res.json({ order, items: items.slice(0, limit) });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error generating item sales');
+    }
+};
+
+// @desc    Revenue by menu category
+// @route   GET /api/reports/categories?startDate=&endDate=&tz=
+// @access  Private (Vendor role)
+exports.getCategorySales = async (req, res) => {
+    try {
+        const { match, error, status } = await parseReportQuery(req);
+        if (error) return res.status(status || 400).json({ msg: error });
+
+        const categories = await Order.aggregate([
+            { $match: match },
+            { $unwind: '$items' },
+            { $match: { 'items.isVoided': { $ne: true } } },
+            {
+                $group: {
+                    _id: { $ifNull: ['$items.category', 'Uncategorized'] },
+                    quantity: { $sum: '$items.quantity' },
+                    revenue: { $sum: ITEM_NET }
+                }
+            },
+            { $sort: { revenue: -1 } },
+            { $project: { _id: 0, category: '$_id', quantity: 1, revenue: rounded('$revenue') } }
+        ]);
+
+        res.json({ categories });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error generating category sales');
+    }
+};
+
+// @desc    Table turnover: orders, sales and average seated minutes per table
+// @route   GET /api/reports/tables?startDate=&endDate=&tz=
+// @access  Private (Vendor role)
+exports.getTableTurnover = async (req, res) => {
+    try {
+        const { match, timeZone, error, status } = await parseReportQuery(req);
+        if (error) return res.status(status || 400).json({ msg: error });
+
+        const tables = await Order.aggregate([
+            { $match: match },
+            {
+                $group: {
+                    // Table numbers are per outlet
+                    _id: { outletId: '$vendorId', tableNumber: '$tableNumber' },
+                    orders: { $sum: 1 },
+                    netSales: { $sum: NET_SALES },
+                    days: { $addToSet: { $dateTrunc: { date: '$createdAt', unit: 'day', timezone: timeZone } } },
+                    // Completed orders are closed at their last update
+                    seatedMinutes: {
+                        $avg: {
+                            $cond: [
+                                { $eq: ['$status', 'Completed'] },
+                                { $dateDiff: { startDate: '$createdAt', endDate: '$updatedAt', unit: 'minute' } },
+                                null
+                            ]
+                        }
+                    }
+                }
+            },
+            { $sort: { '_id.outletId': 1, '_id.tableNumber': 1 } },
+            {
+                $project: {
+                    _id: 0,
+                    outletId: '$_id.outletId',
+                    tableNumber: '$_id.tableNumber',
+                    orders: 1,
+                    netSales: rounded('$netSales'),
+                    turnsPerDay: rounded({ $divide: ['$orders', { $size: '$days' }] }),
+                    averageSeatedMinutes: rounded('$seatedMinutes')
+                }
+            }
+        ]);
+
+        res.json({ tables });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error generating table turnover');
+    }
+};
+
+// @desc    Sales per server (the staff member who took the order)
+// @route   GET /api/reports/servers?startDate=&endDate=&tz=
+// @access  Private (Vendor role)
+exports.getServerSales = async (req, res) => {
+    try {
+        const { match, error, status } = await parseReportQuery(req);
+        if (error) return res.status(status || 400).json({ msg: error });
+
+        const servers = await Order.aggregate([
+            { $match: match },
+            {
+                $group: {
+                    _id: '$server',
+                    orders: { $sum: 1 },
+                    netSales: { $sum: NET_SALES }
+                }
+            },
+            { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+            { $sort: { netSales: -1 } },
+            {
+                $project: {
+                    _id: 0,
+                    serverId: '$_id',
+                    username: { $arrayElemAt: ['$user.username', 0] },
+                    orders: 1,
+                    netSales: rounded('$netSales'),
+                    averageOrderValue: rounded({ $divide: ['$netSales', '$orders'] })
+                }
+            }
+        ]);
+
+        res.json({ servers });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error generating server sales');
+    }
+};
+
+// Tips and service charge per server. Tips are attributed to the order's server when recorded.
+const serverEarnings = (match) => Promise.all([
+    Order.aggregate([
+        { $match: match },
+        { $unwind: '$tips' },
+        { $group: { _id: '$tips.serverId', tips: { $sum: '$tips.amount' }, tipCount: { $sum: 1 } } }
+    ]),
+    Order.aggregate([
+        { $match: { ...match, 'bill.serviceCharge': { $gt: 0 } } },
+        { $group: { _id: '$server', serviceCharge: { $sum: '$bill.serviceCharge' }, orders: { $sum: 1 } } }
+    ])
+]).then(([tips, charges]) => {
+    const rows = new Map();
+    const row = (id) => {
+        const key = id ? id.toString() : 'unassigned';
+        if (!rows.has(key)) rows.set(key, { serverId: id || null, tips: 0, tipCount: 0, serviceCharge: 0, serviceChargeOrders: 0 });
+        return rows.get(key);
+    };
+    tips.forEach(t => Object.assign(row(t._id), { tips: round2(t.tips), tipCount: t.tipCount }));
+    charges.forEach(c => Object.assign(row(c._id), { serviceCharge: round2(c.serviceCharge), serviceChargeOrders: c.orders }));
+    return [...rows.values()];
+});
+
+// Attach usernames and roles to rows keyed by userId
+const withUsers = async (rows, key) => {
+    const users = await User.find({ _id: { $in: rows.map(r => r[key]).filter(Boolean) } }).select('username role').lean();
+    return rows.map(r => {
+        const user = users.find(u => r[key] && u._id.equals(r[key]));
+        return { ...r, username: user?.username, role: user?.role };
+    });
+};
+
+// Split an amount by weight, to the paisa; the rounding remainder goes to the largest share
+const splitByWeight = (amount, rows) => {
+    const totalWeight = rows.reduce((acc, r) => acc + r.weight, 0);
+    if (totalWeight <= 0) return rows.map(r => ({ ...r, payout: 0 }));
+
+    const shares = rows.map(r => ({ ...r, payout: round2(amount * r.weight / totalWeight) }));
+    const remainder = round2(amount - shares.reduce((acc, r) => acc + r.payout, 0));
+    if (remainder !== 0) {
+        const largest = shares.reduce((max, r) => (r.payout > max.payout ? r : max), shares[0]);
+        largest.payout = round2(largest.payout + remainder);
+    }
+    return shares;
+};
+
+// @desc    Tips and service charge earned per server
+// @route   GET /api/reports/tips?startDate=&endDate=&tz=
+// @access  Private (Vendor role)
+exports.getTips = async (req, res) => {
+    try {
+        const { match, error, status } = await parseReportQuery(req);
+        if (error) return res.status(status || 400).json({ msg: error });
+
+        const servers = (await withUsers(await serverEarnings(match), 'serverId'))
+            .sort((a, b) => (b.tips + b.serviceCharge) - (a.tips + a.serviceCharge));
+
+        res.json({
+            tips: round2(servers.reduce((acc, s) => acc + s.tips, 0)),
+            serviceCharge: round2(servers.reduce((acc, s) => acc + s.serviceCharge, 0)),
+            servers
+        });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error generating tips report');
+    }
+};
+
+// @desc    Tip payout. Individual: servers keep what was attributed to them. Hours: the pool is shared
+//          by hours worked (closed shifts starting in the range). Points: hours worked x the role's points.
+//          The method, eligible roles, points and whether service charge joins the pool come from the
+//          shop's tipPool settings; ?method= overrides the method.
+// @route   GET /api/reports/tips/payout?method=Individual|Hours|Points&startDate=&endDate=&tz=
+// @access  Private (Vendor role)
+exports.getTipPayout = async (req, res) => {
+    try {
+        const { match, outlets, error, status } = await parseReportQuery(req);
+        if (error) return res.status(status || 400).json({ msg: error });
+
+        const { tipPool } = await getVendorSettings(req.user.vendorId);
+        const method = req.query.method || tipPool.method;
+        if (!['Individual', 'Hours', 'Points'].includes(method)) {
+            return res.status(400).json({ msg: 'method must be one of: Individual, Hours, Points.' });
+        }
+
+        const earnings = await serverEarnings(match);
+        const earned = (row) => round2(row.tips + (tipPool.includeServiceCharge ? row.serviceCharge : 0));
+        const pool = round2(earnings.reduce((acc, row) => acc + earned(row), 0));
+        const result = { method, includeServiceCharge: tipPool.includeServiceCharge, pool };
+
+        if (method === 'Individual') {
+            const staff = (await withUsers(earnings, 'serverId'))
+                .map(row => ({ userId: row.serverId, username: row.username, role: row.role, tips: row.tips, serviceCharge: row.serviceCharge, payout: earned(row) }))
+                .filter(row => row.payout > 0)
+                .sort((a, b) => b.payout - a.payout);
+            return res.json({ ...result, staff });
+        }
+
+        const worked = await Shift.aggregate([
+            { $match: { vendorId: { $in: outlets }, status: 'Closed', clockInAt: match.createdAt } },
+            { $group: { _id: '$userId', minutes: { $sum: { $divide: [{ $subtract: ['$clockOutAt', '$clockInAt'] }, 60000] } } } }
+        ]);
+
+        const points = new Map((tipPool.rolePoints || []).map(rp => [rp.role, rp.points]));
+        const eligible = (await withUsers(worked.map(w => ({ userId: w._id, hours: round2(w.minutes / 60) })), 'userId'))
+            .filter(row => !tipPool.roles?.length || tipPool.roles.includes(row.role))
+            .map(row => {
+                const rolePoints = method === 'Points' ? (points.has(row.role) ? points.get(row.role) : 1) : 1;
+                return { ...row, ...(method === 'Points' && { points: rolePoints }), weight: row.hours * rolePoints };
+            });
+
+        const staff = splitByWeight(pool, eligible)
+            .map(({ weight, ...row }) => row)
+            .sort((a, b) => b.payout - a.payout);
+        const paid = round2(staff.reduce((acc, row) => acc + row.payout, 0));
+
+        // Nothing is shared when nobody eligible clocked any time
+        res.json({ ...result, unallocated: round2(pool - paid), staff });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error generating tip payout');
+    }
+};
+
+// Minutes between two dates of an unwound order item
+const itemMinutes = (from, to) => ({ $divide: [{ $subtract: [to, from] }, 60000] });
+
+// @desc    Kitchen timing: average prep time (ordered to ready) and cook time (started to ready)
+//          per menu item, category or kitchen station. Covers every order except cancelled ones.
+// @route   GET /api/reports/prep-times?groupBy=item|category|station&startDate=&endDate=&tz=
+// @access  Private (Vendor role)
+exports.getPrepTimes = async (req, res) => {
+    const groupBy = req.query.groupBy || 'item';
+    if (!['item', 'category', 'station'].includes(groupBy)) {
+        return res.status(400).json({ msg: 'groupBy must be one of: item, category, station.' });
+    }
+
+    const keys = {
+        item: '$items.menuItemId',
+        category: { $ifNull: ['$items.category', 'Uncategorized'] },
+        station: { $ifNull: ['$items.station', 'Unassigned'] }
+    };
+
+    try {
+        const { match, error, status } = await parseReportQuery(req);
+        if (error) return res.status(status || 400).json({ msg: error });
+
+        const rows = await Order.aggregate([
+            { $match: { ...match, status: { $ne: 'Cancelled' } } },
+            { $unwind: '$items' },
+            { $match: { 'items.isVoided': { $ne: true }, 'items.readyAt': { $exists: true } } },
+            {
+                $group: {
+                    _id: keys[groupBy],
+                    name: { $last: '$items.name' },
+                    items: { $sum: 1 },
+                    averagePrepMinutes: { $avg: itemMinutes('$items.orderedAt', '$items.readyAt') },
+                    maxPrepMinutes: { $max: itemMinutes('$items.orderedAt', '$items.readyAt') },
+                    // Only lines the kitchen marked as started have a cook time
+                    averageCookMinutes: {
+                        $avg: { $cond: [{ $ifNull: ['$items.startedAt', false] }, itemMinutes('$items.startedAt', '$items.readyAt'), null] }
+                    }
+                }
+            },
+            { $sort: { averagePrepMinutes: -1 } },
+            {
+                $project: {
+                    _id: 0,
+                    ...(groupBy === 'item' ? { menuItemId: '$_id', name: 1 } : { [groupBy]: '$_id' }),
+                    items: 1,
+                    averagePrepMinutes: rounded('$averagePrepMinutes'),
+                    maxPrepMinutes: rounded('$maxPrepMinutes'),
+                    averageCookMinutes: rounded('$averageCookMinutes')
+                }
+            }
+        ]);
+
+        res.json({ groupBy, rows });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error generating prep times');
+    }
+};
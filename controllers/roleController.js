@@ -0,0 +1,172 @@
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { PERMISSIONS, BUILT_IN_ROLES, OWNER_ROLE } = require('../config/permissions');
+const { getVendorRoles, permissionsBeyondCaller, capBeyondCaller, clearRoleCache } = require('../utils/permissions');
+const { recordAudit, snapshot } = require('../utils/audit');
+
+// Roles are strictly filtered by the logged-in user's vendorId.
+// Built-in staff roles can be customised per vendor; the Vendor (owner) role always has every permission.
+
+// Helper: validate the editable fields of a role. Returns { error, status } or null.
+// Staff who manage roles cannot grant permissions they do not hold, or a bigger discount cap than their own.
+const validateRoleFields = (req, { permissions, manualDiscountCap }) => {
+    if (permissions !== undefined) {
+        if (!Array.isArray(permissions)) return { error: 'permissions must be an array of permission names.' };
+        const unknown = permissions.filter(permission => !PERMISSIONS[permission]);
+        if (unknown.length > 0) return { error: `Unknown permission(s): ${unknown.join(', ')}` };
+        const beyond = permissionsBeyondCaller(req, permissions);
+        if (beyond.length > 0) return { error: `You cannot grant permissions you do not hold: ${beyond.join(', ')}`, status: 403 };
+    }
+    if (manualDiscountCap !== undefined && !(Number(manualDiscountCap) >= 0 && Number(manualDiscountCap) <= 100)) {
+        return { error: 'manualDiscountCap must be between 0 and 100.' };
+    }
+    if (manualDiscountCap !== undefined && capBeyondCaller(req, manualDiscountCap)) {
+        return { error: `You cannot set a manual discount cap above your own (${req.role.manualDiscountCap || 0}%).`, status: 403 };
+    }
+    return null;
+};
+
+const toResponse = (role) => ({
+    name: role.name,
+    description: role.description,
+    permissions: [...role.permissions],
+    manualDiscountCap: role.manualDiscountCap,
+    isBuiltIn: role.isBuiltIn,
+    isCustomised: role.isCustomised,
+    isOwner: role.name === OWNER_ROLE
+});
+
+// @desc 	List every role of the shop with its effective permissions, plus the permission catalogue
+// @route 	GET /api/roles
+// @access 	Private (role.manage)
+exports.getRoles = async (req, res) => {
+    try {
+        const roles = await getVendorRoles(req.user.vendorId);
+
+        res.json({
+            roles: [...roles.values()].map(toResponse),
+            permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }))
+        });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+};
+
+// @desc 	Create a custom role (e.g. 'Captain', 'Manager')
+// @route 	POST /api/roles
+// @access 	Private (role.manage)
+exports.createRole = async (req, res) => {
+    const { name, description, permissions = [], manualDiscountCap } = req.body;
+
+    if (!name || !String(name).trim()) {
+        return res.status(400).json({ msg: 'Role name is required.' });
+    }
+    if (BUILT_IN_ROLES[String(name).trim()]) {
+        return res.status(400).json({ msg: `'${name}' is a built-in role. Use PUT /api/roles/${name} to customise it.` });
+    }
+    const invalid = validateRoleFields(req, { permissions, manualDiscountCap });
+    if (invalid) {
+        return res.status(invalid.status || 400).json({ msg: invalid.error });
+    }
+
+    try {
+        const role = await Role.create({ vendorId: req.user.vendorId, name, description, permissions, manualDiscountCap });
+        clearRoleCache(req.user.vendorId);
+        await recordAudit(req, 'role.create', { entity: role });
+
+        res.status(201).json({ msg: `Role ${role.name} created.`, role });
+    } catch (err) {
+        console.error(err.message);
+        if (err.code === 11000) {
+            return res.status(400).json({ msg: 'A role with this name already exists.' });
+        }
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ msg: err.message });
+        }
+        res.status(500).send('Server error');
+    }
+};
+
+// @desc 	Update a custom role, or customise a built-in staff role for this shop
+// @route 	PUT /api/roles/:name
+// @access 	Private (role.manage)
+exports.updateRole = async (req, res) => {
+    const { name } = req.params;
+    const { description, permissions, manualDiscountCap } = req.body;
+
+    if (name === OWNER_ROLE) {
+        return res.status(400).json({ msg: 'The Vendor role always has every permission and cannot be changed.' });
+    }
+    const invalid = validateRoleFields(req, { permissions, manualDiscountCap });
+    if (invalid) {
+        return res.status(invalid.status || 400).json({ msg: invalid.error });
+    }
+
+    const updates = {};
+    if (description !== undefined) updates.description = description;
+    if (permissions !== undefined) updates.permissions = permissions;
+    if (manualDiscountCap !== undefined) updates.manualDiscountCap = Number(manualDiscountCap);
+
+    try {
+        const builtIn = BUILT_IN_ROLES[name];
+        const update = { $set: updates };
+        if (builtIn) {
+            // A built-in role is customised by storing a full copy that starts from its defaults
+            update.$setOnInsert = ['description', 'permissions', 'manualDiscountCap']
+                .filter(field => updates[field] === undefined)
+                .reduce((acc, field) => ({ ...acc, [field]: builtIn[field] }), {});
+        }
+
+        const existing = await Role.findOne({ vendorId: req.user.vendorId, name });
+        const role = await Role.findOneAndUpdate(
+            { vendorId: req.user.vendorId, name },
+            update,
+            { new: true, upsert: Boolean(builtIn), runValidators: true }
+        );
+
+        if (!role) {
+            return res.status(404).json({ msg: 'Role not found.' });
+        }
+
+        clearRoleCache(req.user.vendorId);
+        // The first customisation of a built-in role creates its document
+        await recordAudit(req, 'role.update', { entity: role, before: existing ? snapshot(existing) : undefined });
+        res.json({ msg: `Role ${role.name} updated.`, role });
+    } catch (err) {
+        console.error(err.message);
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ msg: err.message });
+        }
+        res.status(500).send('Server error');
+    }
+};
+
+// @desc 	Delete a custom role (only when no staff hold it), or reset a built-in role to its defaults
+// @route 	DELETE /api/roles/:name
+// @access 	Private (role.manage)
+exports.deleteRole = async (req, res) => {
+    const { name } = req.params;
+    const vendorId = req.user.vendorId;
+
+    try {
+        if (!BUILT_IN_ROLES[name]) {
+            const holders = await User.countDocuments({ vendorId, role: name });
+            if (holders > 0) {
+                return res.status(400).json({ msg: `Role ${name} is assigned to ${holders} staff member(s). Move them to another role first.` });
+            }
+        }
+
+        const role = await Role.findOneAndDelete({ vendorId, name });
+        if (!role) {
+            return res.status(404).json({ msg: BUILT_IN_ROLES[name] ? `Role ${name} already uses the default permissions.` : 'Role not found.' });
+        }
+
+        clearRoleCache(vendorId);
+        await recordAudit(req, 'role.delete', { entity: role, deleted: true });
+        res.json({ msg: BUILT_IN_ROLES[name] ? `Role ${name} reset to its default permissions.` : `Role ${name} deleted.` });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+};
@@ -0,0 +1,620 @@
+const mongoose = require('mongoose');
+const Shift = require('../models/Shift');
+const ShiftSchedule = require('../models/ShiftSchedule');
+const CashDrawer = require('../models/CashDrawer');
+const User = require('../models/User');
+const { buildDateRange } = require('../utils/dateRange');
+const { getVendorSettings, getVendorTimeZone } = require('../utils/vendorSettings');
+const { getOpenShift, findScheduleForClockIn, lateMinutesFor, drawerCashTotals } = require('../utils/shifts');
+const { atOutlet } = require('../utils/organisations');
+const { round2 } = require('../utils/money');
+const { recordAudit, snapshot } = require('../utils/audit');
+
+// Clock-in/out, shift schedules, cash drawers and attendance reports.
+// Everything is strictly filtered by the logged-in user's vendorId (the current outlet).
+
+// Helper: Validate MongoDB ObjectId
+const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+// Rostered shifts longer than this are almost certainly typos
+const MAX_SCHEDULE_HOURS = 16;
+// How far ahead GET /api/shifts/me lists the user's rostered shifts
+const UPCOMING_DAYS = 7;
+
+// Hours between two dates, for aggregation
+const hoursBetween = (from, to) => ({ $divide: [{ $subtract: [to, from] }, 3600000] });
+
+// Helper: someone who works at the current outlet (staff or the owner), or null
+const findOutletUser = (vendorId, userId) => (isValidObjectId(userId)
+    ? User.findOne({ _id: userId, ...atOutlet(vendorId) }).select('username role')
+    : null);
+
+// Helper: a { startDate, endDate } query as a range on the shop's calendar days, or null
+const parseRange = async (req) => {
+    const { startDate, endDate } = req.query;
+    return buildDateRange(startDate, endDate, await getVendorTimeZone(req.user.vendorId));
+};
+
+// --- Clock in / out ---
+
+// @desc    The logged-in user's open shift, open cash drawer and upcoming rostered shifts
+// @route   GET /api/shifts/me
+// @access  Private (any logged-in user)
+exports.getMyShift = async (req, res) => {
+    const { id: userId, vendorId } = req.user;
+
+    try {
+        const now = new Date();
+        const [shift, drawer, upcoming] = await Promise.all([
+            getOpenShift(userId, vendorId),
+            CashDrawer.findOne({ userId, vendorId, status: 'Open' }),
+            ShiftSchedule.find({
+                vendorId,
+                userId,
+                endsAt: { $gt: now },
+                startsAt: { $lt: new Date(now.getTime() + UPCOMING_DAYS * 24 * 3600000) }
+            }).sort({ startsAt: 1 })
+        ]);
+
+        res.json({ shift, drawer, upcoming });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+};
+
+// @desc    Clock in at the current outlet. The shift is matched to the user's rostered shift, if any.
+// @route   POST /api/shifts/clock-in
+// @access  Private (any logged-in user)
+exports.clockIn = async (req, res) => {
+    const { id: userId, vendorId } = req.user;
+
+    try {
+        const open = await Shift.findOne({ userId, status: 'Open' });
+        if (open) {
+            return res.status(400).json({ msg: `You are already clocked in since ${open.clockInAt.toISOString()}.` });
+        }
+
+        const now = new Date();
+        const [schedule, settings] = await Promise.all([
+            findScheduleForClockIn(vendorId, userId, now),
+            getVendorSettings(vendorId)
+        ]);
+
+        const shift = await Shift.create({
+            vendorId,
+            userId,
+            clockInAt: now,
+            scheduleId: schedule?._id,
+            lateMinutes: lateMinutesFor(schedule, now, settings.lateGraceMinutes),
+            note: req.body.note
+        });
+
+        res.status(201).json({
+            msg: shift.lateMinutes > 0 ? `Clocked in, ${shift.lateMinutes} minutes late.` : 'Clocked in.',
+            shift,
+            schedule
+        });
+
+    } catch (err) {
+        console.error(err.message);
+        if (err.code === 11000) {
+            return res.status(400).json({ msg: 'You are already clocked in.' });
+        }
+        res.status(500).send('Server error');
+    }
+};
+
+// @desc    Clock out. A cash drawer opened during the shift must be closed first.
+// @route   POST /api/shifts/clock-out
+// @access  Private (any logged-in user)
+exports.clockOut = async (req, res) => {
+    const { id: userId, vendorId } = req.user;
+
+    try {
+        const shift = await getOpenShift(userId, vendorId);
+        if (!shift) {
+            return res.status(400).json({ msg: 'You are not clocked in at this outlet.' });
+        }
+        if (await CashDrawer.exists({ shiftId: shift._id, status: 'Open' })) {
+            return res.status(400).json({ msg: 'Close your cash drawer before clocking out.' });
+        }
+
+        shift.status = 'Closed';
+        shift.clockOutAt = new Date();
+        if (req.body.note) shift.note = [shift.note, req.body.note].filter(Boolean).join(' / ');
+        await shift.save();
+
+        const hours = round2((shift.clockOutAt - shift.clockInAt) / 3600000);
+        res.json({ msg: `Clocked out after ${hours} hours.`, shift, hours });
+
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+};
+
+// @desc    List worked shifts, filterable by staff member and date range (by clock-in)
+// @route   GET /api/shifts?userId=&startDate=&endDate=&status=
+// @access  Private (shift.manage or shift.report)
+exports.getShifts = async (req, res) => {
+    const { userId, status } = req.query;
+
+    const query = { vendorId: req.user.vendorId };
+    if (userId) {
+        if (!isValidObjectId(userId)) {
+            return res.status(400).json({ msg: 'Invalid user ID.' });
+        }
+        query.userId = userId;
+    }
+    if (status) query.status = status;
+
+    try {
+        const dateRange = await parseRange(req);
+        if (dateRange) query.clockInAt = dateRange;
+
+        const shifts = await Shift.find(query)
+            .populate('userId', 'username role')
+            .populate('scheduleId', 'startsAt endsAt note')
+            .sort({ clockInAt: -1 })
+            .limit(1000);
+
+        res.json(shifts);
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+};
+
+// @desc    Manager corrects a shift's clock times (e.g. a forgotten clock-out). A reason is required.
+// @route   PUT /api/shifts/:id
+// @access  Private (shift.manage)
+exports.adjustShift = async (req, res) => {
+    const { clockInAt, clockOutAt, reason } = req.body;
+
+    if (!reason) {
+        return res.status(400).json({ msg: 'A reason is required to correct clock times.' });
+    }
+    if (clockInAt === undefined && clockOutAt === undefined) {
+        return res.status(400).json({ msg: 'Provide clockInAt and/or clockOutAt.' });
+    }
+    if ([clockInAt, clockOutAt].some(value => value !== undefined && Number.isNaN(new Date(value).getTime()))) {
+        return res.status(400).json({ msg: 'clockInAt and clockOutAt must be valid dates.' });
+    }
+
+    try {
+        const shift = isValidObjectId(req.params.id)
+            ? await Shift.findOne({ _id: req.params.id, vendorId: req.user.vendorId })
+            : null;
+        if (!shift) {
+            return res.status(404).json({ msg: 'Shift not found.' });
+        }
+
+        const before = snapshot(shift);
+        if (clockInAt !== undefined) {
+            shift.clockInAt = new Date(clockInAt);
+            const [schedule, settings] = await Promise.all([
+                shift.scheduleId ? ShiftSchedule.findById(shift.scheduleId) : null,
+                getVendorSettings(req.user.vendorId)
+            ]);
+            shift.lateMinutes = lateMinutesFor(schedule, shift.clockInAt, settings.lateGraceMinutes);
+        }
+        if (clockOutAt !== undefined) {
+            // As with clocking out, a shift cannot close while its cash drawer is still open
+            if (shift.status === 'Open' && await CashDrawer.exists({ shiftId: shift._id, status: 'Open' })) {
+                return res.status(400).json({ msg: 'Close the cash drawer opened in this shift before closing the shift.' });
+            }
+            // Closing an open shift on someone's behalf, e.g. they forgot to clock out
+            shift.clockOutAt = new Date(clockOutAt);
+            shift.status = 'Closed';
+        }
+        shift.adjustedBy = req.user.id;
+        shift.adjustmentReason = reason;
+        await shift.save();
+        await recordAudit(req, 'shift.adjust', { entity: shift, before, note: reason });
+
+        res.json({ msg: 'Shift updated.', shift });
+
+    } catch (err) {
+        console.error(err.message);
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ msg: err.message });
+        }
+        res.status(500).send('Server error');
+    }
+};
+
+// --- Schedules ---
+
+// Helper: check a rostered shift and that it does not overlap the person's other shifts
+const validateSchedule = async (vendorId, { userId, startsAt, endsAt }, excludeId) => {
+    const start = new Date(startsAt);
+    const end = new Date(endsAt);
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || end <= start) {
+        return 'startsAt and endsAt must be valid dates, with endsAt after startsAt.';
+    }
+    if (end - start > MAX_SCHEDULE_HOURS * 3600000) {
+        return `A shift cannot be longer than ${MAX_SCHEDULE_HOURS} hours.`;
+    }
+    if (!(await findOutletUser(vendorId, userId))) {
+        return 'Staff member not found at this outlet.';
+    }
+
+    const overlap = await ShiftSchedule.findOne({
+        vendorId,
+        userId,
+        _id: { $ne: excludeId },
+        startsAt: { $lt: end },
+        endsAt: { $gt: start }
+    });
+    return overlap ? `This overlaps another shift (${overlap.startsAt.toISOString()} - ${overlap.endsAt.toISOString()}).` : null;
+};
+
+// @desc    Rostered shifts in a date range. Without shift.manage users only see their own.
+// @route   GET /api/shifts/schedules?startDate=&endDate=&userId=
+// @access  Private (any logged-in user)
+exports.getSchedules = async (req, res) => {
+    const query = { vendorId: req.user.vendorId };
+    if (!req.permissions.has('shift.manage')) {
+        query.userId = req.user.id;
+    } else if (req.query.userId) {
+        if (!isValidObjectId(req.query.userId)) {
+            return res.status(400).json({ msg: 'Invalid user ID.' });
+        }
+        query.userId = req.query.userId;
+    }
+
+    try {
+        const dateRange = await parseRange(req);
+        if (!dateRange) {
+            return res.status(400).json({ msg: 'startDate and endDate are required (YYYY-MM-DD).' });
+        }
+        query.startsAt = dateRange;
+
+        const schedules = await ShiftSchedule.find(query)
+            .populate('userId', 'username role')
+            .sort({ startsAt: 1 });
+
+        res.json(schedules);
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+};
+
+// @desc    Roster a shift for a staff member
+// @route   POST /api/shifts/schedules
+// @access  Private (shift.manage)
+exports.createSchedule = async (req, res) => {
+    const { userId, startsAt, endsAt, note } = req.body;
+
+    if (!userId || !startsAt || !endsAt) {
+        return res.status(400).json({ msg: 'userId, startsAt and endsAt are required.' });
+    }
+
+    try {
+        const problem = await validateSchedule(req.user.vendorId, { userId, startsAt, endsAt });
+        if (problem) {
+            return res.status(400).json({ msg: problem });
+        }
+
+        const schedule = await ShiftSchedule.create({
+            vendorId: req.user.vendorId,
+            userId,
+            startsAt,
+            endsAt,
+            note,
+            createdBy: req.user.id
+        });
+        await recordAudit(req, 'shift.schedule_create', { entity: schedule });
+
+        res.status(201).json({ msg: 'Shift scheduled.', schedule });
+
+    } catch (err) {
+        console.error(err.message);
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ msg: err.message });
+        }
+        res.status(500).send('Server error');
+    }
+};
+
+// @desc    Change a rostered shift
+// @route   PUT /api/shifts/schedules/:id
+// @access  Private (shift.manage)
+exports.updateSchedule = async (req, res) => {
+    try {
+        const schedule = isValidObjectId(req.params.id)
+            ? await ShiftSchedule.findOne({ _id: req.params.id, vendorId: req.user.vendorId })
+            : null;
+        if (!schedule) {
+            return res.status(404).json({ msg: 'Scheduled shift not found.' });
+        }
+
+        const updates = {
+            userId: req.body.userId ?? schedule.userId,
+            startsAt: req.body.startsAt ?? schedule.startsAt,
+            endsAt: req.body.endsAt ?? schedule.endsAt
+        };
+        const problem = await validateSchedule(req.user.vendorId, updates, schedule._id);
+        if (problem) {
+            return res.status(400).json({ msg: problem });
+        }
+
+        const before = snapshot(schedule);
+        schedule.set(updates);
+        if (req.body.note !== undefined) schedule.note = req.body.note;
+        await schedule.save();
+        await recordAudit(req, 'shift.schedule_update', { entity: schedule, before });
+
+        res.json({ msg: 'Scheduled shift updated.', schedule });
+
+    } catch (err) {
+        console.error(err.message);
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ msg: err.message });
+        }
+        res.status(500).send('Server error');
+    }
+};
+
+// @desc    Remove a rostered shift. Shifts already clocked against it keep their times.
+// @route   DELETE /api/shifts/schedules/:id
+// @access  Private (shift.manage)
+exports.deleteSchedule = async (req, res) => {
+    try {
+        const schedule = isValidObjectId(req.params.id)
+            ? await ShiftSchedule.findOneAndDelete({ _id: req.params.id, vendorId: req.user.vendorId })
+            : null;
+        if (!schedule) {
+            return res.status(404).json({ msg: 'Scheduled shift not found.' });
+        }
+        await recordAudit(req, 'shift.schedule_delete', { entity: schedule, deleted: true });
+
+        res.json({ msg: 'Scheduled shift removed.' });
+
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+};
+
+// --- Cash drawer ---
+
+// @desc    Open a cash drawer with a counted opening float. Needs an open shift.
+// @route   POST /api/shifts/drawer/open
+// @access  Private (cash.drawer)
+exports.openDrawer = async (req, res) => {
+    const { id: userId, vendorId } = req.user;
+    const openingFloat = Number(req.body.openingFloat);
+
+    if (req.body.openingFloat === undefined || !(openingFloat >= 0)) {
+        return res.status(400).json({ msg: 'openingFloat must be zero or more.' });
+    }
+
+    try {
+        const shift = await getOpenShift(userId, vendorId);
+        if (!shift) {
+            return res.status(400).json({ msg: 'Clock in before opening a cash drawer.' });
+        }
+
+        const drawer = await CashDrawer.create({ vendorId, userId, shiftId: shift._id, openingFloat: round2(openingFloat) });
+        await recordAudit(req, 'cash.drawer_open', { entity: drawer });
+
+        res.status(201).json({ msg: 'Cash drawer opened.', drawer });
+
+    } catch (err) {
+        console.error(err.message);
+        if (err.code === 11000) {
+            return res.status(400).json({ msg: 'You already have an open cash drawer.' });
+        }
+        res.status(500).send('Server error');
+    }
+};
+
+// @desc    The user's open cash drawer with its running expected cash
+// @route   GET /api/shifts/drawer
+// @access  Private (cash.drawer)
+exports.getDrawer = async (req, res) => {
+    try {
+        const drawer = await CashDrawer.findOne({ userId: req.user.id, vendorId: req.user.vendorId, status: 'Open' });
+        if (!drawer) {
+            return res.status(404).json({ msg: 'You have no open cash drawer.' });
+        }
+
+        res.json({ drawer, ...(await drawerCashTotals(drawer)) });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+};
+
+// @desc    Close the user's cash drawer with the counted cash; records expected cash (including cash tips) and the variance
+// @route   POST /api/shifts/drawer/close
+// @access  Private (cash.drawer)
+exports.closeDrawer = async (req, res) => {
+    const countedCash = Number(req.body.countedCash);
+
+    if (req.body.countedCash === undefined || !(countedCash >= 0)) {
+        return res.status(400).json({ msg: 'countedCash must be zero or more.' });
+    }
+
+    try {
+        const drawer = await CashDrawer.findOne({ userId: req.user.id, vendorId: req.user.vendorId, status: 'Open' });
+        if (!drawer) {
+            return res.status(404).json({ msg: 'You have no open cash drawer.' });
+        }
+
+        const before = snapshot(drawer);
+        const closedAt = new Date();
+        const totals = await drawerCashTotals(drawer, closedAt);
+
+        drawer.set({
+            ...totals,
+            status: 'Closed',
+            closedAt,
+            closedBy: req.user.id,
+            countedCash: round2(countedCash),
+            variance: round2(countedCash - totals.expectedCash),
+            note: req.body.note
+        });
+        await drawer.save();
+        await recordAudit(req, 'cash.drawer_close', { entity: drawer, before, note: req.body.note });
+
+        const verdict = drawer.variance === 0 ? 'Cash matches.'
+            : drawer.variance < 0 ? `Cash is short by ${(-drawer.variance).toFixed(2)}.`
+                : `Cash is over by ${drawer.variance.toFixed(2)}.`;
+        res.json({ msg: `Cash drawer closed. ${verdict}`, drawer });
+
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+};
+
+// @desc    Cash drawer history with expected vs counted cash
+// @route   GET /api/shifts/drawers?startDate=&endDate=&userId=
+// @access  Private (shift.report)
+exports.getDrawers = async (req, res) => {
+    const query = { vendorId: req.user.vendorId };
+    if (req.query.userId) {
+        if (!isValidObjectId(req.query.userId)) {
+            return res.status(400).json({ msg: 'Invalid user ID.' });
+        }
+        query.userId = req.query.userId;
+    }
+
+    try {
+        const dateRange = await parseRange(req);
+        if (dateRange) query.openedAt = dateRange;
+
+        const drawers = await CashDrawer.find(query)
+            .populate('userId', 'username')
+            .sort({ openedAt: -1 })
+            .limit(500);
+
+        const closed = drawers.filter(drawer => drawer.status === 'Closed');
+        res.json({
+            count: drawers.length,
+            totalVariance: round2(closed.reduce((acc, drawer) => acc + drawer.variance, 0)),
+            drawers
+        });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+};
+
+// --- Reports ---
+
+// @desc    Attendance per staff member: rostered vs worked shifts, hours, absences and late arrivals
+// @route   GET /api/shifts/reports/attendance?startDate=&endDate=
+// @access  Private (shift.report)
+exports.getAttendanceReport = async (req, res) => {
+    const vendorId = new mongoose.Types.ObjectId(req.user.vendorId);
+
+    try {
+        const dateRange = await parseRange(req);
+        if (!dateRange) {
+            return res.status(400).json({ msg: 'startDate and endDate are required (YYYY-MM-DD).' });
+        }
+
+        const now = new Date();
+        const [worked, rostered] = await Promise.all([
+            Shift.aggregate([
+                { $match: { vendorId, clockInAt: dateRange } },
+                {
+                    $group: {
+                        _id: '$userId',
+                        shifts: { $sum: 1 },
+                        openShifts: { $sum: { $cond: [{ $eq: ['$status', 'Open'] }, 1, 0] } },
+                        hoursWorked: { $sum: { $cond: [{ $eq: ['$status', 'Closed'] }, hoursBetween('$clockInAt', '$clockOutAt'), 0] } },
+                        lateArrivals: { $sum: { $cond: [{ $gt: ['$lateMinutes', 0] }, 1, 0] } },
+                        lateMinutes: { $sum: '$lateMinutes' },
+                        unscheduledShifts: { $sum: { $cond: [{ $ifNull: ['$scheduleId', false] }, 0, 1] } }
+                    }
+                }
+            ]),
+            ShiftSchedule.aggregate([
+                { $match: { vendorId, startsAt: dateRange } },
+                { $lookup: { from: 'shifts', localField: '_id', foreignField: 'scheduleId', as: 'worked' } },
+                {
+                    $group: {
+                        _id: '$userId',
+                        scheduledShifts: { $sum: 1 },
+                        scheduledHours: { $sum: hoursBetween('$startsAt', '$endsAt') },
+                        // Rostered shifts that are over and were never clocked against
+                        absences: {
+                            $sum: { $cond: [{ $and: [{ $eq: [{ $size: '$worked' }, 0] }, { $lt: ['$endsAt', now] }] }, 1, 0] }
+                        }
+                    }
+                }
+            ])
+        ]);
+
+        const userIds = [...new Set([...worked, ...rostered].map(row => row._id.toString()))];
+        const users = await User.find({ _id: { $in: userIds } }).select('username role');
+
+        const staff = userIds.map(userId => {
+            const w = worked.find(row => row._id.toString() === userId) || {};
+            const r = rostered.find(row => row._id.toString() === userId) || {};
+            const user = users.find(u => u.id === userId);
+            return {
+                userId,
+                username: user?.username,
+                role: user?.role,
+                scheduledShifts: r.scheduledShifts || 0,
+                scheduledHours: round2(r.scheduledHours || 0),
+                shiftsWorked: w.shifts || 0,
+                unscheduledShifts: w.unscheduledShifts || 0,
+                openShifts: w.openShifts || 0,
+                hoursWorked: round2(w.hoursWorked || 0),
+                absences: r.absences || 0,
+                lateArrivals: w.lateArrivals || 0,
+                lateMinutes: w.lateMinutes || 0
+            };
+        }).sort((a, b) => (a.username || '').localeCompare(b.username || ''));
+
+        res.json({ startDate: req.query.startDate, endDate: req.query.endDate, staff });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error generating attendance report');
+    }
+};
+
+// @desc    Every late arrival in a date range, latest first
+// @route   GET /api/shifts/reports/late?startDate=&endDate=&userId=
+// @access  Private (shift.report)
+exports.getLateArrivals = async (req, res) => {
+    const query = { vendorId: req.user.vendorId, lateMinutes: { $gt: 0 } };
+    if (req.query.userId) {
+        if (!isValidObjectId(req.query.userId)) {
+            return res.status(400).json({ msg: 'Invalid user ID.' });
+        }
+        query.userId = req.query.userId;
+    }
+
+    try {
+        const dateRange = await parseRange(req);
+        if (!dateRange) {
+            return res.status(400).json({ msg: 'startDate and endDate are required (YYYY-MM-DD).' });
+        }
+        query.clockInAt = dateRange;
+
+        const shifts = await Shift.find(query)
+            .populate('userId', 'username role')
+            .populate('scheduleId', 'startsAt endsAt note')
+            .sort({ clockInAt: -1 });
+
+        res.json(shifts.map(shift => ({
+            shiftId: shift._id,
+            user: shift.userId,
+            scheduledStart: shift.scheduleId?.startsAt,
+            clockInAt: shift.clockInAt,
+            lateMinutes: shift.lateMinutes
+        })));
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error generating late arrivals report');
+    }
+};
@@ -0,0 +1,163 @@
+const mongoose = require('mongoose');
+const KitchenStation = require('../models/KitchenStation');
+const MenuItem = require('../models/MenuItem');
+const { recordAudit, snapshot } = require('../utils/audit');
+
+// Kitchen stations are strictly filtered by the logged-in user's vendorId
+
+// Helper: Validate MongoDB ObjectId
+const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+// Fields a Vendor may set on a station
+const STATION_FIELDS = ['name', 'categories', 'menuItemIds', 'isDefault', 'isActive'];
+
+const pickStationFields = (body) => STATION_FIELDS.reduce((acc, field) => {
+    if (body[field] !== undefined) acc[field] = body[field];
+    return acc;
+}, {});
+
+/**
+ * Check a station's routing: menu items must belong to the vendor, and a category or item can
+ * only be routed to one station. Returns an error message or null.
+ */
+const validateRouting = async (vendorId, fields, stationId = null) => {
+    const { categories, menuItemIds } = fields;
+    if (categories !== undefined && !Array.isArray(categories)) return 'categories must be an array.';
+    if (menuItemIds !== undefined) {
+        if (!Array.isArray(menuItemIds) || !menuItemIds.every(isValidObjectId)) return 'menuItemIds must be an array of menu item IDs.';
+        const found = await MenuItem.countDocuments({ _id: { $in: menuItemIds }, vendorId });
+        if (found !== new Set(menuItemIds.map(String)).size) return 'One or more menu items do not exist for this vendor.';
+    }
+
+    const clash = await KitchenStation.findOne({
+        vendorId,
+        _id: { $ne: stationId },
+        $or: [
+            { categories: { $in: categories || [] } },
+            { menuItemIds: { $in: menuItemIds || [] } }
+        ]
+    });
+    if (clash) return `Some of these categories or items are already routed to station ${clash.name}.`;
+
+    return null;
+};
+
+// @desc    List the shop's kitchen stations and their routing
+// @route   GET /api/stations
+// @access  Private (order.view_kitchen or station.manage)
+exports.getStations = async (req, res) => {
+    try {
+        const stations = await KitchenStation.find({ vendorId: req.user.vendorId }).sort({ isActive: -1, name: 1 });
+        res.json({ success: true, stations });
+    } catch (err) {
+        console.error("Get Stations Error:", err.message);
+        res.status(500).json({ success: false, msg: 'Server error retrieving kitchen stations' });
+    }
+};
+
+// @desc    Vendor adds a kitchen station
+// @route   POST /api/stations
+// @access  Private (station.manage)
+exports.createStation = async (req, res) => {
+    const vendorId = req.user.vendorId;
+    const fields = pickStationFields(req.body);
+
+    if (!fields.name) {
+        return res.status(400).json({ success: false, msg: 'Station name is required.' });
+    }
+
+    try {
+        const error = await validateRouting(vendorId, fields);
+        if (error) {
+            return res.status(400).json({ success: false, msg: error });
+        }
+
+        // Only one station catches unrouted lines
+        if (fields.isDefault) {
+            await KitchenStation.updateMany({ vendorId, isDefault: true }, { isDefault: false });
+        }
+
+        const station = await KitchenStation.create({ ...fields, vendorId });
+        await recordAudit(req, 'station.create', { entity: station });
+
+        res.status(201).json({ success: true, station, message: 'Kitchen station created successfully.' });
+    } catch (err) {
+        console.error("Create Station Error:", err.message);
+        if (err.code === 11000) {
+            return res.status(400).json({ success: false, msg: 'A station with this name already exists.' });
+        }
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ success: false, msg: err.message });
+        }
+        res.status(500).json({ success: false, msg: 'Server error during station creation' });
+    }
+};
+
+// @desc    Vendor renames a station or changes its routing. Lines already sent keep their station.
+// @route   PUT /api/stations/:id
+// @access  Private (station.manage)
+exports.updateStation = async (req, res) => {
+    const vendorId = req.user.vendorId;
+    const { id } = req.params;
+    const fields = pickStationFields(req.body);
+
+    if (!isValidObjectId(id)) {
+        return res.status(400).json({ success: false, msg: 'Invalid station ID.' });
+    }
+
+    try {
+        const station = await KitchenStation.findOne({ _id: id, vendorId });
+        if (!station) {
+            return res.status(404).json({ success: false, msg: 'Kitchen station not found.' });
+        }
+
+        const error = await validateRouting(vendorId, fields, station._id);
+        if (error) {
+            return res.status(400).json({ success: false, msg: error });
+        }
+
+        if (fields.isDefault) {
+            await KitchenStation.updateMany({ vendorId, isDefault: true, _id: { $ne: station._id } }, { isDefault: false });
+        }
+
+        const before = snapshot(station);
+        station.set(fields);
+        await station.save();
+        await recordAudit(req, 'station.update', { entity: station, before });
+
+        res.json({ success: true, station, message: 'Kitchen station updated successfully.' });
+    } catch (err) {
+        console.error("Update Station Error:", err.message);
+        if (err.code === 11000) {
+            return res.status(400).json({ success: false, msg: 'A station with this name already exists.' });
+        }
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ success: false, msg: err.message });
+        }
+        res.status(500).json({ success: false, msg: 'Server error during station update' });
+    }
+};
+
+// @desc    Vendor deletes a station. New lines for its categories go to the default station.
+// @route   DELETE /api/stations/:id
+// @access  Private (station.manage)
+exports.deleteStation = async (req, res) => {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+        return res.status(400).json({ success: false, msg: 'Invalid station ID.' });
+    }
+
+    try {
+        const station = await KitchenStation.findOneAndDelete({ _id: id, vendorId: req.user.vendorId });
+        if (!station) {
+            return res.status(404).json({ success: false, msg: 'Kitchen station not found.' });
+        }
+        await recordAudit(req, 'station.delete', { entity: station, deleted: true });
+
+        res.json({ success: true, msg: `Kitchen station ${station.name} deleted successfully.` });
+    } catch (err) {
+        console.error("Delete Station Error:", err.message);
+        res.status(500).json({ success: false, msg: 'Server error during station deletion' });
+    }
+};
@@ -0,0 +1,297 @@
+const mongoose = require('mongoose');
+const Table = require('../models/Table');
+const Order = require('../models/Order');
+const { OPEN_ORDER_STATUSES, releaseTableIfIdle } = require('../utils/tables');
+const { emitToPermission } = require('../config/socket');
+const { recordAudit, snapshot } = require('../utils/audit');
+
+// All tables are strictly filtered by the logged-in user's vendorId
+
+// Helper: Validate MongoDB ObjectId
+const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+// Let every floor screen refresh the table map
+const notifyFloor = (vendorId, tables) => {
+    emitToPermission(vendorId, 'table.view', 'table:updated', tables);
+};
+
+// Audit tables changed in bulk, diffing against the documents read before the update
+const auditTables = async (req, action, tables, beforeTables) => {
+    const beforeById = new Map(beforeTables.map(table => [table._id.toString(), snapshot(table)]));
+    for (const table of tables) {
+        await recordAudit(req, action, { entity: table, before: beforeById.get(table._id.toString()) || null });
+    }
+};
+
+// @desc    Floor view: all tables with their open orders
+// @route   GET /api/tables?floor=&section=
+// @access  Private (All Vendor/Staff roles)
+exports.getFloor = async (req, res) => {
+    const vendorId = req.user.vendorId;
+    const { floor, section } = req.query;
+
+    const query = { vendorId };
+    if (floor) query.floor = floor;
+    if (section) query.section = section;
+
+    try {
+        const [tables, openOrders] = await Promise.all([
+            Table.find(query).sort({ floor: 1, section: 1, number: 1 }),
+            Order.find({ vendorId, status: { $in: OPEN_ORDER_STATUSES } })
+                .select('tableNumber status totalAmount createdAt')
+        ]);
+
+        const ordersByTable = openOrders.reduce((acc, order) => {
+            (acc[order.tableNumber] = acc[order.tableNumber] || []).push(order);
+            return acc;
+        }, {});
+
+        res.json({
+            success: true,
+            tables: tables.map(table => ({
+                ...table.toObject(),
+                openOrders: ordersByTable[table.number] || []
+            }))
+        });
+    } catch (err) {
+        console.error("Get Floor Error:", err.message);
+        res.status(500).json({ success: false, msg: 'Server error retrieving tables' });
+    }
+};
+
+// @desc    Vendor adds a table to the floor plan
+// @route   POST /api/tables
+// @access  Private (Vendor role)
+exports.createTable = async (req, res) => {
+    const vendorId = req.user.vendorId;
+    const { number, floor, section, capacity } = req.body;
+
+    if (!number) {
+        return res.status(400).json({ success: false, msg: 'Table number is required.' });
+    }
+
+    try {
+        const table = await Table.create({ vendorId, number, floor, section, capacity });
+        await recordAudit(req, 'table.create', { entity: table });
+        notifyFloor(vendorId, [table]);
+
+        res.status(201).json({ success: true, table, message: 'Table created successfully.' });
+    } catch (err) {
+        console.error("Create Table Error:", err.message);
+        if (err.code === 11000) {
+            return res.status(400).json({ success: false, msg: `Table ${number} already exists.` });
+        }
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ success: false, msg: err.message });
+        }
+        res.status(500).json({ success: false, msg: 'Server error during table creation' });
+    }
+};
+
+// @desc    Vendor updates a table's floor, section or capacity
+// @route   PUT /api/tables/:id
+// @access  Private (Vendor role)
+exports.updateTable = async (req, res) => {
+    const vendorId = req.user.vendorId;
+    const { id } = req.params;
+    const { floor, section, capacity } = req.body;
+
+    if (!isValidObjectId(id)) {
+        return res.status(400).json({ success: false, msg: 'Invalid table ID.' });
+    }
+
+    try {
+        const existing = await Table.findOne({ _id: id, vendorId });
+        if (!existing) {
+            return res.status(404).json({ success: false, msg: 'Table not found.' });
+        }
+
+        // The number is fixed once created since open orders reference it
+        const table = await Table.findOneAndUpdate(
+            { _id: id, vendorId },
+            { $set: { floor, section, capacity } },
+            { new: true, runValidators: true }
+        );
+
+        if (!table) {
+            return res.status(404).json({ success: false, msg: 'Table not found.' });
+        }
+        await recordAudit(req, 'table.update', { entity: table, before: snapshot(existing) });
+
+        notifyFloor(vendorId, [table]);
+        res.json({ success: true, table, message: 'Table updated successfully.' });
+    } catch (err) {
+        console.error("Update Table Error:", err.message);
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ success: false, msg: err.message });
+        }
+        res.status(500).json({ success: false, msg: 'Server error during table update' });
+    }
+};
+
+// @desc    Vendor removes a table with no open orders
+// @route   DELETE /api/tables/:id
+// @access  Private (Vendor role)
+exports.deleteTable = async (req, res) => {
+    const vendorId = req.user.vendorId;
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+        return res.status(400).json({ success: false, msg: 'Invalid table ID.' });
+    }
+
+    try {
+        const table = await Table.findOne({ _id: id, vendorId });
+        if (!table) {
+            return res.status(404).json({ success: false, msg: 'Table not found.' });
+        }
+
+        const openOrders = await Order.countDocuments({ vendorId, tableNumber: table.number, status: { $in: OPEN_ORDER_STATUSES } });
+        if (openOrders > 0) {
+            return res.status(400).json({ success: false, msg: `Table ${table.number} has open orders.` });
+        }
+
+        await Table.updateMany({ vendorId, mergedInto: table._id }, { mergedInto: null });
+        await table.deleteOne();
+        await recordAudit(req, 'table.delete', { entity: table, deleted: true });
+
+        res.json({ success: true, msg: `Table ${table.number} deleted successfully.` });
+    } catch (err) {
+        console.error("Delete Table Error:", err.message);
+        res.status(500).json({ success: false, msg: 'Server error during table deletion' });
+    }
+};
+
+// @desc    Set a table's status by hand (reserve, mark for cleaning, free)
+// @route   PUT /api/tables/:id/status
+// @access  Private (Vendor, Server, Billing roles)
+exports.setTableStatus = async (req, res) => {
+    const vendorId = req.user.vendorId;
+    const { id } = req.params;
+    const { status } = req.body;
+
+    // 'Occupied' is only ever set by opening an order
+    if (!['Free', 'Reserved', 'Cleaning'].includes(status)) {
+        return res.status(400).json({ success: false, msg: "Status must be one of: Free, Reserved, Cleaning." });
+    }
+    if (!isValidObjectId(id)) {
+        return res.status(400).json({ success: false, msg: 'Invalid table ID.' });
+    }
+
+    try {
+        const table = await Table.findOne({ _id: id, vendorId });
+        if (!table) {
+            return res.status(404).json({ success: false, msg: 'Table not found.' });
+        }
+
+        const openOrders = await Order.countDocuments({ vendorId, tableNumber: table.number, status: { $in: OPEN_ORDER_STATUSES } });
+        if (openOrders > 0) {
+            return res.status(400).json({ success: false, msg: `Table ${table.number} has open orders and stays Occupied.` });
+        }
+
+        const before = snapshot(table);
+        table.status = status;
+        await table.save();
+        await recordAudit(req, 'table.status', { entity: table, before });
+
+        notifyFloor(vendorId, [table]);
+        res.json({ success: true, table, message: `Table ${table.number} is now ${status}.` });
+    } catch (err) {
+        console.error("Set Table Status Error:", err.message);
+        res.status(500).json({ success: false, msg: 'Server error updating table status' });
+    }
+};
+
+// @desc    Merge tables into a target table for a large party; their open orders move to the target
+// @route   POST /api/tables/merge
+// @access  Private (Vendor, Server roles)
+exports.mergeTables = async (req, res) => {
+    const vendorId = req.user.vendorId;
+    const { targetTableNumber, tableNumbers } = req.body;
+
+    if (!targetTableNumber || !Array.isArray(tableNumbers) || tableNumbers.length === 0) {
+        return res.status(400).json({ success: false, msg: 'Provide targetTableNumber and the tableNumbers to merge into it.' });
+    }
+    if (tableNumbers.includes(targetTableNumber)) {
+        return res.status(400).json({ success: false, msg: 'A table cannot be merged into itself.' });
+    }
+
+    try {
+        const target = await Table.findOne({ vendorId, number: targetTableNumber });
+        if (!target || target.mergedInto) {
+            return res.status(400).json({ success: false, msg: `Table ${targetTableNumber} does not exist or is already merged.` });
+        }
+
+        const sources = await Table.find({ vendorId, number: { $in: tableNumbers } });
+        if (sources.length !== new Set(tableNumbers).size) {
+            return res.status(400).json({ success: false, msg: 'One or more tables to merge do not exist.' });
+        }
+        const alreadyMerged = sources.find(t => t.mergedInto);
+        if (alreadyMerged) {
+            return res.status(400).json({ success: false, msg: `Table ${alreadyMerged.number} is already merged.` });
+        }
+
+        const targetBefore = snapshot(target);
+
+        // Move the sources' open orders (and their items' table numbers) onto the target
+        for (const source of sources) {
+            await Order.updateMany(
+                { vendorId, tableNumber: source.number, status: { $in: OPEN_ORDER_STATUSES } },
+                { $set: { tableNumber: target.number, 'items.$[item].itemTableNumber': target.number } },
+                { arrayFilters: [{ 'item.itemTableNumber': source.number }] }
+            );
+        }
+
+        await Table.updateMany(
+            { _id: { $in: sources.map(t => t._id) } },
+            { mergedInto: target._id, status: 'Occupied' }
+        );
+        target.status = 'Occupied';
+        await target.save();
+
+        const tables = await Table.find({ _id: { $in: [target._id, ...sources.map(t => t._id)] } });
+        await auditTables(req, 'table.merge', tables, [targetBefore, ...sources]);
+        notifyFloor(vendorId, tables);
+
+        res.json({ success: true, tables, message: `Tables ${tableNumbers.join(', ')} merged into table ${target.number}.` });
+    } catch (err) {
+        console.error("Merge Tables Error:", err.message);
+        res.status(500).json({ success: false, msg: 'Server error merging tables' });
+    }
+};
+
+// @desc    Split merged tables apart again; open orders stay on the target table
+// @route   POST /api/tables/:id/split
+// @access  Private (Vendor, Server roles)
+exports.splitTable = async (req, res) => {
+    const vendorId = req.user.vendorId;
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+        return res.status(400).json({ success: false, msg: 'Invalid table ID.' });
+    }
+
+    try {
+        const target = await Table.findOne({ _id: id, vendorId });
+        if (!target) {
+            return res.status(404).json({ success: false, msg: 'Table not found.' });
+        }
+
+        const merged = await Table.find({ vendorId, mergedInto: target._id });
+        if (merged.length === 0) {
+            return res.status(400).json({ success: false, msg: `No tables are merged into table ${target.number}.` });
+        }
+
+        await Table.updateMany({ _id: { $in: merged.map(t => t._id) } }, { mergedInto: null, status: 'Free' });
+        await releaseTableIfIdle(vendorId, target.number);
+
+        const tables = await Table.find({ _id: { $in: [target._id, ...merged.map(t => t._id)] } });
+        await auditTables(req, 'table.split', tables, [target, ...merged]);
+        notifyFloor(vendorId, tables);
+
+        res.json({ success: true, tables, message: `Split ${merged.length} table(s) from table ${target.number}.` });
+    } catch (err) {
+        console.error("Split Table Error:", err.message);
+        res.status(500).json({ success: false, msg: 'Server error splitting tables' });
+    }
+};
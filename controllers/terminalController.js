@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const Terminal = require('../models/Terminal');
+const { newSecret, hashSecret, formatKey } = require('../utils/secrets');
+const { revokeSessions } = require('../utils/sessions');
+const { recordAudit, snapshot } = require('../utils/audit');
+
+// Shared POS terminals are strictly filtered by the logged-in user's vendorId
+
+// @desc 	Vendor authorises the current device as a shared terminal. The device key is returned only once.
+// @route 	POST /api/vendor/terminals
+// @access 	Private (Vendor role)
+exports.registerTerminal = async (req, res) => {
+    const { name } = req.body;
+
+    if (!name) {
+        return res.status(400).json({ msg: 'A terminal name is required.' });
+    }
+
+    try {
+        const secret = newSecret();
+        const terminal = new Terminal({
+            vendorId: req.user.vendorId,
+            name,
+            deviceKeyHash: hashSecret(secret),
+            authorisedBy: req.user.id
+        });
+        await terminal.save();
+        await recordAudit(req, 'terminal.register', { entity: terminal });
+
+        res.status(201).json({
+            msg: 'Terminal authorised. Store the device key on this device; it will not be shown again.',
+            terminal: { id: terminal.id, name: terminal.name },
+            deviceKey: formatKey(terminal._id, secret)
+        });
+
+    } catch (err) {
+        console.error(err.message);
+        if (err.code === 11000) {
+            return res.status(400).json({ msg: 'A terminal with this name already exists.' });
+        }
+        res.status(500).send('Server error');
+    }
+};
+
+// @desc 	Vendor lists the shop's terminals
+// @route 	GET /api/vendor/terminals
+// @access 	Private (Vendor role)
+exports.getTerminals = async (req, res) => {
+    try {
+        const terminals = await Terminal.find({ vendorId: req.user.vendorId })
+            .select('-deviceKeyHash')
+            .sort({ revokedAt: 1, name: 1 });
+
+        res.json(terminals);
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+};
+
+// @desc 	Vendor revokes a terminal; anyone logged in on it by PIN is logged out
+// @route 	DELETE /api/vendor/terminals/:id
+// @access 	Private (Vendor role)
+exports.revokeTerminal = async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(404).json({ msg: 'Terminal not found.' });
+    }
+
+    try {
+        const terminal = await Terminal.findOneAndUpdate(
+            { _id: req.params.id, vendorId: req.user.vendorId, revokedAt: null },
+            { $set: { revokedAt: new Date() } },
+            { new: true }
+        );
+        if (!terminal) {
+            return res.status(404).json({ msg: 'Terminal not found or already revoked.' });
+        }
+
+        await revokeSessions({ terminalId: terminal._id }, { reason: 'Terminal revoked', revokedBy: req.user.id });
+        // The update only matched an unrevoked terminal
+        await recordAudit(req, 'terminal.revoke', { entity: terminal, before: { ...snapshot(terminal), revokedAt: null } });
+
+        res.json({ msg: `Terminal ${terminal.name} revoked.` });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+};
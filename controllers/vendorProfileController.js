@@ -0,0 +1,117 @@
+const Vendor = require('../models/Vendor');
+const VendorSettings = require('../models/VendorSettings');
+const { getVendorSettings, invalidateVendorSettings } = require('../utils/vendorSettings');
+const { uploadToCloudinary } = require('../utils/uploads');
+const { recordAudit, snapshot } = require('../utils/audit');
+
+// Profile (registration details) and settings of the logged-in user's shop
+
+// Registration details kept on the Vendor itself
+const VENDOR_FIELDS = ['name', 'gstNumber', 'foodLicenseNumber'];
+const SETTINGS_FIELDS = [
+    'address', 'contact', 'logoUrl', 'currency', 'timeZone', 'operatingHours', 'taxDefaults',
+    'serviceChargePercent', 'invoicePrefix', 'receiptFooter', 'requireClockIn', 'lateGraceMinutes', 'tipPool'
+];
+// Nested settings arrive as JSON strings when the logo is uploaded as multipart form-data
+const JSON_FIELDS = ['address', 'contact', 'operatingHours', 'taxDefaults', 'tipPool'];
+
+const pick = (body, fields) => fields.reduce((acc, field) => {
+    if (body[field] !== undefined) acc[field] = body[field];
+    return acc;
+}, {});
+
+const toProfile = (vendor, settings) => ({
+    vendor: {
+        id: vendor.id,
+        name: vendor.name,
+        gstNumber: vendor.gstNumber,
+        foodLicenseNumber: vendor.foodLicenseNumber,
+        organisationId: vendor.organisationId
+    },
+    settings
+});
+
+// @desc    Get the shop's profile and settings
+// @route   GET /api/vendor/profile
+// @access  Private (any approved staff of the shop)
+exports.getProfile = async (req, res) => {
+    try {
+        const vendor = await Vendor.findById(req.user.vendorId);
+        if (!vendor) {
+            return res.status(404).json({ msg: 'Shop not found.' });
+        }
+        const settings = await getVendorSettings(vendor._id);
+
+        res.json(toProfile(vendor, settings));
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+};
+
+// @desc    Update the shop's registration details and/or settings (optionally with a `logo` image upload)
+// @route   PUT /api/vendor/profile
+// @access  Private (vendor.settings)
+exports.updateProfile = async (req, res) => {
+    const vendorUpdates = pick(req.body, VENDOR_FIELDS);
+    const settingsUpdates = pick(req.body, SETTINGS_FIELDS);
+
+    for (const field of JSON_FIELDS) {
+        if (typeof settingsUpdates[field] === 'string') {
+            try {
+                settingsUpdates[field] = JSON.parse(settingsUpdates[field]);
+            } catch (err) {
+                return res.status(400).json({ msg: `${field} must be valid JSON.` });
+            }
+        }
+    }
+    if (VENDOR_FIELDS.some(field => vendorUpdates[field] === '')) {
+        return res.status(400).json({ msg: 'Shop name, GST Number and Food License Number cannot be empty.' });
+    }
+    if (Object.keys(vendorUpdates).length === 0 && Object.keys(settingsUpdates).length === 0 && !req.file) {
+        return res.status(400).json({ msg: 'Nothing to update.' });
+    }
+
+    try {
+        const vendor = await Vendor.findById(req.user.vendorId);
+        if (!vendor) {
+            return res.status(404).json({ msg: 'Shop not found.' });
+        }
+
+        if (req.file) {
+            settingsUpdates.logoUrl = await uploadToCloudinary(req.file.buffer);
+        }
+
+        // Validate both documents before saving either
+        const existing = await VendorSettings.findOne({ vendorId: vendor._id });
+        const settings = existing || new VendorSettings({ vendorId: vendor._id });
+        const vendorBefore = snapshot(vendor);
+        const settingsBefore = existing ? snapshot(existing) : undefined;
+        vendor.set(vendorUpdates);
+        settings.set(settingsUpdates);
+        await Promise.all([vendor.validate(), settings.validate()]);
+
+        if (vendor.isModified()) {
+            await vendor.save();
+            await recordAudit(req, 'vendor.update', { entity: vendor, entityType: 'Vendor', before: vendorBefore });
+        }
+        if (settings.isNew || settings.isModified()) {
+            await settings.save();
+            invalidateVendorSettings(vendor._id);
+            await recordAudit(req, 'vendor.settings', { entity: settings, before: settingsBefore });
+        }
+
+        res.json({ msg: 'Shop profile updated.', ...toProfile(vendor, settings) });
+
+    } catch (err) {
+        console.error(err.message);
+        if (err.code === 11000) {
+            const field = Object.keys(err.keyPattern)[0];
+            return res.status(400).json({ msg: `${field} is already in use.` });
+        }
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ msg: err.message });
+        }
+        res.status(500).send('Server error');
+    }
+};
@@ -1,15 +1,33 @@
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { revokeSessions } = require('../utils/sessions');
+const { getRole, permissionsBeyondCaller, capBeyondCaller } = require('../utils/permissions');
+const { invalidateUser } = require('../utils/liveUser');
+const { OWNER_ROLE } = require('../config/permissions');
+const { recordAudit, snapshot } = require('../utils/audit');
+const { atOutlet } = require('../utils/organisations');
 
 // All staff management is strictly filtered by the logged-in user's vendorId
 
+// Helper: a staff account belonging to (or assigned to) the logged-in Vendor's shop, or null
+const findOwnStaff = async (req) => {
+    const user = await User.findById(req.params.id);
+    const vendorId = req.user.vendorId.toString();
+    const worksHere = user && (user.vendorId.toString() === vendorId || user.outletIds.some(id => id.toString() === vendorId));
+    if (!user || user.role === 'Vendor' || !worksHere) {
+        return null;
+    }
+    return user;
+};
+
 // @desc 	Vendor gets all staff accounts for their restaurant
 // @route 	GET /api/vendor/staff
 // @access 	Private (Vendor role)
 exports.getStaff = async (req, res) => {
     try {
-        // Filter: Staff must belong to the logged-in vendor's shop
+        // Filter: Staff must belong to (or be assigned to) the logged-in vendor's shop
         const staff = await User.find({ 
-            vendorId: req.user.vendorId, 
+            ...atOutlet(req.user.vendorId),
             role: { $ne: 'Vendor' } // Exclude the Vendor owner account
         }).select('-password'); 
 
@@ -25,10 +43,9 @@ exports.getStaff = async (req, res) => {
 // @access 	Private (Vendor role)
 exports.approveStaff = async (req, res) => {
     try {
-        let user = await User.findById(req.params.id);
-
         // Check 1: User exists, is not a Vendor, and belongs to the current Vendor's shop
-        if (!user || user.role === 'Vendor' || user.vendorId.toString() !== req.user.vendorId.toString()) {
+        const user = await findOwnStaff(req);
+        if (!user) {
             return res.status(404).json({ msg: 'Staff account not found or unauthorized for this vendor.' });
         }
 
@@ -36,8 +53,11 @@ exports.approveStaff = async (req, res) => {
              return res.status(400).json({ msg: 'Staff account is already approved.' });
         }
 
+        const before = snapshot(user);
         user.isApproved = true;
         await user.save();
+        invalidateUser(user._id);
+        await recordAudit(req, 'staff.approve', { entity: user, before });
         
         res.json({ msg: `${user.username} approved successfully. They can now log in.`, user: { id: user.id, isApproved: user.isApproved } });
 
@@ -52,14 +72,17 @@ exports.approveStaff = async (req, res) => {
 // @access 	Private (Vendor role)
 exports.deleteStaff = async (req, res) => {
     try {
-        const user = await User.findById(req.params.id);
-
         // Check 1: User exists, is not a Vendor, and belongs to the current Vendor's shop
-        if (!user || user.role === 'Vendor' || user.vendorId.toString() !== req.user.vendorId.toString()) {
+        const user = await findOwnStaff(req);
+        if (!user) {
             return res.status(404).json({ msg: 'Staff account not found or unauthorized for this vendor.' });
         }
 
         await User.findByIdAndDelete(req.params.id);
+        invalidateUser(user._id);
+        await recordAudit(req, 'staff.delete', { entity: user, deleted: true });
+        // Log the account out everywhere right away
+        await revokeSessions({ userId: user._id }, { reason: 'Account deleted', revokedBy: req.user.id });
 
         res.json({ msg: `Staff account ${user.username} deleted successfully.` });
 
@@ -67,4 +90,240 @@ exports.deleteStaff = async (req, res) => {
         console.error(err.message);
         res.status(500).send('Server error');
     }
-};
\ No newline at end of file
+};
+
+
+// @desc 	Vendor withdraws a staff account's approval and logs it out everywhere
+// @route 	PUT /api/vendor/staff/:id/unapprove
+// @access 	Private (Vendor role)
+exports.unapproveStaff = async (req, res) => {
+    try {
+        const user = await findOwnStaff(req);
+        if (!user) {
+            return res.status(404).json({ msg: 'Staff account not found or unauthorized for this vendor.' });
+        }
+
+        if (!user.isApproved) {
+            return res.status(400).json({ msg: 'Staff account is not approved.' });
+        }
+
+        const before = snapshot(user);
+        user.isApproved = false;
+        await user.save();
+        invalidateUser(user._id);
+        await recordAudit(req, 'staff.unapprove', { entity: user, before });
+        await revokeSessions({ userId: user._id }, { reason: 'Approval withdrawn', revokedBy: req.user.id });
+
+        res.json({ msg: `${user.username}'s approval withdrawn. They have been logged out.`, user: { id: user.id, isApproved: user.isApproved } });
+
+    } catch (err) {
+        console.error(err.message);
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({ msg: 'Staff account not found.' });
+        }
+        res.status(500).send('Server error');
+    }
+};
+
+// @desc 	Vendor lists a staff member's active sessions (devices)
+// @route 	GET /api/vendor/staff/:id/sessions
+// @access 	Private (Vendor role)
+exports.getStaffSessions = async (req, res) => {
+    try {
+        const user = await findOwnStaff(req);
+        if (!user) {
+            return res.status(404).json({ msg: 'Staff account not found or unauthorized for this vendor.' });
+        }
+
+        const sessions = await Session.find({ userId: user._id, revokedAt: null, expiresAt: { $gt: new Date() } })
+            .select('-refreshTokenHash')
+            .sort({ lastUsedAt: -1 });
+
+        res.json(sessions);
+
+    } catch (err) {
+        console.error(err.message);
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({ msg: 'Staff account not found.' });
+        }
+        res.status(500).send('Server error');
+    }
+};
+
+// @desc 	Vendor revokes one session (?sessionId=) or all sessions of a staff member
+// @route 	DELETE /api/vendor/staff/:id/sessions
+// @access 	Private (Vendor role)
+exports.revokeStaffSessions = async (req, res) => {
+    const { sessionId } = req.query;
+
+    try {
+        const user = await findOwnStaff(req);
+        if (!user) {
+            return res.status(404).json({ msg: 'Staff account not found or unauthorized for this vendor.' });
+        }
+
+        const filter = sessionId ? { _id: sessionId, userId: user._id } : { userId: user._id };
+        const count = await revokeSessions(filter, { reason: 'Revoked by Vendor', revokedBy: req.user.id });
+        await recordAudit(req, 'staff.sessions_revoke', { entity: user, before: snapshot(user), note: `Revoked ${count} session(s)` });
+
+        res.json({ msg: `Revoked ${count} session(s) for ${user.username}.`, revoked: count });
+
+    } catch (err) {
+        console.error(err.message);
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({ msg: 'Staff account or session not found.' });
+        }
+        res.status(500).send('Server error');
+    }
+};
+
+// @desc 	Vendor clears a staff member's terminal PIN and lockout (they set a new one with PUT /api/auth/pin)
+// @route 	DELETE /api/vendor/staff/:id/pin
+// @access 	Private (Vendor role)
+exports.resetStaffPin = async (req, res) => {
+    try {
+        const user = await findOwnStaff(req);
+        if (!user) {
+            return res.status(404).json({ msg: 'Staff account not found or unauthorized for this vendor.' });
+        }
+
+        await User.updateOne(
+            { _id: user._id },
+            { $set: { pinFailedAttempts: 0 }, $unset: { pinHash: 1, pinLockedUntil: 1 } }
+        );
+        const before = snapshot(user);
+        user.pinFailedAttempts = 0;
+        user.pinLockedUntil = undefined;
+        await recordAudit(req, 'staff.pin_reset', { entity: user, before, note: 'PIN cleared' });
+
+        res.json({ msg: `${user.username}'s PIN has been reset.` });
+
+    } catch (err) {
+        console.error(err.message);
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({ msg: 'Staff account not found.' });
+        }
+        res.status(500).send('Server error');
+    }
+};
+
+// @desc 	Vendor moves a staff member to another role (built-in or custom). They log in again to pick it up.
+// @route 	PUT /api/vendor/staff/:id/role
+// @access 	Private (Vendor role)
+exports.changeStaffRole = async (req, res) => {
+    const { role } = req.body;
+
+    if (!role || role === OWNER_ROLE) {
+        return res.status(400).json({ msg: 'A staff role is required.' });
+    }
+    if (req.params.id === req.user.id) {
+        return res.status(403).json({ msg: 'You cannot change your own role.' });
+    }
+
+    try {
+        const user = await findOwnStaff(req);
+        if (!user) {
+            return res.status(404).json({ msg: 'Staff account not found or unauthorized for this vendor.' });
+        }
+
+        const target = await getRole(req.user.vendorId, role);
+        if (!target) {
+            return res.status(400).json({ msg: `Role '${role}' does not exist for this shop.` });
+        }
+        const beyond = permissionsBeyondCaller(req, target.permissions);
+        if (beyond.length > 0) {
+            return res.status(403).json({ msg: `Role '${role}' has permissions you do not hold: ${beyond.join(', ')}` });
+        }
+        if (capBeyondCaller(req, target.manualDiscountCap)) {
+            return res.status(403).json({ msg: `Role '${role}' has a higher manual discount cap than yours.` });
+        }
+
+        const before = snapshot(user);
+        user.role = role;
+        await user.save();
+        invalidateUser(user._id);
+        await recordAudit(req, 'staff.role', { entity: user, before });
+        // Tokens carry the role, so existing sessions must end
+        await revokeSessions({ userId: user._id }, { reason: 'Role changed', revokedBy: req.user.id });
+
+        res.json({ msg: `${user.username} is now ${role}. They need to log in again.`, user: { id: user.id, role: user.role } });
+
+    } catch (err) {
+        console.error(err.message);
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({ msg: 'Staff account not found.' });
+        }
+        res.status(500).send('Server error');
+    }
+};
+
+// @desc 	Vendor suspends a staff account (e.g. on leave). It is logged out and blocked until reactivated.
+// @route 	PUT /api/vendor/staff/:id/suspend
+// @access 	Private (Vendor role)
+exports.suspendStaff = async (req, res) => {
+    const { reason } = req.body;
+
+    try {
+        const user = await findOwnStaff(req);
+        if (!user) {
+            return res.status(404).json({ msg: 'Staff account not found or unauthorized for this vendor.' });
+        }
+
+        if (user.isSuspended) {
+            return res.status(400).json({ msg: 'Staff account is already suspended.' });
+        }
+
+        const before = snapshot(user);
+        user.isSuspended = true;
+        user.suspendedAt = new Date();
+        user.suspendedBy = req.user.id;
+        user.suspensionReason = reason;
+        await user.save();
+        invalidateUser(user._id);
+        await recordAudit(req, 'staff.suspend', { entity: user, before, note: reason });
+        await revokeSessions({ userId: user._id }, { reason: 'Account suspended', revokedBy: req.user.id });
+
+        res.json({ msg: `${user.username} suspended. They have been logged out.`, user: { id: user.id, isSuspended: user.isSuspended } });
+
+    } catch (err) {
+        console.error(err.message);
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({ msg: 'Staff account not found.' });
+        }
+        res.status(500).send('Server error');
+    }
+};
+
+// @desc 	Vendor reactivates a suspended staff account
+// @route 	PUT /api/vendor/staff/:id/reactivate
+// @access 	Private (Vendor role)
+exports.reactivateStaff = async (req, res) => {
+    try {
+        const user = await findOwnStaff(req);
+        if (!user) {
+            return res.status(404).json({ msg: 'Staff account not found or unauthorized for this vendor.' });
+        }
+
+        if (!user.isSuspended) {
+            return res.status(400).json({ msg: 'Staff account is not suspended.' });
+        }
+
+        const before = snapshot(user);
+        user.isSuspended = false;
+        user.suspendedAt = undefined;
+        user.suspendedBy = undefined;
+        user.suspensionReason = undefined;
+        await user.save();
+        invalidateUser(user._id);
+        await recordAudit(req, 'staff.reactivate', { entity: user, before });
+
+        res.json({ msg: `${user.username} reactivated. They can log in again.`, user: { id: user.id, isSuspended: user.isSuspended } });
+
+    } catch (err) {
+        console.error(err.message);
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({ msg: 'Staff account not found.' });
+        }
+        res.status(500).send('Server error');
+    }
+};
@@ -0,0 +1,290 @@
+const Order = require('../models/Order');
+const { recalculateTotals, round2 } = require('../utils/billing');
+const { restoreStock } = require('../utils/stock');
+const { returnIngredients } = require('../utils/inventory');
+const { releaseTableIfIdle } = require('../utils/tables');
+const { emitToPermission } = require('../config/socket');
+const { recordAudit, snapshot } = require('../utils/audit');
+const { setOrderStatus, rollUpItemStatus } = require('../utils/orderStatus');
+const { emitToStations } = require('../utils/stations');
+
+// Voids, cancellations and refunds. Every action needs a reason code so reports can explain lost revenue.
+
+// Socket audiences: new dishes go to whoever prepares them; status changes go to every order screen
+const KITCHEN_FEED_PERMISSION = 'order.status.ready';
+const ORDER_FEED_PERMISSION = 'order.view_kitchen';
+// Items can be voided until the bill is frozen; after that only refunds apply
+const VOIDABLE_STATUSES = ['Pending', 'Kitchen', 'Ready', 'Served'];
+
+// A line the kitchen has not started on yet; it can be dropped freely and its ingredients recovered
+const notStarted = (item) => item.kitchenStatus === 'Queued';
+
+// Apply an approved void: drop the item from totals, give its stock back and tell the kitchen
+const applyVoid = async (order, item) => {
+    item.isVoided = true;
+    recalculateTotals(order);
+    // The remaining lines may all be ready now
+    rollUpItemStatus(order, item.voidRequest.decidedBy);
+    await order.save();
+
+    await restoreStock([item], order.vendorId);
+    // Ingredients are only recovered when the kitchen never started on the dish
+    if (notStarted(item)) {
+        await returnIngredients([item], order.vendorId, { orderId: order._id, reason: 'Voided before preparation' })
+            .catch(err => console.error('Ingredient return failed:', err.message));
+    }
+
+    emitToPermission(order.vendorId, KITCHEN_FEED_PERMISSION, 'order:item_voided', {
+        orderId: order._id,
+        tableNumber: order.tableNumber,
+        itemId: item._id,
+        name: item.name,
+        quantity: item.quantity
+    });
+    emitToStations(order, 'item_voided', [item]);
+};
+
+const findOrder = (req) => Order.findOne({ _id: req.params.id, vendorId: req.user.vendorId });
+
+// @desc    Void a single item. Once the kitchen has started on it, voids without order.void.approve wait for approval.
+// @route   POST /api/orders/:id/items/:itemId/void
+// @access  Private (Server, Billing, Vendor roles)
+exports.voidItem = async (req, res) => {
+    const { reason, note } = req.body;
+
+    if (!reason) {
+        return res.status(400).json({ msg: 'A reason code is required to void an item.' });
+    }
+
+    try {
+        const order = await findOrder(req);
+        if (!order) {
+            return res.status(404).json({ msg: 'Order not found for this shop.' });
+        }
+        if (!VOIDABLE_STATUSES.includes(order.status)) {
+            return res.status(400).json({ msg: `Cannot void items on a ${order.status} order. Use a refund instead.` });
+        }
+
+        const item = order.items.id(req.params.itemId);
+        if (!item) {
+            return res.status(404).json({ msg: 'Item not found on this order.' });
+        }
+        if (item.isVoided || item.voidRequest?.status === 'Requested') {
+            return res.status(400).json({ msg: 'Item is already voided or awaiting approval.' });
+        }
+
+        const before = snapshot(order);
+        const needsApproval = !req.permissions.has('order.void.approve') && !notStarted(item);
+        item.voidRequest = {
+            status: needsApproval ? 'Requested' : 'Approved',
+            reason,
+            note,
+            requestedBy: req.user.id,
+            decidedBy: needsApproval ? undefined : req.user.id,
+            decidedAt: needsApproval ? undefined : new Date()
+        };
+
+        if (needsApproval) {
+            await order.save();
+            await recordAudit(req, 'order.void_request', { entity: order, before, note: reason });
+            emitToPermission(order.vendorId, 'order.void.approve', 'order:void_requested', {
+                orderId: order._id,
+                tableNumber: order.tableNumber,
+                itemId: item._id,
+                name: item.name,
+                reason
+            });
+            return res.status(202).json({ msg: 'Void request sent for Vendor approval.', order });
+        }
+
+        await applyVoid(order, item);
+        await recordAudit(req, 'order.void', { entity: order, before, note: reason });
+        res.json({ msg: `${item.name} voided. Total updated.`, order });
+
+    } catch (err) {
+        console.error(err.message);
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ msg: err.message });
+        }
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({ msg: 'Order not found.' });
+        }
+        res.status(500).send('Server error voiding item');
+    }
+};
+
+// @desc    Vendor approves or rejects a pending void request
+// @route   PUT /api/orders/:id/items/:itemId/void
+// @access  Private (Vendor role)
+exports.decideVoid = async (req, res) => {
+    const { approve } = req.body;
+
+    if (typeof approve !== 'boolean') {
+        return res.status(400).json({ msg: 'approve must be true or false.' });
+    }
+
+    try {
+        const order = await findOrder(req);
+        if (!order) {
+            return res.status(404).json({ msg: 'Order not found for this shop.' });
+        }
+
+        const item = order.items.id(req.params.itemId);
+        if (!item || item.voidRequest?.status !== 'Requested') {
+            return res.status(404).json({ msg: 'No pending void request for this item.' });
+        }
+        if (approve && !VOIDABLE_STATUSES.includes(order.status)) {
+            return res.status(400).json({ msg: `Cannot void items on a ${order.status} order. Use a refund instead.` });
+        }
+
+        const before = snapshot(order);
+        item.voidRequest.status = approve ? 'Approved' : 'Rejected';
+        item.voidRequest.decidedBy = req.user.id;
+        item.voidRequest.decidedAt = new Date();
+
+        if (approve) {
+            await applyVoid(order, item);
+        } else {
+            await order.save();
+        }
+        await recordAudit(req, approve ? 'order.void_approve' : 'order.void_reject', { entity: order, before, note: item.voidRequest.reason });
+
+        res.json({ msg: `Void of ${item.name} ${approve ? 'approved' : 'rejected'}.`, order });
+
+    } catch (err) {
+        console.error(err.message);
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({ msg: 'Order not found.' });
+        }
+        res.status(500).send('Server error deciding void request');
+    }
+};
+
+// @desc    Orders with void requests awaiting Vendor approval
+// @route   GET /api/orders/voids/pending
+// @access  Private (Vendor role)
+exports.getPendingVoids = async (req, res) => {
+    try {
+        const orders = await Order.find({
+            vendorId: req.user.vendorId,
+            'items.voidRequest.status': 'Requested'
+        }).sort({ updatedAt: 1 });
+
+        res.json(orders);
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error retrieving void requests');
+    }
+};
+
+// @desc    Cancel a whole order. Staff can only cancel orders the kitchen has not started on.
+// @route   POST /api/orders/:id/cancel
+// @access  Private (Server, Vendor roles)
+exports.cancelOrder = async (req, res) => {
+    const { reason, note } = req.body;
+
+    if (!reason) {
+        return res.status(400).json({ msg: 'A reason code is required to cancel an order.' });
+    }
+
+    try {
+        const order = await findOrder(req);
+        if (!order) {
+            return res.status(404).json({ msg: 'Order not found for this shop.' });
+        }
+        if (!VOIDABLE_STATUSES.includes(order.status)) {
+            return res.status(400).json({ msg: `Cannot cancel a ${order.status} order.` });
+        }
+        const activeItems = order.items.filter(item => !item.isVoided);
+        if (!req.permissions.has('order.cancel.any') && !activeItems.every(notStarted)) {
+            return res.status(403).json({ msg: 'Orders the kitchen has started on can only be cancelled by the Vendor or a manager.' });
+        }
+
+        const before = snapshot(order);
+        // Only lines the kitchen never started on give their ingredients back
+        const unstartedItems = activeItems.filter(notStarted);
+
+        activeItems.forEach(item => {
+            item.isVoided = true;
+            item.voidRequest = {
+                status: 'Approved', reason, note,
+                requestedBy: req.user.id, decidedBy: req.user.id, decidedAt: new Date()
+            };
+        });
+        recalculateTotals(order);
+        setOrderStatus(order, 'Cancelled', req.user.id, reason);
+        order.cancellation = { reason, note, cancelledBy: req.user.id, cancelledAt: new Date() };
+        await order.save();
+
+        await restoreStock(activeItems, order.vendorId);
+        if (unstartedItems.length > 0) {
+            await returnIngredients(unstartedItems, order.vendorId, { orderId: order._id, reason: 'Order cancelled before preparation' })
+                .catch(err => console.error('Ingredient return failed:', err.message));
+        }
+        await releaseTableIfIdle(order.vendorId, order.tableNumber);
+        await recordAudit(req, 'order.cancel', { entity: order, before, note: reason });
+
+        emitToPermission(order.vendorId, ORDER_FEED_PERMISSION, 'order:status', {
+            orderId: order._id,
+            tableNumber: order.tableNumber,
+            status: order.status
+        });
+
+        res.json({ msg: 'Order cancelled.', order });
+
+    } catch (err) {
+        console.error(err.message);
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ msg: err.message });
+        }
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({ msg: 'Order not found.' });
+        }
+        res.status(500).send('Server error cancelling order');
+    }
+};
+
+// @desc    Refund part or all of the amount paid on a Billed/Completed order
+// @route   POST /api/orders/:id/refunds
+// @access  Private (Vendor role)
+exports.refundOrder = async (req, res) => {
+    const { amount, method, reason, note } = req.body;
+
+    if (!(Number(amount) > 0) || !method || !reason) {
+        return res.status(400).json({ msg: 'Refund must include a positive amount, a method and a reason code.' });
+    }
+
+    try {
+        const order = await findOrder(req);
+        if (!order) {
+            return res.status(404).json({ msg: 'Order not found for this shop.' });
+        }
+        if (!['Billed', 'Completed'].includes(order.status)) {
+            return res.status(400).json({ msg: 'Refunds are only possible on Billed or Completed orders.' });
+        }
+
+        const refundable = round2(order.amountPaid - order.refundedAmount);
+        const refundAmount = round2(Number(amount));
+        if (refundAmount > refundable) {
+            return res.status(400).json({ msg: `Refund exceeds the refundable amount of ${refundable.toFixed(2)}.` });
+        }
+
+        const before = snapshot(order);
+        order.refunds.push({ amount: refundAmount, method, reason, note, refundedBy: req.user.id });
+        order.refundedAmount = round2(order.refundedAmount + refundAmount);
+        await order.save();
+        await recordAudit(req, 'order.refund', { entity: order, before, note: reason });
+
+        res.json({ msg: `Refunded ${refundAmount.toFixed(2)}.`, order });
+
+    } catch (err) {
+        console.error(err.message);
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ msg: err.message });
+        }
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({ msg: 'Order not found.' });
+        }
+        res.status(500).send('Server error processing refund');
+    }
+};
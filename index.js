@@ -1,7 +1,10 @@
+const http = require('http');
 const express = require('express');
 const dotenv = require('dotenv');
 const cors = require('cors');
 const connectDB = require('./config/db'); // Import the separate DB connection function
+const { initSocket } = require('./config/socket');
+const { assertMailTransport } = require('./config/mailer');
 
 // Load environment variables from .env file
 dotenv.config();
@@ -26,10 +29,27 @@ app.use('/api/auth', authRoutes);
 app.use('/api/vendor', vendorRoutes);
 app.use('/api/orders', orderRoutes); // Mount the new order routes
 app.use('/api/menu', require('./routes/menu')); // New Menu/Product Route
+app.use('/api/inventory', require('./routes/inventory')); // Ingredients, purchases and wastage
+app.use('/api/tables', require('./routes/table')); // Floor plan and table status
+app.use('/api/discounts', require('./routes/discount')); // Discount rules and coupons
+app.use('/api/reports', require('./routes/report')); // Sales analytics
+app.use('/api/exports', require('./routes/export')); // CSV/XLSX downloads
+app.use('/api/roles', require('./routes/role')); // Roles and permissions
+app.use('/api/audit', require('./routes/audit')); // Who changed what
+app.use('/api/stations', require('./routes/station')); // Kitchen stations and KOT routing
+app.use('/api/organisation', require('./routes/organisation')); // Multi-outlet organisations
+app.use('/api/shifts', require('./routes/shift')); // Clock-in/out, rosters, cash drawers and attendance
 
 // Simple root route
 app.get('/', (req, res) => res.send('Restaurant Management System API Running!'));
 
+// Password resets and email verification cannot work without a way to send mail
+assertMailTransport();
+
 const PORT = process.env.PORT || 5000;
 
-app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+// Socket.IO shares the HTTP server with Express for live order updates
+const server = http.createServer(app);
+initSocket(server);
+
+server.listen(PORT, () => console.log(`Server running on port ${PORT}`));
@@ -1,15 +1,24 @@
 // middleware/auth.js
 const jwt = require('jsonwebtoken');
+const { isSessionActive } = require('../utils/sessions');
+const { getLiveUser } = require('../utils/liveUser');
 
 // Mocked JWT secret - MUST be in .env in a real app
 process.env.JWT_SECRET = process.env.JWT_SECRET || 'supersecretkey'; 
 
+// Live account checks are on unless explicitly disabled (AUTH_LIVE_USER_CHECK=false)
+const LIVE_USER_CHECK = process.env.AUTH_LIVE_USER_CHECK !== 'false';
+
 /**
  * Middleware to verify JWT and authorize based on role(s).
  * Calling auth() with no argument allows access for all authenticated users.
+ * The token's session must still be active, so logout and revocation take effect immediately.
+ * With the live user check, the account is re-read (briefly cached) so deleted, unapproved and
+ * suspended accounts are rejected and role/approval changes apply without a new token.
  * * @param {string|string[]} [requiredRoles] - A single role string or an array of allowed roles.
+ * @param {{ liveUser?: boolean }} [options] - liveUser defaults to AUTH_LIVE_USER_CHECK (on)
  */
-const auth = (requiredRoles) => async (req, res, next) => {
+const auth = (requiredRoles, { liveUser = LIVE_USER_CHECK } = {}) => async (req, res, next) => {
     // Get token from header
     const token = req.header('x-auth-token');
 
@@ -18,17 +27,47 @@ const auth = (requiredRoles) => async (req, res, next) => {
         return res.status(401).json({ msg: 'No token, authorization denied' });
     }
 
+    let decoded;
     try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (err) {
+        return res.status(401).json({ msg: 'Token is not valid' });
+    }
+
+    try {
+        if (!(await isSessionActive(decoded.sid))) {
+            return res.status(401).json({ msg: 'Session has expired or been revoked. Please log in again.' });
+        }
+
         // Attach decoded user payload to the request
         req.user = decoded.user;
+        req.sessionId = decoded.sid;
         
         // Crucial: Attach vendorId for controller use (menu ownership, staff linking)
         if (decoded.user && decoded.user.vendorId) {
             req.user.vendorId = decoded.user.vendorId;
         }
 
+        // Token claims go stale; the live account is the source of truth
+        if (liveUser) {
+            const current = await getLiveUser(req.user.id);
+            if (!current) {
+                return res.status(401).json({ msg: 'Account no longer exists.' });
+            }
+            if (current.isSuspended) {
+                return res.status(403).json({ msg: 'Your account has been suspended. Please contact your shop owner.' });
+            }
+            if (current.role !== 'Vendor' && !current.isApproved) {
+                return res.status(403).json({ msg: 'Your account is pending Vendor approval. Please contact your shop owner.' });
+            }
+            req.user.role = current.role;
+            req.user.isApproved = current.isApproved;
+            // Multi-outlet users keep the outlet they switched to while they still have access to it
+            if (!current.outletIds.includes(String(req.user.vendorId))) {
+                req.user.vendorId = current.vendorId;
+            }
+        }
+
         // 2. Role-based access control
         // If requiredRoles is undefined/null, the array 'roles' will be empty or contain nulls/undefined.
         const roles = Array.isArray(requiredRoles) 
@@ -46,8 +85,8 @@ const auth = (requiredRoles) => async (req, res, next) => {
         next();
 
     } catch (err) {
-        // console.error(err);
-        res.status(401).json({ msg: 'Token is not valid' });
+        console.error(err.message);
+        res.status(500).send('Server error');
     }
 };
 
@@ -0,0 +1,37 @@
+// middleware/authorize.js
+const auth = require('./auth');
+const { getRole } = require('../utils/permissions');
+
+/**
+ * Route guard: a logged-in user whose role holds at least one of the given permissions.
+ * Attaches the user's permission set as `req.permissions` and their role as `req.role`
+ * so controllers can make finer decisions (e.g. approval-free voids, discount caps).
+ *
+ * @param {...string} permissions - Permission names from config/permissions.js
+ * @returns {Function[]} Middleware chain (auth, then the permission check)
+ */
+const authorize = (...permissions) => [
+    auth(),
+    async (req, res, next) => {
+        try {
+            const role = await getRole(req.user.vendorId, req.user.role);
+            if (!role) {
+                return res.status(403).json({ msg: `Role '${req.user.role}' no longer exists. Please contact your shop owner.` });
+            }
+
+            req.role = role;
+            req.permissions = role.permissions;
+
+            if (permissions.length > 0 && !permissions.some(permission => role.permissions.has(permission))) {
+                return res.status(403).json({ msg: `Access denied. Requires permission: ${permissions.join(' or ')}` });
+            }
+
+            next();
+        } catch (err) {
+            console.error(err.message);
+            res.status(500).send('Server error');
+        }
+    }
+];
+
+module.exports = authorize;
@@ -0,0 +1,26 @@
+// middleware/clockIn.js
+const { getVendorSettings } = require('../utils/vendorSettings');
+const { getOpenShift } = require('../utils/shifts');
+const { OWNER_ROLE } = require('../config/permissions');
+
+/**
+ * Route guard for taking orders: when the shop requires it (settings.requireClockIn), staff must
+ * have an open shift at the current outlet. The owner is exempt. Use after authorize().
+ */
+const requireClockIn = async (req, res, next) => {
+    try {
+        if (req.user.role === OWNER_ROLE) return next();
+
+        const { requireClockIn: required } = await getVendorSettings(req.user.vendorId);
+        if (required && !(await getOpenShift(req.user.id, req.user.vendorId))) {
+            return res.status(403).json({ msg: 'Please clock in before taking orders.' });
+        }
+
+        next();
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+};
+
+module.exports = requireClockIn;
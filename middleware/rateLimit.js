@@ -0,0 +1,43 @@
+// middleware/rateLimit.js
+
+/**
+ * Fixed-window, in-memory rate limiter. Good enough for a single API process; counts reset on restart.
+ *
+ * @param {object} options
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {number} options.max - Requests allowed per key per window
+ * @param {(req) => string} [options.key] - Bucket key, defaults to the client IP
+ * @param {string} [options.msg] - Message returned with the 429
+ */
+const rateLimit = ({ windowMs, max, key = (req) => req.ip, msg = 'Too many attempts. Please try again later.' }) => {
+    const hits = new Map(); // key -> { count, resetAt }
+
+    // Drop finished windows so the map cannot grow without bound
+    setInterval(() => {
+        const now = Date.now();
+        for (const [bucket, entry] of hits) {
+            if (entry.resetAt <= now) hits.delete(bucket);
+        }
+    }, windowMs).unref();
+
+    return (req, res, next) => {
+        const now = Date.now();
+        const bucket = key(req);
+
+        let entry = hits.get(bucket);
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs };
+            hits.set(bucket, entry);
+        }
+
+        entry.count += 1;
+        if (entry.count > max) {
+            res.set('Retry-After', Math.ceil((entry.resetAt - now) / 1000));
+            return res.status(429).json({ msg });
+        }
+
+        next();
+    };
+};
+
+module.exports = rateLimit;
@@ -0,0 +1,31 @@
+// middleware/terminal.js
+const Terminal = require('../models/Terminal');
+const { hashSecret, parseKey } = require('../utils/secrets');
+
+/**
+ * Middleware for requests from a shared POS terminal.
+ * The device sends the key it received when the Vendor authorised it in the `x-terminal-key` header.
+ * On success the terminal is attached as `req.terminal`.
+ */
+const terminal = async (req, res, next) => {
+    const key = parseKey(req.header('x-terminal-key'));
+    if (!key) {
+        return res.status(401).json({ msg: 'This device is not an authorised terminal.' });
+    }
+
+    try {
+        const device = await Terminal.findOne({ _id: key.id, deviceKeyHash: hashSecret(key.secret), revokedAt: null });
+        if (!device) {
+            return res.status(401).json({ msg: 'This device is not an authorised terminal.' });
+        }
+
+        req.terminal = device;
+        next();
+
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+};
+
+module.exports = terminal;
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Append-only record of who changed what. Entries are never updated or deleted.
+const auditLogSchema = new mongoose.Schema({
+    vendorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vendor',
+        required: true
+    },
+    actorId: { // Missing for actions by the system or an unauthenticated caller
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    actorRole: String,
+    action: { // e.g. 'order.status', 'menu.update', 'staff.delete'
+        type: String,
+        required: true
+    },
+    entityType: { // Model name, e.g. 'Order', 'MenuItem', 'User'
+        type: String,
+        required: true
+    },
+    entityId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    changes: [{ // Field-level diff for updates; paths into arrays use the sub-document id
+        path: String,
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed,
+        _id: false
+    }],
+    before: mongoose.Schema.Types.Mixed, // Full snapshot of a deleted entity
+    after: mongoose.Schema.Types.Mixed, // Full snapshot of a created entity
+    note: String, // Free text such as a reason code
+    ip: String,
+    userAgent: String
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+auditLogSchema.index({ vendorId: 1, createdAt: -1 });
+auditLogSchema.index({ vendorId: 1, entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ vendorId: 1, actorId: 1, createdAt: -1 });
+
+// Enforce append-only at the model level
+const appendOnly = function () {
+    throw new Error('Audit log entries cannot be modified or deleted.');
+};
+auditLogSchema.pre(
+    ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+    appendOnly
+);
+auditLogSchema.pre('deleteOne', { document: true, query: false }, appendOnly);
+auditLogSchema.pre('save', function () {
+    if (!this.isNew) appendOnly();
+});
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
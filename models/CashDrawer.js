@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// A cash drawer session, opened and closed by a cashier within their shift.
+// Expected cash = opening float + cash taken (payments and tips) - cash refunded by the cashier while the drawer was open.
+const cashDrawerSchema = new mongoose.Schema({
+    vendorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vendor',
+        required: true
+    },
+    userId: { // The cashier responsible for the drawer
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    shiftId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Shift',
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['Open', 'Closed'],
+        default: 'Open'
+    },
+    openingFloat: { type: Number, required: true, min: 0 },
+    openedAt: { type: Date, default: Date.now },
+    // Filled in at close
+    closedAt: Date,
+    closedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    cashSales: Number,
+    cashTips: Number,
+    cashRefunds: Number,
+    expectedCash: Number,
+    countedCash: { type: Number, min: 0 },
+    variance: Number, // counted - expected; negative means cash is short
+    note: { type: String, trim: true }
+}, { timestamps: true });
+
+cashDrawerSchema.index({ vendorId: 1, openedAt: 1 });
+// One open drawer per cashier
+cashDrawerSchema.index({ userId: 1 }, { unique: true, partialFilterExpression: { status: 'Open' } });
+
+module.exports = mongoose.model('CashDrawer', cashDrawerSchema);
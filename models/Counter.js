@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Per-vendor sequence counters (e.g. invoice numbers)
+const counterSchema = new mongoose.Schema({
+    vendorId: { type: mongoose.Schema.Types.ObjectId, ref: 'Vendor', required: true },
+    name: { type: String, required: true },
+    seq: { type: Number, default: 0 }
+});
+
+counterSchema.index({ vendorId: 1, name: 1 }, { unique: true });
+
+/**
+ * Atomically increment and return the next value of a vendor's sequence.
+ * @param {string|ObjectId} vendorId
+ * @param {string} name - Sequence name, e.g. 'invoice'
+ * @returns {Promise<number>}
+ */
+counterSchema.statics.next = async function (vendorId, name) {
+    const counter = await this.findOneAndUpdate(
+        { vendorId, name },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true }
+    );
+    return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// A pricing rule: automatic (happy hour, weekday lunch) or unlocked by a coupon code
+const discountRuleSchema = new mongoose.Schema({
+    vendorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vendor',
+        required: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    kind: {
+        type: String,
+        enum: ['Percentage', 'Flat'], // Flat is per unit for Item/Category scope, per order for Order scope
+        required: true
+    },
+    value: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    scope: {
+        type: String,
+        enum: ['Item', 'Category', 'Order'],
+        required: true
+    },
+    menuItemIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'MenuItem' }], // Item scope
+    categories: [String], // Category scope
+    minOrderAmount: { type: Number, default: 0, min: 0 }, // Order scope
+    maxDiscount: { type: Number, min: 0 }, // Cap on the discount amount per application
+    couponCode: { // When set, the rule only applies once the code is entered
+        type: String,
+        trim: true,
+        uppercase: true
+    },
+    usageLimit: { type: Number, min: 1 }, // Coupons only; unlimited when unset
+    usedCount: { type: Number, default: 0 },
+    validFrom: Date,
+    validTo: Date,
+    schedule: { // Weekly time window in the vendor's local time, e.g. happy hour
+        daysOfWeek: [{ type: Number, min: 0, max: 6 }], // 0 = Sunday; empty = every day
+        startTime: { type: String, match: /^([01]\d|2[0-3]):[0-5]\d$/ }, // 'HH:mm'
+        endTime: { type: String, match: /^([01]\d|2[0-3]):[0-5]\d$/ }
+    },
+    isActive: { type: Boolean, default: true }
+}, { timestamps: true });
+
+// Coupon codes are unique per vendor
+discountRuleSchema.index({ vendorId: 1, couponCode: 1 }, {
+    unique: true,
+    partialFilterExpression: { couponCode: { $type: 'string' } }
+});
+
+module.exports = mongoose.model('DiscountRule', discountRuleSchema);
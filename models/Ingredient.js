@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// A raw material the kitchen stocks (e.g. paneer, flour, oil), tracked in its own unit
+const ingredientSchema = new mongoose.Schema({
+    vendorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vendor',
+        required: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    unit: {
+        type: String,
+        enum: ['g', 'kg', 'ml', 'l', 'pcs'],
+        required: true
+    },
+    currentStock: { // May go negative when sales outrun recorded purchases
+        type: Number,
+        default: 0
+    },
+    reorderLevel: { // Alert when stock falls to or below this quantity
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    costPerUnit: { // Weighted average purchase cost
+        type: Number,
+        default: 0,
+        min: 0
+    }
+}, { timestamps: true });
+
+// Ensure name is unique per vendor
+ingredientSchema.index({ vendorId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Ingredient', ingredientSchema);
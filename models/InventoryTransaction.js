@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Every change to an ingredient's stock: purchases/receiving, wastage, order consumption and manual adjustments
+const inventoryTransactionSchema = new mongoose.Schema({
+    vendorId: { type: mongoose.Schema.Types.ObjectId, ref: 'Vendor', required: true },
+    ingredientId: { type: mongoose.Schema.Types.ObjectId, ref: 'Ingredient', required: true },
+    type: {
+        type: String,
+        enum: ['Purchase', 'Wastage', 'Consumption', 'Adjustment'],
+        required: true
+    },
+    quantity: { type: Number, required: true }, // Signed change: + adds stock, - removes it
+    unitCost: { type: Number, default: 0 },
+    supplier: { type: String, trim: true }, // Purchases only
+    invoiceRef: { type: String, trim: true }, // Supplier bill / GRN number
+    reason: { type: String, trim: true }, // Wastage and adjustments
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' }, // Consumption only
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+inventoryTransactionSchema.index({ vendorId: 1, createdAt: -1 });
+inventoryTransactionSchema.index({ vendorId: 1, ingredientId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('InventoryTransaction', inventoryTransactionSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// A code (or link) staff use to join a shop. It fixes their role, expires and can be used a limited
+// number of times. The code is shown once when created; only its hash is stored.
+const inviteSchema = new mongoose.Schema({
+    vendorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vendor',
+        required: true
+    },
+    codeHash: {
+        type: String,
+        required: true,
+        unique: true,
+        select: false
+    },
+    codeHint: String, // Last characters of the code, so the Vendor can tell invites apart
+    role: { // Role given to everyone who joins with this invite
+        type: String,
+        required: true,
+        trim: true
+    },
+    maxUses: {
+        type: Number,
+        default: 1,
+        min: 1,
+        max: 500
+    },
+    uses: {
+        type: Number,
+        default: 0
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    autoApprove: { // Accounts can log in at once instead of waiting for approveStaff
+        type: Boolean,
+        default: false
+    },
+    note: { // e.g. 'Weekend servers'
+        type: String,
+        trim: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    usedBy: [{
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        usedAt: { type: Date, default: Date.now }
+    }],
+    revokedAt: Date,
+    revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+inviteSchema.index({ vendorId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Invite', inviteSchema);
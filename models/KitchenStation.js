@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// A preparation area (e.g. 'Tandoor', 'Bar'). KOT lines are routed to a station by menu item,
+// then by category, then to the vendor's default station.
+const kitchenStationSchema = new mongoose.Schema({
+    vendorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vendor',
+        required: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    categories: [{ // Menu categories prepared here
+        type: String,
+        trim: true
+    }],
+    menuItemIds: [{ // Individual dishes prepared here, overriding their category
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'MenuItem'
+    }],
+    isDefault: { // Receives lines no other station claims
+        type: Boolean,
+        default: false
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, { timestamps: true });
+
+// Ensure station name is unique per vendor
+kitchenStationSchema.index({ vendorId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('KitchenStation', kitchenStationSchema);
@@ -1,5 +1,17 @@
 const mongoose = require('mongoose');
 
+// A choice list on a dish, e.g. "Size: pick 1" or "Toppings: pick up to 3"
+const modifierGroupSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },
+    minSelect: { type: Number, default: 0, min: 0 }, // 1 or more makes the group mandatory
+    maxSelect: { type: Number, default: 1, min: 1 },
+    options: [{
+        name: { type: String, required: true, trim: true },
+        priceDelta: { type: Number, default: 0 }, // Added to the item price when selected
+        isAvailable: { type: Boolean, default: true }
+    }]
+});
+
 // This model represents a product or dish on the menu
 const menuItemSchema = new mongoose.Schema({
     vendorId: { 
@@ -33,10 +45,43 @@ const menuItemSchema = new mongoose.Schema({
         type: Number, 
         default: 0 
     },
+    trackStock: { // When true, orders decrement `stock` and are rejected once it runs out
+        type: Boolean,
+        default: false
+    },
+    lowStockThreshold: { // Alert when tracked stock falls to or below this count
+        type: Number,
+        default: 0,
+        min: 0
+    },
     isAvailable: { 
         type: Boolean, 
         default: true 
-    }
+    },
+    autoDisabled: { // Switched off by running out of stock (not by hand); restocking switches it back on
+        type: Boolean,
+        default: false
+    },
+    taxRate: { // GST percentage (split into CGST/SGST or charged as IGST at billing)
+        type: Number,
+        default: 5,
+        min: 0,
+        max: 28
+    },
+    taxInclusive: { // true when `price` already includes GST
+        type: Boolean,
+        default: false
+    },
+    modifierGroups: [modifierGroupSchema],
+    // Set on copies pushed from the organisation's master menu
+    masterItemId: { type: mongoose.Schema.Types.ObjectId, ref: 'MenuItem' },
+    // Fields this outlet has changed on a pushed item; later pushes leave them alone
+    localOverrides: [{ type: String, enum: ['price', 'isAvailable'] }],
+    recipe: [{ // Ingredients used by one portion, deducted when the dish is ordered
+        ingredientId: { type: mongoose.Schema.Types.ObjectId, ref: 'Ingredient', required: true },
+        quantity: { type: Number, required: true, min: 0 }, // In the ingredient's own unit
+        _id: false
+    }]
 }, { timestamps: true });
 
 // Ensure name is unique per vendor
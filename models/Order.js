@@ -1,30 +1,167 @@
 const mongoose = require('mongoose');
 
+// Frozen bill, written once when the order moves to 'Billed'
+const billSchema = new mongoose.Schema({
+    invoiceNumber: { type: String, required: true },
+    supplyType: { type: String, enum: ['Intra', 'Inter'], default: 'Intra' }, // Intra = CGST+SGST, Inter = IGST
+    grossAmount: { type: Number, default: 0 }, // Item total before discounts
+    discountTotal: { type: Number, default: 0 },
+    subtotal: { type: Number, required: true }, // Taxable value
+    serviceChargeRate: { type: Number, default: 0 }, // % of the taxable value
+    serviceCharge: { type: Number, default: 0 }, // Taxed with the items; attributed to the order's server
+    taxLines: [{
+        name: String, // CGST, SGST or IGST
+        rate: Number,
+        taxableAmount: Number,
+        amount: Number
+    }],
+    taxTotal: { type: Number, default: 0 },
+    roundOff: { type: Number, default: 0 },
+    grandTotal: { type: Number, required: true },
+    billedAt: { type: Date, default: Date.now },
+    billedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { _id: false });
+
+// One tender against the bill; an order can be settled with several
+const paymentSchema = new mongoose.Schema({
+    method: { type: String, enum: ['Cash', 'Card', 'UPI', 'Wallet'], required: true },
+    amount: { type: Number, required: true, min: 0.01 }, // Amount applied to the bill
+    tendered: { type: Number, min: 0 }, // Amount handed over by the guest (cash)
+    change: { type: Number, default: 0 }, // Change returned: tendered - amount
+    reference: { type: String, trim: true }, // Card slip / UPI transaction reference
+    receivedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    receivedAt: { type: Date, default: Date.now }
+});
+
+// A tip left by the guest on top of the bill. It belongs to the order's server (or the tip pool).
+const tipSchema = new mongoose.Schema({
+    amount: { type: Number, required: true, min: 0.01 },
+    method: { type: String, enum: ['Cash', 'Card', 'UPI', 'Wallet'], required: true },
+    serverId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // The order's server when the tip was recorded
+    reference: { type: String, trim: true },
+    receivedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    receivedAt: { type: Date, default: Date.now }
+});
+
+// A discount on the order: automatic rule, coupon or manual. Amounts are final once billed.
+const discountSchema = new mongoose.Schema({
+    source: { type: String, enum: ['Auto', 'Coupon', 'Manual'], required: true },
+    ruleId: { type: mongoose.Schema.Types.ObjectId, ref: 'DiscountRule' },
+    code: String,
+    name: String,
+    kind: { type: String, enum: ['Percentage', 'Flat'], required: true },
+    scope: { type: String, enum: ['Item', 'Category', 'Order'], default: 'Order' },
+    value: { type: Number, required: true, min: 0 },
+    amount: { type: Number, default: 0 },
+    reason: { type: String, trim: true }, // Manual discounts
+    appliedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    appliedAt: { type: Date, default: Date.now }
+});
+
+// Reason codes shared by item voids, order cancellations and refunds
+const adjustmentReasons = ['CustomerRequest', 'WrongOrder', 'QualityIssue', 'LongWait', 'OutOfStock', 'Other'];
+
+// Removal of a single item. Voids after the item reached the kitchen wait for Vendor approval.
+const voidRequestSchema = new mongoose.Schema({
+    status: { type: String, enum: ['Requested', 'Approved', 'Rejected'], required: true },
+    reason: { type: String, enum: adjustmentReasons, required: true },
+    note: { type: String, trim: true },
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    requestedAt: { type: Date, default: Date.now },
+    decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    decidedAt: Date
+}, { _id: false });
+
+// Money returned on a Billed/Completed order
+const refundSchema = new mongoose.Schema({
+    amount: { type: Number, required: true, min: 0.01 },
+    method: { type: String, enum: ['Cash', 'Card', 'UPI', 'Wallet'], required: true },
+    reason: { type: String, enum: adjustmentReasons, required: true },
+    note: { type: String, trim: true },
+    refundedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    refundedAt: { type: Date, default: Date.now }
+});
+
+// One order status change. The first entry (from: null) is the order being opened.
+const statusChangeSchema = new mongoose.Schema({
+    from: String,
+    status: { type: String, required: true },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    changedAt: { type: Date, default: Date.now },
+    note: String
+}, { _id: false });
+
 const orderSchema = new mongoose.Schema({
     tableNumber: { type: Number, required: true }, // The table for the entire order
     items: [ // This array handles the order list with addons
         {
             menuItemId: { type: mongoose.Schema.Types.ObjectId, ref: 'MenuItem', required: true },
             name: String, // Denormalized for simpler KOT view
+            category: String, // Denormalized for category discounts and reports
+            stationId: { type: mongoose.Schema.Types.ObjectId, ref: 'KitchenStation' }, // Where the line is prepared
+            station: String, // Station name, denormalized for the KOT and reports
+            price: Number, // Unit price at the time of ordering, including modifier deltas
+            taxRate: Number,
+            taxInclusive: Boolean,
             quantity: { type: Number, required: true },
             itemTableNumber: { // Specific table number per item (as requested)
                 type: Number, 
                 required: true 
             }, 
-            addons: [String], 
-            notes: String 
+            modifiers: [{ // Validated modifier selections, priced into `price`
+                group: String,
+                option: String,
+                priceDelta: Number,
+                _id: false
+            }],
+            addons: [String], // Readable modifier labels for the KOT, e.g. "Size: Large"
+            notes: String,
+            orderedAt: { type: Date, default: Date.now }, // When this line was added (add-ons come later)
+            // Kitchen progress of this line, so add-ons can be Ready independently of the rest
+            kitchenStatus: { type: String, enum: ['Queued', 'Preparing', 'Ready', 'Served'], default: 'Queued' },
+            startedAt: Date,
+            readyAt: Date, // Prep time is readyAt - orderedAt
+            readyBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+            servedAt: Date,
+            discount: { type: Number, default: 0 }, // Share of discounts on this line, set at billing
+            isVoided: { type: Boolean, default: false }, // Voided items are excluded from totals and bills
+            voidRequest: { type: voidRequestSchema, default: undefined }
         }
     ],
     status: { 
         type: String, 
-        enum: ['Pending', 'Kitchen', 'Ready', 'Served', 'Billed', 'Completed'], 
+        enum: ['Pending', 'Kitchen', 'Ready', 'Served', 'Billed', 'Completed', 'Cancelled'], 
         default: 'Pending' 
     },
+    statusHistory: [statusChangeSchema], // Every transition with time and user (see utils/orderStatus)
+    cancellation: {
+        reason: { type: String, enum: adjustmentReasons },
+        note: String,
+        cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        cancelledAt: Date
+    },
     server: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     // All orders are scoped to a vendor
     vendorId: { type: mongoose.Schema.Types.ObjectId, ref: 'Vendor', required: true },
-    totalAmount: { type: Number, default: 0 },
-    paymentMethod: String,
+    totalAmount: { type: Number, default: 0 }, // Sum of non-voided items
+    voidedAmount: { type: Number, default: 0 }, // Value of voided items, reported apart from revenue
+    paymentMethod: String, // Single method, or 'Split' when several methods were used
+    payments: [paymentSchema],
+    amountPaid: { type: Number, default: 0 },
+    bill: { type: billSchema, default: undefined },
+    billingClaimedAt: Date, // Set while one request is billing the order (see utils/billing claimForBilling)
+    discounts: [discountSchema],
+    discountTotal: { type: Number, default: 0 },
+    refunds: [refundSchema],
+    refundedAmount: { type: Number, default: 0 },
+    tips: [tipSchema],
+    tipTotal: { type: Number, default: 0 }
 }, { timestamps: true });
 
+// Invoice numbers are unique within a vendor
+orderSchema.index({ vendorId: 1, 'bill.invoiceNumber': 1 }, {
+    unique: true,
+    partialFilterExpression: { 'bill.invoiceNumber': { $exists: true } }
+});
+
 module.exports = mongoose.model('Order', orderSchema);
\ No newline at end of file
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// A business with several outlets. Each outlet is a Vendor; the owner manages all of them.
+const organisationSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    ownerUser: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        unique: true
+    },
+    masterOutletId: { // The outlet whose menu is pushed to the others
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vendor',
+        required: true
+    }
+}, { timestamps: true });
+
+module.exports = mongoose.model('Organisation', organisationSchema);
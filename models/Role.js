@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const { ALL_PERMISSIONS } = require('../config/permissions');
+
+// A vendor's custom role (e.g. 'Captain', 'Manager'), or the vendor's own version of a built-in
+// staff role (Server, Kitchen, Billing). See config/permissions.js for the built-in defaults.
+const roleSchema = new mongoose.Schema({
+    vendorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vendor',
+        required: true
+    },
+    name: { // Stored on User.role
+        type: String,
+        required: true,
+        trim: true,
+        minlength: 2,
+        maxlength: 30
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    permissions: [{
+        type: String,
+        enum: ALL_PERMISSIONS
+    }],
+    manualDiscountCap: { // Largest manual discount this role may give, as a % of the order
+        type: Number,
+        default: 0,
+        min: 0,
+        max: 100
+    }
+}, { timestamps: true });
+
+roleSchema.index({ vendorId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Role', roleSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// One logged-in device. Access tokens carry the session id (`sid`) so a revoked session
+// stops working immediately; the refresh token is rotated on every use.
+const sessionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    vendorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vendor',
+        required: true
+    },
+    refreshTokenHash: { // SHA-256 of the current refresh token secret; the token itself is never stored
+        type: String,
+        required: true
+    },
+    terminalId: { // Set for PIN logins on a shared terminal
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Terminal'
+    },
+    userAgent: String,
+    ip: String,
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: { // Sliding: pushed forward on every refresh
+        type: Date,
+        required: true
+    },
+    revokedAt: Date,
+    revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    revokedReason: String // e.g. 'Logout', 'Revoked by Vendor', 'Account deleted', 'Refresh token reuse'
+}, { timestamps: true });
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+sessionSchema.index({ terminalId: 1, revokedAt: 1 }, { partialFilterExpression: { terminalId: { $exists: true } } });
+// MongoDB removes sessions once they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
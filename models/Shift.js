@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Time actually worked: one clock-in to clock-out at an outlet. A staff member has at most one open shift.
+const shiftSchema = new mongoose.Schema({
+    vendorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vendor',
+        required: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['Open', 'Closed'],
+        default: 'Open'
+    },
+    clockInAt: { type: Date, required: true, default: Date.now },
+    clockOutAt: Date,
+    scheduleId: { // The rostered shift this one was matched to at clock-in, if any
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ShiftSchedule'
+    },
+    lateMinutes: { // Minutes after the scheduled start, when past the shop's grace period
+        type: Number,
+        default: 0
+    },
+    note: { type: String, trim: true },
+    // Set when a manager corrects the clock times (e.g. a forgotten clock-out)
+    adjustedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    adjustmentReason: { type: String, trim: true }
+}, { timestamps: true });
+
+shiftSchema.pre('validate', function () {
+    if (this.clockOutAt && this.clockOutAt <= this.clockInAt) {
+        this.invalidate('clockOutAt', 'Clock-out must be after clock-in.');
+    }
+});
+
+shiftSchema.index({ vendorId: 1, clockInAt: 1 });
+shiftSchema.index({ vendorId: 1, userId: 1, clockInAt: 1 });
+shiftSchema.index({ scheduleId: 1 }, { sparse: true });
+// One open shift per person, wherever they clocked in
+shiftSchema.index({ userId: 1 }, { unique: true, partialFilterExpression: { status: 'Open' } });
+
+module.exports = mongoose.model('Shift', shiftSchema);
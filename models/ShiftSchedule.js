@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// A planned shift on the roster: who is expected to work, and when
+const shiftScheduleSchema = new mongoose.Schema({
+    vendorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vendor',
+        required: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    startsAt: { type: Date, required: true },
+    endsAt: { type: Date, required: true },
+    note: { // e.g. 'Lunch rush', 'Closing'
+        type: String,
+        trim: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, { timestamps: true });
+
+shiftScheduleSchema.pre('validate', function () {
+    if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+        this.invalidate('endsAt', 'A shift must end after it starts.');
+    }
+});
+
+shiftScheduleSchema.index({ vendorId: 1, startsAt: 1 });
+shiftScheduleSchema.index({ vendorId: 1, userId: 1, startsAt: 1 });
+
+module.exports = mongoose.model('ShiftSchedule', shiftScheduleSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// A physical table on the vendor's floor plan
+const tableSchema = new mongoose.Schema({
+    vendorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vendor',
+        required: true
+    },
+    number: { // Matches Order.tableNumber
+        type: Number,
+        required: true,
+        min: 1
+    },
+    floor: {
+        type: String,
+        trim: true,
+        default: 'Ground'
+    },
+    section: { // e.g. 'AC Hall', 'Terrace'
+        type: String,
+        trim: true
+    },
+    capacity: {
+        type: Number,
+        default: 4,
+        min: 1
+    },
+    status: {
+        type: String,
+        enum: ['Free', 'Occupied', 'Reserved', 'Cleaning'],
+        default: 'Free'
+    },
+    // Set while this table is joined to another one for a large party
+    mergedInto: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Table',
+        default: null
+    }
+}, { timestamps: true });
+
+// Ensure table number is unique per vendor
+tableSchema.index({ vendorId: 1, number: 1 }, { unique: true });
+
+module.exports = mongoose.model('Table', tableSchema);
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// A shared device (e.g. a floor tablet) the Vendor has authorised for PIN login.
+// The device key is shown once at registration; only its hash is stored.
+const terminalSchema = new mongoose.Schema({
+    vendorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vendor',
+        required: true
+    },
+    name: { // e.g. 'Front counter tablet'
+        type: String,
+        required: true,
+        trim: true
+    },
+    deviceKeyHash: {
+        type: String,
+        required: true
+    },
+    authorisedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    lastUsedAt: Date,
+    revokedAt: Date
+}, { timestamps: true });
+
+terminalSchema.index({ vendorId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Terminal', terminalSchema);
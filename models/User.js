@@ -16,10 +16,10 @@ const userSchema = new mongoose.Schema({
         // Basic regex for 10-digit phone number
         match: [/^\d{10}$/, 'Please fill a valid 10-digit phone number']
     },
-    role: { 
+    role: { // 'Vendor' (owner), a built-in staff role (Server, Kitchen, Billing) or one of the vendor's custom roles
         type: String, 
-        enum: ['Vendor', 'Server', 'Kitchen', 'Billing'], 
-        required: true 
+        required: true,
+        trim: true
     },
     // Conditional fields are required on the User model during registration for Vendor role
     gstNumber: {
@@ -34,9 +34,30 @@ const userSchema = new mongoose.Schema({
         unique: function() { return this.role === 'Vendor'; },
         sparse: true
     },
-    // vendorId links all staff and data to a specific Vendor entity (shop)
+    // vendorId links all staff and data to a specific Vendor entity (shop) - the home outlet
     vendorId: { type: mongoose.Schema.Types.ObjectId, ref: 'Vendor', required: true },
-    isApproved: { type: Boolean, default: false } // Staff approval flag, true for Vendor owner
+    // Further outlets of the organisation this staff member may work at (switch with /api/auth/outlet)
+    outletIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Vendor' }],
+    // Set on the owner of a multi-outlet organisation; they can work at every outlet
+    organisationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Organisation' },
+    isApproved: { type: Boolean, default: false }, // Staff approval flag, true for Vendor owner
+    inviteId: { type: mongoose.Schema.Types.ObjectId, ref: 'Invite' }, // The invite a staff member joined with
+    // Temporarily blocked by the Vendor (e.g. on leave); approval is kept for when they return
+    isSuspended: { type: Boolean, default: false },
+    suspendedAt: Date,
+    suspendedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    suspensionReason: String,
+    isEmailVerified: { type: Boolean, default: false },
+    // Single-use email tokens; only SHA-256 hashes are stored
+    emailVerificationTokenHash: { type: String, select: false, index: { sparse: true } },
+    emailVerificationExpires: { type: Date, select: false },
+    passwordResetTokenHash: { type: String, select: false, index: { sparse: true } },
+    passwordResetExpires: { type: Date, select: false },
+    passwordChangedAt: Date,
+    // Quick login on authorised terminals
+    pinHash: { type: String, select: false }, // bcrypt hash of the 4-6 digit PIN
+    pinFailedAttempts: { type: Number, default: 0 },
+    pinLockedUntil: Date
 }, { timestamps: true });
 
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -2,12 +2,16 @@ const mongoose = require('mongoose');
 
 // This model represents the physical restaurant/shop entity
 // It holds the business registration details.
+// Outlets of one organisation are separate Vendors; outlets in the same state share a GSTIN.
 const vendorSchema = new mongoose.Schema({
     name: { type: String, required: true, unique: true },
-    gstNumber: { type: String, required: true, unique: true },
-    foodLicenseNumber: { type: String, required: true, unique: true },
-    // Reference to the User who created and controls this Vendor entity
-    ownerUser: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true } 
+    gstNumber: { type: String, required: true },
+    foodLicenseNumber: { type: String, required: true, unique: true }, // FSSAI licences are per premises
+    // Reference to the User who created and controls this Vendor entity (owns every outlet of an organisation)
+    ownerUser: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    organisationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Organisation' } // Set for multi-outlet businesses
 }, { timestamps: true });
 
+vendorSchema.index({ organisationId: 1 }, { sparse: true });
+
 module.exports = mongoose.model('Vendor', vendorSchema);
\ No newline at end of file
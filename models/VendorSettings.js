@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const { isValidTimeZone } = require('../utils/dateRange');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Opening hours for one day of the week. close may be earlier than open for past-midnight service.
+const operatingHoursSchema = new mongoose.Schema({
+    day: { type: Number, required: true, min: 0, max: 6 }, // 0 = Sunday
+    open: { type: String, match: TIME_PATTERN },
+    close: { type: String, match: TIME_PATTERN },
+    isClosed: { type: Boolean, default: false }
+}, { _id: false });
+
+// Business details and preferences of one shop (outlet). Registration details stay on the Vendor.
+const vendorSettingsSchema = new mongoose.Schema({
+    vendorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vendor',
+        required: true,
+        unique: true
+    },
+    address: {
+        line1: { type: String, trim: true },
+        line2: { type: String, trim: true },
+        city: { type: String, trim: true },
+        state: { type: String, trim: true },
+        postalCode: { type: String, trim: true },
+        country: { type: String, trim: true, default: 'India' }
+    },
+    contact: {
+        phone: { type: String, trim: true },
+        email: { type: String, trim: true, lowercase: true },
+        website: { type: String, trim: true }
+    },
+    logoUrl: { type: String },
+    currency: { // ISO 4217 code
+        type: String,
+        default: 'INR',
+        uppercase: true,
+        match: /^[A-Z]{3}$/
+    },
+    timeZone: { // IANA zone used for day boundaries in lists, reports and discount schedules
+        type: String,
+        default: 'Asia/Kolkata',
+        validate: { validator: isValidTimeZone, message: props => `Unknown time zone '${props.value}'.` }
+    },
+    operatingHours: [operatingHoursSchema],
+    taxDefaults: {
+        taxRate: { type: Number, default: 5, min: 0, max: 28 }, // Applied to new menu items that do not set one
+        taxInclusive: { type: Boolean, default: false },
+        supplyType: { type: String, enum: ['Intra', 'Inter'], default: 'Intra' } // Used when a bill does not specify one
+    },
+    serviceChargePercent: { type: Number, default: 0, min: 0, max: 100 },
+    invoicePrefix: {
+        type: String,
+        default: 'INV-',
+        trim: true,
+        maxlength: 10
+    },
+    receiptFooter: {
+        type: String,
+        default: 'Thank you! Visit again.',
+        maxlength: 200
+    },
+    // Staff must be clocked in before they can take orders (the owner is exempt)
+    requireClockIn: { type: Boolean, default: false },
+    // Arriving this many minutes after a rostered start is not counted as late
+    lateGraceMinutes: { type: Number, default: 5, min: 0, max: 120 },
+    // How the tip payout report shares tips (see GET /api/reports/tips/payout)
+    tipPool: {
+        // Individual: servers keep their own tips; Hours: pooled by hours worked;
+        // Points: pooled by hours worked x the role's points
+        method: { type: String, enum: ['Individual', 'Hours', 'Points'], default: 'Individual' },
+        includeServiceCharge: { type: Boolean, default: false }, // Share the service charge with the tips
+        roles: [{ type: String, trim: true }], // Roles in the pool; empty means everyone who worked
+        rolePoints: [{ // e.g. Server 10, Kitchen 5; roles not listed count 1 point per hour
+            _id: false,
+            role: { type: String, required: true, trim: true },
+            points: { type: Number, required: true, min: 0 }
+        }]
+    }
+}, { timestamps: true });
+
+module.exports = mongoose.model('VendorSettings', vendorSettingsSchema);
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const authorize = require('../middleware/authorize');
+const auditController = require('../controllers/auditController');
+
+/**
+ * @route 	GET /api/audit
+ * @desc 	Search the audit log by entity, user, action and date
+ * @access 	Private (audit.view - Vendor by default)
+ */
+router.get('/', authorize('audit.view'), auditController.getAuditLog);
+
+module.exports = router;
@@ -1,13 +1,37 @@
 const express = require('express');
 const router = express.Router();
+const auth = require('../middleware/auth');
+const terminal = require('../middleware/terminal');
+const rateLimit = require('../middleware/rateLimit');
 const authController = require('../controllers/authController');
+const inviteController = require('../controllers/inviteController');
+
+// PIN guesses are limited per terminal on top of the per-account lockout
+const pinLoginLimit = rateLimit({
+    windowMs: 60 * 1000,
+    max: 10,
+    key: (req) => `${req.header('x-terminal-key')?.split('.')[0]}:${req.ip}`,
+    msg: 'Too many PIN attempts from this terminal. Please wait a minute.'
+});
+
+// Reset emails are limited per client so the endpoint cannot be used to flood inboxes
+const forgotPasswordLimit = rateLimit({ windowMs: 15 * 60 * 1000, max: 5 });
+// Invite codes are short enough to type, so guessing them is rate limited per client
+const inviteCodeLimit = rateLimit({ windowMs: 15 * 60 * 1000, max: 20, msg: 'Too many invite code attempts. Please try again later.' });
 
 /**
  * @route 	POST /api/auth/register
- * @desc 	Register a new user (Vendor or staff)
+ * @desc 	Register a new Vendor, or staff with { inviteCode }
+ * @access 	Public
+ */
+router.post('/register', inviteCodeLimit, authController.register);
+
+/**
+ * @route 	GET /api/auth/invites/:code
+ * @desc 	Check an invite code: the shop and role it is for
  * @access 	Public
  */
-router.post('/register', authController.register);
+router.get('/invites/:code', inviteCodeLimit, inviteController.previewInvite);
 
 /**
  * @route 	POST /api/auth/login
@@ -16,4 +40,116 @@ router.post('/register', authController.register);
  */
 router.post('/login', authController.login);
 
+/**
+ * @route 	POST /api/auth/refresh
+ * @desc 	Exchange a refresh token for a new access token (rotates the refresh token)
+ * @access 	Public (refresh token required)
+ */
+router.post('/refresh', authController.refresh);
+
+/**
+ * @route 	POST /api/auth/logout
+ * @desc 	Log out this device, or every device with { all: true }
+ * @access 	Private (any logged-in user)
+ */
+router.post('/logout', auth(), authController.logout);
+
+/**
+ * @route 	GET /api/auth/sessions
+ * @desc 	List your active sessions (devices)
+ * @access 	Private (any logged-in user)
+ */
+router.get('/sessions', auth(), authController.getSessions);
+
+/**
+ * @route 	DELETE /api/auth/sessions/:sessionId
+ * @desc 	Revoke one of your own sessions
+ * @access 	Private (any logged-in user)
+ */
+router.delete('/sessions/:sessionId', auth(), authController.revokeSession);
+
+/**
+ * @route 	GET /api/auth/outlets
+ * @desc 	List the outlets you can work at
+ * @access 	Private (any logged-in user)
+ */
+router.get('/outlets', auth(), authController.getOutlets);
+
+/**
+ * @route 	PUT /api/auth/outlet
+ * @desc 	Switch this session to another of your outlets
+ * @access 	Private (any logged-in user)
+ */
+router.put('/outlet', auth(), authController.switchOutlet);
+
+/**
+ * @route 	PUT /api/auth/pin
+ * @desc 	Set or change your own terminal PIN (requires current password)
+ * @access 	Private (any logged-in user)
+ */
+router.put('/pin', auth(), authController.setPin);
+
+/**
+ * @route 	GET /api/auth/terminal/staff
+ * @desc 	Staff who can switch in on this terminal
+ * @access 	Authorised terminal (x-terminal-key header)
+ */
+router.get('/terminal/staff', terminal, authController.getTerminalStaff);
+
+/**
+ * @route 	POST /api/auth/pin-login
+ * @desc 	Switch user on a shared terminal with { userId, pin }
+ * @access 	Authorised terminal (x-terminal-key header)
+ */
+router.post('/pin-login', pinLoginLimit, terminal, authController.pinLogin);
+
+/**
+ * @route 	POST /api/auth/verify-email
+ * @desc 	Confirm an email address with { token }
+ * @access 	Public
+ */
+router.post('/verify-email', authController.verifyEmail);
+
+/**
+ * @route 	POST /api/auth/resend-verification
+ * @desc 	Send a new verification email
+ * @access 	Private (any logged-in user)
+ */
+router.post('/resend-verification', auth(), authController.resendVerification);
+
+/**
+ * @route 	POST /api/auth/forgot-password
+ * @desc 	Email a password reset link to { email }
+ * @access 	Public
+ */
+router.post('/forgot-password', forgotPasswordLimit, authController.forgotPassword);
+
+/**
+ * @route 	POST /api/auth/reset-password
+ * @desc 	Set a new password with { token, password }
+ * @access 	Public
+ */
+router.post('/reset-password', authController.resetPassword);
+
+/**
+ * @route 	PUT /api/auth/password
+ * @desc 	Change your password with { currentPassword, newPassword }
+ * @access 	Private (any logged-in user)
+ */
+router.put('/password', auth(), authController.changePassword);
+
+/**
+ * @route 	GET /api/auth/me
+ * @desc 	Get your profile
+ * @access 	Private (any logged-in user)
+ */
+router.get('/me', auth(), authController.getMe);
+
+/**
+ * @route 	PUT /api/auth/me
+ * @desc 	Update your username, email or phone number
+ * @access 	Private (any logged-in user)
+ */
+router.put('/me', auth(), authController.updateMe);
+
 module.exports = router;
\ No newline at end of file
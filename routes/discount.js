@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const authorize = require('../middleware/authorize');
+const discountController = require('../controllers/discountController');
+
+// Discount rules and coupons need discount.manage (Vendor by default)
+const discountAuth = authorize('discount.manage');
+
+/**
+ * @route 	GET /api/discounts
+ * @desc 	List discount rules and coupons
+ * @access 	Private (discount.manage)
+ */
+router.get('/', discountAuth, discountController.getRules);
+
+/**
+ * @route 	POST /api/discounts
+ * @desc 	Create a discount rule, time-window price or coupon
+ * @access 	Private (discount.manage)
+ */
+router.post('/', discountAuth, discountController.createRule);
+
+/**
+ * @route 	PUT /api/discounts/:id
+ * @desc 	Update or deactivate a discount rule
+ * @access 	Private (discount.manage)
+ */
+router.put('/:id', discountAuth, discountController.updateRule);
+
+/**
+ * @route 	DELETE /api/discounts/:id
+ * @desc 	Delete a discount rule
+ * @access 	Private (discount.manage)
+ */
+router.delete('/:id', discountAuth, discountController.deleteRule);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const authorize = require('../middleware/authorize');
+const exportController = require('../controllers/exportController');
+
+// CSV/XLSX downloads. Every export takes ?format=csv|xlsx (default csv).
+// Order exports take the same ?startDate=&endDate= as GET /api/orders/completed, plus an optional IANA ?tz=
+// (default: the shop's time zone)
+
+/**
+ * @route 	GET /api/exports/orders
+ * @desc 	Completed orders, one row per item with tax and payment columns
+ * @access 	Private (export.sales)
+ */
+router.get('/orders', authorize('export.sales'), exportController.exportOrders);
+
+/**
+ * @route 	GET /api/exports/daily-sales
+ * @desc 	One summary row per day of completed orders
+ * @access 	Private (export.sales)
+ */
+router.get('/daily-sales', authorize('export.sales'), exportController.exportDailySales);
+
+/**
+ * @route 	GET /api/exports/menu
+ * @desc 	The full vendor menu
+ * @access 	Private (export.menu)
+ */
+router.get('/menu', authorize('export.menu'), exportController.exportMenu);
+
+module.exports = router;
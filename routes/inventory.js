@@ -0,0 +1,62 @@
+const express = require('express');
+const router = express.Router();
+const authorize = require('../middleware/authorize');
+const inventoryController = require('../controllers/inventoryController');
+
+/**
+ * @route 	GET /api/inventory/ingredients
+ * @desc 	Current stock of all ingredients with reorder flags
+ * @access 	Private (inventory.view)
+ */
+router.get('/ingredients', authorize('inventory.view'), inventoryController.getIngredients);
+
+/**
+ * @route 	POST /api/inventory/ingredients
+ * @desc 	Add an ingredient (with optional opening stock)
+ * @access 	Private (inventory.manage)
+ */
+router.post('/ingredients', authorize('inventory.manage'), inventoryController.createIngredient);
+
+/**
+ * @route 	PUT /api/inventory/ingredients/:id
+ * @desc 	Update ingredient name, unit, reorder level or cost
+ * @access 	Private (inventory.manage)
+ */
+router.put('/ingredients/:id', authorize('inventory.manage'), inventoryController.updateIngredient);
+
+/**
+ * @route 	DELETE /api/inventory/ingredients/:id
+ * @desc 	Delete an ingredient no recipe uses
+ * @access 	Private (inventory.manage)
+ */
+router.delete('/ingredients/:id', authorize('inventory.manage'), inventoryController.deleteIngredient);
+
+/**
+ * @route 	POST /api/inventory/purchases
+ * @desc 	Record a purchase/receiving entry
+ * @access 	Private (inventory.record)
+ */
+router.post('/purchases', authorize('inventory.record'), inventoryController.recordPurchase);
+
+/**
+ * @route 	POST /api/inventory/wastage
+ * @desc 	Log wasted ingredient quantity with a reason
+ * @access 	Private (inventory.record)
+ */
+router.post('/wastage', authorize('inventory.record'), inventoryController.recordWastage);
+
+/**
+ * @route 	GET /api/inventory/transactions
+ * @desc 	Stock movement history
+ * @access 	Private (inventory.report)
+ */
+router.get('/transactions', authorize('inventory.report'), inventoryController.getTransactions);
+
+/**
+ * @route 	GET /api/inventory/report
+ * @desc 	Current-stock and consumption report for a date range
+ * @access 	Private (inventory.report)
+ */
+router.get('/report', authorize('inventory.report'), inventoryController.getConsumptionReport);
+
+module.exports = router;
@@ -1,6 +1,6 @@
 const express = require("express");
 const multer = require("multer");
-const auth = require("../middleware/auth"); // Base 'auth' function for middleware
+const authorize = require("../middleware/authorize"); // Login + permission check
 const menuController = require("../controllers/menuItemController"); 
 
 const router = express.Router();
@@ -9,50 +9,62 @@ const router = express.Router();
 const storage = multer.memoryStorage();
 // Configure Multer to handle an array of files, max 5 images
 const upload = multer({ storage }).array("images", 5);
+// Bulk import takes a single CSV or JSON file (images are referenced by URL inside it)
+const importUpload = multer({ storage, limits: { fileSize: 2 * 1024 * 1024 } }).single("file");
 
-// --- Middleware Helpers (Based on your auth function) ---
-const isVendor = auth('Vendor'); 
-const isStaff = auth(['Server', 'Kitchen', 'Billing']);
-const isVendorOrStaff = auth(['Vendor', 'Server', 'Kitchen', 'Billing']);
-// Note: We use 'auth()' for general login check
+// Permissions and their default roles are defined in config/permissions.js
 
 // --- ROUTES ---
 
 // POST /api/menu (CREATE)
-// Only VENDORS can create new menu items.
+// Requires menu.create (Vendor by default).
 router.post(
     '/',
-    auth(),             // 1. Check if user is logged in
-    isVendor,           // 2. Restrict to 'Vendor' role
+    authorize('menu.create'),
     upload,             
     menuController.createMenuItem 
 );
 
+// POST /api/menu/import?dryRun=true
+// Requires menu.import (Vendor by default) to bulk create/update items from a CSV/JSON file or a JSON body.
+router.post(
+    '/import',
+    authorize('menu.import'),
+    importUpload,
+    menuController.importMenuItems
+);
+
 // GET /api/menu (READ - Vendor's items)
-// All authenticated users can see the menu items (Vendor & Staff roles).
+// Requires menu.view (every built-in role).
 router.get(
     '/', 
-    auth(),             // Only requires a valid token (logged-in user)
-    isVendorOrStaff,    // Restrict only to users with Vendor/Staff roles
+    authorize('menu.view'),
     menuController.getMenuItems 
 );
 
+// GET /api/menu/low-stock
+// Requires menu.edit_stock (Vendor and Kitchen by default): tracked items at their low-stock threshold.
+router.get(
+    '/low-stock',
+    authorize('menu.edit_stock'),
+    menuController.getLowStockItems
+);
+
 // PUT /api/menu/:id (UPDATE)
-// Only VENDORS and KITCHEN staff can update menu items (e.g., set out of stock).
+// Any menu edit permission gets in; the controller checks each field
+// (Kitchen holds menu.edit_stock by default, so it can set items out of stock but not change prices).
 router.put(
     '/:id',
-    auth(),
-    auth(['Vendor', 'Kitchen']), // Allow Vendor OR Kitchen role
+    authorize('menu.edit', 'menu.edit_price', 'menu.edit_stock'),
     upload, 
     menuController.updateMenuItem 
 );
 
 // DELETE /api/menu/:id
-// Only VENDORS can delete menu items (high permission).
+// Requires menu.delete (Vendor by default).
 router.delete(
     '/:id', 
-    auth(),
-    isVendor, // Restrict to 'Vendor' role
+    authorize('menu.delete'),
     menuController.deleteMenuItem 
 );
 
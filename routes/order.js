@@ -1,35 +1,56 @@
 const express = require('express');
 const router = express.Router();
-const auth = require('../middleware/auth'); // Assuming this is your main authentication middleware
+const authorize = require('../middleware/authorize'); // Login + permission check (see config/permissions.js)
+const requireClockIn = require('../middleware/clockIn'); // Staff must be clocked in when the shop requires it
 const OrderController = require('../controllers/orderController');
+const VoidController = require('../controllers/voidController');
+const DiscountController = require('../controllers/discountController');
 
-// NOTE: I am assuming your auth middleware accepts an array of roles for checking.
+// Every route is guarded by a permission; which roles hold it is configured per vendor.
+// Status changes are checked per target status in the controller, so any status permission gets in here.
+const canSetStatus = authorize(
+    'order.status.kitchen', 'order.status.ready',
+    'order.status.served', 'order.status.billed', 'order.status.completed'
+);
 
 // ==========================================================
 // 1. SPECIFIC STATIC ROUTES MUST COME FIRST (e.g., /kitchen, /completed)
 // ==========================================================
 
 /**
- * @route   GET api/orders/kitchen
- * @desc    Kitchen gets pending/cooking orders
- * @access  Private (Kitchen, Vendor role required)
+ * @route   GET api/orders/kitchen?stationId=
+ * @desc    Kitchen gets pending/cooking orders, optionally only one station's items
+ * @access  Private (order.view_kitchen)
  */
-router.get('/kitchen', auth(['Billing','Server','Kitchen', 'Vendor']), OrderController.getKitchenOrders);
+router.get('/kitchen', authorize('order.view_kitchen'), OrderController.getKitchenOrders);
 
 /**
  * @route   GET api/orders/billing
  * @desc    Billing gets orders ready for billing
- * @access  Private (Billing, Vendor, Server roles required)
+ * @access  Private (order.view)
  */
-router.get('/billing', auth(['Billing', 'Vendor', 'Server']), OrderController.getBillingOrders);
+router.get('/billing', authorize('order.view'), OrderController.getBillingOrders);
 
 /**
  * @route   GET api/orders/completed
  * @desc    Vendor/Management gets completed (billed/closed) orders for sales/analytics
- * @access  Private (Vendor, Billing role required)
- * NOTE: I've added 'Billing' here as they are also often authorized to view reports.
+ * @access  Private (order.history)
  */
-router.get('/completed', auth(['Vendor', 'Billing']), OrderController.getCompletedOrders);
+router.get('/completed', authorize('order.history'), OrderController.getCompletedOrders);
+
+/**
+ * @route   GET api/orders/reconciliation
+ * @desc    End-of-shift payment reconciliation per method and per Billing user
+ * @access  Private (order.reconciliation)
+ */
+router.get('/reconciliation', authorize('order.reconciliation'), OrderController.getReconciliation);
+
+/**
+ * @route   GET api/orders/voids/pending
+ * @desc    Orders with item void requests awaiting approval
+ * @access  Private (order.void.approve)
+ */
+router.get('/voids/pending', authorize('order.void.approve'), VoidController.getPendingVoids);
 
 // ==========================================================
 // 2. GENERIC ROUTES AND POST/PUT (WHICH DON'T CLASH WITH STATIC PATHS)
@@ -38,31 +59,129 @@ router.get('/completed', auth(['Vendor', 'Billing']), OrderController.getComplet
 /**
  * @route   POST api/orders
  * @desc    Server creates a new order
- * @access  Private (Server, Vendor role required)
+ * @access  Private (order.create, clocked in when required)
  */
-router.post('/', auth(['Server', 'Vendor']), OrderController.createOrder);
+router.post('/', authorize('order.create'), requireClockIn, OrderController.createOrder);
 
 
 /**
  * @route   GET api/orders/:id
  * @desc    Get details of a single order
- * @access  Private (Server, Billing, Vendor roles)
+ * @access  Private (order.view)
  */
-router.get('/:id', auth(['Server', 'Billing', 'Vendor']), OrderController.getOrderById);
+router.get('/:id', authorize('order.view'), OrderController.getOrderById);
 
 /**
  * @route   PUT api/orders/:id/items
  * @desc    Add new items to an existing order (KOT Add-on)
- * @access  Private (Server, Vendor roles required)
+ * @access  Private (order.create, clocked in when required)
  */
-router.put('/:id/items', auth(['Server', 'Vendor']), OrderController.addItemsToOrder);
+router.put('/:id/items', authorize('order.create'), requireClockIn, OrderController.addItemsToOrder);
 
 
 /**
  * @route   PUT api/orders/:id/status
  * @desc    Update order status
- * @access  Private (Kitchen, Server, Billing, Vendor roles)
+ * @access  Private (order.status.<status> for the target status)
+ */
+router.put('/:id/status', canSetStatus, OrderController.updateStatus);
+
+/**
+ * @route   PUT api/orders/:id/items/:itemId/status
+ * @desc    Move one item through the kitchen (Queued, Preparing, Ready, Served)
+ * @access  Private (order.status.ready, or order.status.served to serve)
+ */
+router.put('/:id/items/:itemId/status', authorize('order.status.ready', 'order.status.served'), OrderController.updateItemStatus);
+
+/**
+ * @route   POST api/orders/:id/stations/:stationId/bump
+ * @desc    Bump every item of one kitchen station on the order to Preparing or Ready
+ * @access  Private (order.status.ready)
+ */
+router.post('/:id/stations/:stationId/bump', authorize('order.status.ready'), OrderController.bumpStation);
+
+/**
+ * @route   POST api/orders/:id/bill
+ * @desc    Generate the GST bill and invoice number, moving the order to 'Billed'
+ * @access  Private (order.bill)
+ */
+router.post('/:id/bill', authorize('order.bill'), OrderController.generateBill);
+
+/**
+ * @route   GET api/orders/:id/invoice
+ * @desc    Download the invoice as PDF (?format=pdf) or thermal-printer text (?format=text)
+ * @access  Private (order.view)
+ */
+router.get('/:id/invoice', authorize('order.view'), OrderController.getInvoice);
+
+/**
+ * @route   PUT api/orders/:id/table
+ * @desc    Move an open order to another table
+ * @access  Private (order.move_table)
+ */
+router.put('/:id/table', authorize('order.move_table'), OrderController.moveOrderTable);
+
+/**
+ * @route   POST api/orders/:id/discounts
+ * @desc    Apply a coupon code or a role-capped manual discount
+ * @access  Private (order.discount)
+ */
+router.post('/:id/discounts', authorize('order.discount'), DiscountController.applyOrderDiscount);
+
+/**
+ * @route   DELETE api/orders/:id/discounts/:discountId
+ * @desc    Remove a coupon or manual discount before billing
+ * @access  Private (order.discount)
+ */
+router.delete('/:id/discounts/:discountId', authorize('order.discount'), DiscountController.removeOrderDiscount);
+
+/**
+ * @route   POST api/orders/:id/payments
+ * @desc    Record one or more payments (cash, card, UPI, wallet) against a billed order
+ * @access  Private (order.payment)
+ */
+router.post('/:id/payments', authorize('order.payment'), OrderController.addPayments);
+
+/**
+ * @route   POST api/orders/:id/tips
+ * @desc    Record a tip on a billed order (attributed to the order's server)
+ * @access  Private (order.payment)
+ */
+router.post('/:id/tips', authorize('order.payment'), OrderController.addTip);
+
+/**
+ * @route   DELETE api/orders/:id/tips/:tipId
+ * @desc    Remove a tip recorded by mistake
+ * @access  Private (order.refund)
+ */
+router.delete('/:id/tips/:tipId', authorize('order.refund'), OrderController.removeTip);
+
+/**
+ * @route   POST api/orders/:id/items/:itemId/void
+ * @desc    Void an item with a reason code (needs Vendor approval once the kitchen started on it)
+ * @access  Private (order.void or order.void.approve)
+ */
+router.post('/:id/items/:itemId/void', authorize('order.void', 'order.void.approve'), VoidController.voidItem);
+
+/**
+ * @route   PUT api/orders/:id/items/:itemId/void
+ * @desc    Approve or reject a pending void request
+ * @access  Private (order.void.approve)
+ */
+router.put('/:id/items/:itemId/void', authorize('order.void.approve'), VoidController.decideVoid);
+
+/**
+ * @route   POST api/orders/:id/cancel
+ * @desc    Cancel a whole order with a reason code
+ * @access  Private (order.cancel or order.cancel.any)
+ */
+router.post('/:id/cancel', authorize('order.cancel', 'order.cancel.any'), VoidController.cancelOrder);
+
+/**
+ * @route   POST api/orders/:id/refunds
+ * @desc    Refund a Billed/Completed order with a reason code
+ * @access  Private (order.refund)
  */
-router.put('/:id/status', auth(['Kitchen', 'Server', 'Billing', 'Vendor']), OrderController.updateStatus);
+router.post('/:id/refunds', authorize('order.refund'), VoidController.refundOrder);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,51 @@
+const express = require('express');
+const router = express.Router();
+const authorize = require('../middleware/authorize');
+const organisationController = require('../controllers/organisationController');
+
+// Multi-outlet management. The controller also checks the caller owns the organisation.
+const organisationAuth = authorize('organisation.manage');
+
+/**
+ * @route 	POST /api/organisation
+ * @desc 	Create an organisation with the current shop as its first outlet
+ * @access 	Private (organisation.manage, shop owner)
+ */
+router.post('/', organisationAuth, organisationController.createOrganisation);
+
+/**
+ * @route 	GET /api/organisation
+ * @desc 	Get the organisation and its outlets
+ * @access 	Private (organisation.manage, owner)
+ */
+router.get('/', organisationAuth, organisationController.getOrganisation);
+
+/**
+ * @route 	POST /api/organisation/outlets
+ * @desc 	Open another outlet, optionally with the master menu
+ * @access 	Private (organisation.manage, owner)
+ */
+router.post('/outlets', organisationAuth, organisationController.createOutlet);
+
+/**
+ * @route 	PUT /api/organisation/staff/:id/outlets
+ * @desc 	Assign a staff member to one or more outlets
+ * @access 	Private (organisation.manage, owner)
+ */
+router.put('/staff/:id/outlets', organisationAuth, organisationController.assignStaffOutlets);
+
+/**
+ * @route 	POST /api/organisation/menu/push
+ * @desc 	Push the master menu to other outlets
+ * @access 	Private (organisation.manage, owner)
+ */
+router.post('/menu/push', organisationAuth, organisationController.pushMenu);
+
+/**
+ * @route 	PUT /api/organisation/outlets/:outletId/menu/:itemId
+ * @desc 	Set or clear an outlet's price/availability override on a pushed item
+ * @access 	Private (organisation.manage, owner)
+ */
+router.put('/outlets/:outletId/menu/:itemId', organisationAuth, organisationController.setMenuOverride);
+
+module.exports = router;
@@ -0,0 +1,74 @@
+const express = require('express');
+const router = express.Router();
+const authorize = require('../middleware/authorize');
+const reportController = require('../controllers/reportController');
+
+// Sales analytics need report.view (Vendor by default).
+// Every report takes ?startDate=YYYY-MM-DD&endDate=YYYY-MM-DD and an optional IANA ?tz= (default: the shop's time zone)
+// and, for the organisation owner, ?outlets=all or a comma-separated list of outlet IDs
+const reportAuth = authorize('report.view');
+
+/**
+ * @route 	GET /api/reports/summary
+ * @desc 	Orders, gross/net sales, discounts, tax and average order value
+ * @access 	Private (report.view)
+ */
+router.get('/summary', reportAuth, reportController.getSummary);
+
+/**
+ * @route 	GET /api/reports/sales
+ * @desc 	Sales by hour, day, week or hour of day (?groupBy=)
+ * @access 	Private (report.view)
+ */
+router.get('/sales', reportAuth, reportController.getSalesByPeriod);
+
+/**
+ * @route 	GET /api/reports/items
+ * @desc 	Top or bottom selling menu items (?order=top|bottom&limit=)
+ * @access 	Private (report.view)
+ */
+router.get('/items', reportAuth, reportController.getItemSales);
+
+/**
+ * @route 	GET /api/reports/categories
+ * @desc 	Revenue by menu category
+ * @access 	Private (report.view)
+ */
+router.get('/categories', reportAuth, reportController.getCategorySales);
+
+/**
+ * @route 	GET /api/reports/tables
+ * @desc 	Table turnover and average seated time
+ * @access 	Private (report.view)
+ */
+router.get('/tables', reportAuth, reportController.getTableTurnover);
+
+/**
+ * @route 	GET /api/reports/servers
+ * @desc 	Sales per server
+ * @access 	Private (report.view)
+ */
+router.get('/servers', reportAuth, reportController.getServerSales);
+
+/**
+ * @route 	GET /api/reports/prep-times
+ * @desc 	Average prep and cook time per menu item, category or kitchen station
+ * @access 	Private (report.view)
+ */
+router.get('/prep-times', reportAuth, reportController.getPrepTimes);
+
+/**
+ * @route 	GET /api/reports/tips
+ * @desc 	Tips and service charge earned per server
+ * @access 	Private (report.view)
+ */
+router.get('/tips', reportAuth, reportController.getTips);
+
+/**
+ * @route 	GET /api/reports/tips/payout
+ * @desc 	Tip payout: individual, pooled by hours worked or by role points (?method= overrides the shop setting)
+ * @access 	Private (report.view)
+ */
+router.get('/tips/payout', reportAuth, reportController.getTipPayout);
+
+module.exports = router;
@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const authorize = require('../middleware/authorize');
+const roleController = require('../controllers/roleController');
+
+// Roles and their permissions for the user's own shop (Vendor by default)
+const roleAuth = authorize('role.manage');
+
+/**
+ * @route 	GET /api/roles
+ * @desc 	List roles with their effective permissions and the permission catalogue
+ * @access 	Private (role.manage)
+ */
+router.get('/', roleAuth, roleController.getRoles);
+
+/**
+ * @route 	POST /api/roles
+ * @desc 	Create a custom role
+ * @access 	Private (role.manage)
+ */
+router.post('/', roleAuth, roleController.createRole);
+
+/**
+ * @route 	PUT /api/roles/:name
+ * @desc 	Update a custom role or customise a built-in staff role
+ * @access 	Private (role.manage)
+ */
+router.put('/:name', roleAuth, roleController.updateRole);
+
+/**
+ * @route 	DELETE /api/roles/:name
+ * @desc 	Delete a custom role or reset a built-in role to its defaults
+ * @access 	Private (role.manage)
+ */
+router.delete('/:name', roleAuth, roleController.deleteRole);
+
+module.exports = router;
@@ -0,0 +1,116 @@
+const express = require('express');
+const router = express.Router();
+const authorize = require('../middleware/authorize');
+const shiftController = require('../controllers/shiftController');
+
+// Clocking in and out is open to every logged-in user; rosters, corrections and reports need permissions
+const shiftManage = authorize('shift.manage');
+const shiftReport = authorize('shift.report');
+const drawerAuth = authorize('cash.drawer');
+
+/**
+ * @route 	GET /api/shifts/me
+ * @desc 	Your open shift, open cash drawer and upcoming rostered shifts
+ * @access 	Private (any logged-in user)
+ */
+router.get('/me', authorize(), shiftController.getMyShift);
+
+/**
+ * @route 	POST /api/shifts/clock-in
+ * @desc 	Clock in at the current outlet
+ * @access 	Private (any logged-in user)
+ */
+router.post('/clock-in', authorize(), shiftController.clockIn);
+
+/**
+ * @route 	POST /api/shifts/clock-out
+ * @desc 	Clock out (close your cash drawer first)
+ * @access 	Private (any logged-in user)
+ */
+router.post('/clock-out', authorize(), shiftController.clockOut);
+
+/**
+ * @route 	GET /api/shifts/schedules
+ * @desc 	Rostered shifts in a date range (only your own without shift.manage)
+ * @access 	Private (any logged-in user)
+ */
+router.get('/schedules', authorize(), shiftController.getSchedules);
+
+/**
+ * @route 	POST /api/shifts/schedules
+ * @desc 	Roster a shift for a staff member
+ * @access 	Private (shift.manage)
+ */
+router.post('/schedules', shiftManage, shiftController.createSchedule);
+
+/**
+ * @route 	PUT /api/shifts/schedules/:id
+ * @desc 	Change a rostered shift
+ * @access 	Private (shift.manage)
+ */
+router.put('/schedules/:id', shiftManage, shiftController.updateSchedule);
+
+/**
+ * @route 	DELETE /api/shifts/schedules/:id
+ * @desc 	Remove a rostered shift
+ * @access 	Private (shift.manage)
+ */
+router.delete('/schedules/:id', shiftManage, shiftController.deleteSchedule);
+
+/**
+ * @route 	POST /api/shifts/drawer/open
+ * @desc 	Open a cash drawer with an opening float
+ * @access 	Private (cash.drawer)
+ */
+router.post('/drawer/open', drawerAuth, shiftController.openDrawer);
+
+/**
+ * @route 	GET /api/shifts/drawer
+ * @desc 	Your open cash drawer with its expected cash so far
+ * @access 	Private (cash.drawer)
+ */
+router.get('/drawer', drawerAuth, shiftController.getDrawer);
+
+/**
+ * @route 	POST /api/shifts/drawer/close
+ * @desc 	Close your cash drawer with the counted cash
+ * @access 	Private (cash.drawer)
+ */
+router.post('/drawer/close', drawerAuth, shiftController.closeDrawer);
+
+/**
+ * @route 	GET /api/shifts/drawers
+ * @desc 	Cash drawer history with expected vs counted cash
+ * @access 	Private (shift.report)
+ */
+router.get('/drawers', shiftReport, shiftController.getDrawers);
+
+/**
+ * @route 	GET /api/shifts/reports/attendance
+ * @desc 	Attendance, hours worked and late arrivals per staff member
+ * @access 	Private (shift.report)
+ */
+router.get('/reports/attendance', shiftReport, shiftController.getAttendanceReport);
+
+/**
+ * @route 	GET /api/shifts/reports/late
+ * @desc 	Every late arrival in a date range
+ * @access 	Private (shift.report)
+ */
+router.get('/reports/late', shiftReport, shiftController.getLateArrivals);
+
+/**
+ * @route 	GET /api/shifts
+ * @desc 	Worked shifts, filterable by staff member and date range
+ * @access 	Private (shift.manage or shift.report)
+ */
+router.get('/', authorize('shift.manage', 'shift.report'), shiftController.getShifts);
+
+/**
+ * @route 	PUT /api/shifts/:id
+ * @desc 	Correct a shift's clock times (reason required)
+ * @access 	Private (shift.manage)
+ */
+router.put('/:id', shiftManage, shiftController.adjustShift);
+
+module.exports = router;
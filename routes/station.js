@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const authorize = require('../middleware/authorize');
+const stationController = require('../controllers/stationController');
+
+// Kitchen stations and KOT routing for the user's own shop
+const stationAuth = authorize('station.manage');
+
+/**
+ * @route 	GET /api/stations
+ * @desc 	List kitchen stations with their categories and items
+ * @access 	Private (order.view_kitchen or station.manage)
+ */
+router.get('/', authorize('order.view_kitchen', 'station.manage'), stationController.getStations);
+
+/**
+ * @route 	POST /api/stations
+ * @desc 	Add a kitchen station
+ * @access 	Private (station.manage)
+ */
+router.post('/', stationAuth, stationController.createStation);
+
+/**
+ * @route 	PUT /api/stations/:id
+ * @desc 	Rename a station or change the categories and items routed to it
+ * @access 	Private (station.manage)
+ */
+router.put('/:id', stationAuth, stationController.updateStation);
+
+/**
+ * @route 	DELETE /api/stations/:id
+ * @desc 	Delete a kitchen station
+ * @access 	Private (station.manage)
+ */
+router.delete('/:id', stationAuth, stationController.deleteStation);
+
+module.exports = router;
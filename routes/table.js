@@ -0,0 +1,55 @@
+const express = require('express');
+const router = express.Router();
+const authorize = require('../middleware/authorize');
+const tableController = require('../controllers/tableController');
+
+/**
+ * @route 	GET /api/tables
+ * @desc 	Floor view of all tables with status and open orders
+ * @access 	Private (table.view)
+ */
+router.get('/', authorize('table.view'), tableController.getFloor);
+
+/**
+ * @route 	POST /api/tables
+ * @desc 	Add a table to the floor plan
+ * @access 	Private (table.manage)
+ */
+router.post('/', authorize('table.manage'), tableController.createTable);
+
+/**
+ * @route 	POST /api/tables/merge
+ * @desc 	Merge tables into a target table
+ * @access 	Private (table.merge)
+ */
+router.post('/merge', authorize('table.merge'), tableController.mergeTables);
+
+/**
+ * @route 	PUT /api/tables/:id
+ * @desc 	Update a table's floor, section or capacity
+ * @access 	Private (table.manage)
+ */
+router.put('/:id', authorize('table.manage'), tableController.updateTable);
+
+/**
+ * @route 	DELETE /api/tables/:id
+ * @desc 	Remove a table with no open orders
+ * @access 	Private (table.manage)
+ */
+router.delete('/:id', authorize('table.manage'), tableController.deleteTable);
+
+/**
+ * @route 	PUT /api/tables/:id/status
+ * @desc 	Mark a table Free, Reserved or Cleaning
+ * @access 	Private (table.status)
+ */
+router.put('/:id/status', authorize('table.status'), tableController.setTableStatus);
+
+/**
+ * @route 	POST /api/tables/:id/split
+ * @desc 	Split tables merged into this one
+ * @access 	Private (table.merge)
+ */
+router.post('/:id/split', authorize('table.merge'), tableController.splitTable);
+
+module.exports = router;
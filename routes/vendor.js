@@ -1,30 +1,143 @@
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
-const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
 const vendorController = require('../controllers/vendorStaffController');
+const terminalController = require('../controllers/terminalController');
+const profileController = require('../controllers/vendorProfileController');
+const inviteController = require('../controllers/inviteController');
 
-// All routes here require the user to be a Vendor for their specific shop
-const vendorAuth = auth('Vendor'); 
+// Profile, settings, staff and terminal management for the user's own shop (Vendor by default)
+const staffAuth = authorize('staff.manage');
+const terminalAuth = authorize('terminal.manage');
+// An optional shop logo is sent as a single `logo` image
+const logoUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 2 * 1024 * 1024 } }).single('logo');
+
+/**
+ * @route 	GET /api/vendor/profile
+ * @desc 	Get the shop's registration details and settings
+ * @access 	Private (any staff of the shop)
+ */
+router.get('/profile', authorize(), profileController.getProfile);
+
+/**
+ * @route 	PUT /api/vendor/profile
+ * @desc 	Update the shop's details and settings (address, contact, logo, currency, time zone,
+ * 			operating hours, tax defaults, service charge, invoice prefix, receipt footer, clock-in rules)
+ * @access 	Private (vendor.settings)
+ */
+router.put('/profile', authorize('vendor.settings'), logoUpload, profileController.updateProfile);
 
 /**
  * @route 	GET /api/vendor/staff
  * @desc 	Vendor gets all staff accounts for their shop
- * @access 	Private (Vendor role)
+ * @access 	Private (staff.manage)
  */
-router.get('/staff', vendorAuth, vendorController.getStaff);
+router.get('/staff', staffAuth, vendorController.getStaff);
 
 /**
  * @route 	PUT /api/vendor/staff/:id/approve
  * @desc 	Vendor approves a staff account
- * @access 	Private (Vendor role)
+ * @access 	Private (staff.manage)
+ */
+router.put('/staff/:id/approve', staffAuth, vendorController.approveStaff);
+
+/**
+ * @route 	PUT /api/vendor/staff/:id/unapprove
+ * @desc 	Vendor withdraws a staff account's approval (logs it out everywhere)
+ * @access 	Private (staff.manage)
+ */
+router.put('/staff/:id/unapprove', staffAuth, vendorController.unapproveStaff);
+
+/**
+ * @route 	PUT /api/vendor/staff/:id/suspend
+ * @desc 	Vendor suspends a staff account (logs it out and blocks it)
+ * @access 	Private (staff.manage)
  */
-router.put('/staff/:id/approve', vendorAuth, vendorController.approveStaff);
+router.put('/staff/:id/suspend', staffAuth, vendorController.suspendStaff);
+
+/**
+ * @route 	PUT /api/vendor/staff/:id/reactivate
+ * @desc 	Vendor reactivates a suspended staff account
+ * @access 	Private (staff.manage)
+ */
+router.put('/staff/:id/reactivate', staffAuth, vendorController.reactivateStaff);
+
+/**
+ * @route 	PUT /api/vendor/staff/:id/role
+ * @desc 	Vendor moves a staff member to another role
+ * @access 	Private (staff.manage)
+ */
+router.put('/staff/:id/role', staffAuth, vendorController.changeStaffRole);
+
+/**
+ * @route 	GET /api/vendor/staff/:id/sessions
+ * @desc 	Vendor lists a staff member's active sessions
+ * @access 	Private (staff.manage)
+ */
+router.get('/staff/:id/sessions', staffAuth, vendorController.getStaffSessions);
+
+/**
+ * @route 	DELETE /api/vendor/staff/:id/sessions
+ * @desc 	Vendor revokes one (?sessionId=) or all sessions of a staff member
+ * @access 	Private (staff.manage)
+ */
+router.delete('/staff/:id/sessions', staffAuth, vendorController.revokeStaffSessions);
 
 /**
  * @route 	DELETE /api/vendor/staff/:id
  * @desc 	Vendor deletes a staff account
- * @access 	Private (Vendor role)
+ * @access 	Private (staff.manage)
+ */
+router.delete('/staff/:id', staffAuth, vendorController.deleteStaff);
+
+/**
+ * @route 	DELETE /api/vendor/staff/:id/pin
+ * @desc 	Vendor resets a staff member's terminal PIN and lockout
+ * @access 	Private (staff.manage)
+ */
+router.delete('/staff/:id/pin', staffAuth, vendorController.resetStaffPin);
+
+/**
+ * @route 	POST /api/vendor/invites
+ * @desc 	Vendor creates a role-scoped, expiring invite code (returned once)
+ * @access 	Private (staff.manage)
+ */
+router.post('/invites', staffAuth, inviteController.createInvite);
+
+/**
+ * @route 	GET /api/vendor/invites
+ * @desc 	Vendor lists the shop's invites and who joined with them
+ * @access 	Private (staff.manage)
+ */
+router.get('/invites', staffAuth, inviteController.getInvites);
+
+/**
+ * @route 	DELETE /api/vendor/invites/:id
+ * @desc 	Vendor revokes an invite
+ * @access 	Private (staff.manage)
+ */
+router.delete('/invites/:id', staffAuth, inviteController.revokeInvite);
+
+/**
+ * @route 	POST /api/vendor/terminals
+ * @desc 	Vendor authorises a shared terminal (returns its device key once)
+ * @access 	Private (terminal.manage)
+ */
+router.post('/terminals', terminalAuth, terminalController.registerTerminal);
+
+/**
+ * @route 	GET /api/vendor/terminals
+ * @desc 	Vendor lists the shop's terminals
+ * @access 	Private (terminal.manage)
+ */
+router.get('/terminals', terminalAuth, terminalController.getTerminals);
+
+/**
+ * @route 	DELETE /api/vendor/terminals/:id
+ * @desc 	Vendor revokes a terminal
+ * @access 	Private (terminal.manage)
  */
-router.delete('/staff/:id', vendorAuth, vendorController.deleteStaff);
+router.delete('/terminals/:id', terminalAuth, terminalController.revokeTerminal);
 
 module.exports = router;
\ No newline at end of file
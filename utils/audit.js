@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+
+// Fields never written to the audit log in clear
+const REDACTED_FIELDS = new Set([
+    'password', 'pinHash', 'refreshTokenHash', 'deviceKeyHash', 'emailVerificationTokenHash', 'passwordResetTokenHash'
+]);
+// Bookkeeping fields that change on every save
+const IGNORED_FIELDS = new Set(['__v', 'updatedAt', 'createdAt']);
+
+/**
+ * Plain JSON copy of a document (ObjectIds and Dates become strings) with secrets redacted.
+ * Take one before mutating a document so it can be diffed afterwards.
+ */
+const snapshot = (doc) => {
+    if (!doc) return doc;
+    const plain = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc;
+    return JSON.parse(JSON.stringify(plain, (key, value) => (REDACTED_FIELDS.has(key) ? '[redacted]' : value)));
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const hasIds = (list) => Array.isArray(list) && list.length > 0 && list.every(entry => isObject(entry) && entry._id);
+
+// Field-level diff of two snapshots. Arrays of sub-documents are matched by _id so a changed line
+// shows up as e.g. 'items.<id>.isVoided'; other arrays are compared whole.
+const diff = (before, after, path = '', changes = []) => {
+    if (isObject(before) && isObject(after)) {
+        new Set([...Object.keys(before), ...Object.keys(after)]).forEach(key => {
+            if (IGNORED_FIELDS.has(key)) return;
+            diff(before[key], after[key], path ? `${path}.${key}` : key, changes);
+        });
+        return changes;
+    }
+
+    if ((hasIds(before) || hasIds(after)) && Array.isArray(before || []) && Array.isArray(after || [])) {
+        const byId = (list) => new Map((list || []).map(entry => [entry._id, entry]));
+        const beforeById = byId(before);
+        const afterById = byId(after);
+        new Set([...beforeById.keys(), ...afterById.keys()]).forEach(id => {
+            diff(beforeById.get(id), afterById.get(id), `${path}.${id}`, changes);
+        });
+        return changes;
+    }
+
+    if (JSON.stringify(before) !== JSON.stringify(after)) {
+        changes.push({ path, from: before, to: after });
+    }
+    return changes;
+};
+
+/**
+ * Append an audit entry for a change made by the current request.
+ * Creates store the new entity, deletes store the old one, updates store a field diff.
+ * A failed audit write is logged but never fails the request (the change has already happened).
+ *
+ * @param {Request} req - Supplies actor, vendor, IP and user agent
+ * @param {string} action - e.g. 'order.status'
+ * @param {object} options
+ * @param {Document|object} options.entity - The affected document (after the change; before it for deletes)
+ * @param {string} [options.entityType] - Defaults to the document's model name
+ * @param {object|null} [options.before] - Snapshot taken before the change; omit for creates
+ * @param {boolean} [options.deleted] - The entity was deleted
+ * @param {string} [options.note]
+ * @param {{ id, role, vendorId }} [options.actor] - For requests without a logged-in user (e.g. register)
+ */
+const recordAudit = async (req, action, { entity, entityType, before, deleted = false, note, actor }) => {
+    try {
+        const who = actor || req.user || {};
+        // Entries belong to the entity's outlet, which differs from the actor's when an owner works across outlets
+        const vendorId = entity.vendorId || who.vendorId;
+        if (!vendorId) return;
+
+        const entry = {
+            vendorId,
+            actorId: who.id && mongoose.Types.ObjectId.isValid(who.id) ? who.id : undefined,
+            actorRole: who.role,
+            action,
+            entityType: entityType || entity.constructor?.modelName || 'Unknown',
+            entityId: entity._id,
+            note,
+            ip: req.ip,
+            userAgent: req.get?.('user-agent')
+        };
+
+        if (deleted) {
+            entry.before = snapshot(entity);
+        } else if (before === undefined) {
+            entry.after = snapshot(entity);
+        } else {
+            entry.changes = diff(before, snapshot(entity));
+            // Saves that changed nothing are not worth an entry
+            if (entry.changes.length === 0 && !note) return;
+        }
+
+        await AuditLog.create(entry);
+    } catch (err) {
+        console.error(`Audit ${action} failed:`, err.message);
+    }
+};
+
+module.exports = { snapshot, diff, recordAudit };
@@ -0,0 +1,161 @@
+const MenuItem = require('../models/MenuItem');
+const Order = require('../models/Order');
+const Counter = require('../models/Counter');
+const { calculateDiscounts } = require('./discounts');
+const { round2 } = require('./money');
+const { getVendorSettings } = require('./vendorSettings');
+
+/**
+ * Compute subtotal, service charge, GST lines, rounding and grand total for a list of order items.
+ * Intra-state supply splits each rate equally into CGST and SGST; inter-state supply charges IGST.
+ * A service charge is a percentage of the taxable value and is taxed at the rates of the items it
+ * is charged on.
+ *
+ * @param {Array} items - Order items carrying `price`, `quantity`, `taxRate` and `taxInclusive`
+ * @param {string} [supplyType='Intra'] - 'Intra' or 'Inter'
+ * @param {{ serviceChargeRate?: number }} [options] - Service charge percentage (0 for none)
+ * @returns {{ supplyType, subtotal, serviceChargeRate, serviceCharge, taxLines, taxTotal, roundOff, grandTotal }}
+ */
+const computeBill = (items, supplyType = 'Intra', { serviceChargeRate = 0 } = {}) => {
+    let subtotal = 0;
+    const taxableByRate = {};
+
+    items.forEach(item => {
+        const rate = item.taxRate || 0;
+        // Discounts reduce the value GST is charged on
+        const lineAmount = item.price * item.quantity - (item.discount || 0);
+        // Inclusive prices carry the tax inside them, so back it out to get the taxable value
+        const taxable = item.taxInclusive ? lineAmount / (1 + rate / 100) : lineAmount;
+
+        subtotal += taxable;
+        taxableByRate[rate] = (taxableByRate[rate] || 0) + taxable * (1 + serviceChargeRate / 100);
+    });
+
+    const taxLines = [];
+    Object.keys(taxableByRate)
+        .map(Number)
+        .filter(rate => rate > 0)
+        .sort((a, b) => a - b)
+        .forEach(rate => {
+            const taxableAmount = round2(taxableByRate[rate]);
+            if (supplyType === 'Inter') {
+                taxLines.push({ name: 'IGST', rate, taxableAmount, amount: round2(taxableAmount * rate / 100) });
+            } else {
+                const half = rate / 2;
+                const amount = round2(taxableAmount * half / 100);
+                taxLines.push({ name: 'CGST', rate: half, taxableAmount, amount });
+                taxLines.push({ name: 'SGST', rate: half, taxableAmount, amount });
+            }
+        });
+
+    subtotal = round2(subtotal);
+    const serviceCharge = round2(subtotal * serviceChargeRate / 100);
+    const taxTotal = round2(taxLines.reduce((acc, line) => acc + line.amount, 0));
+    const exactTotal = round2(subtotal + serviceCharge + taxTotal);
+    const grandTotal = Math.round(exactTotal); // Bills are settled in whole rupees
+
+    return {
+        supplyType,
+        subtotal,
+        serviceChargeRate,
+        serviceCharge,
+        taxLines,
+        taxTotal,
+        roundOff: round2(grandTotal - exactTotal),
+        grandTotal
+    };
+};
+
+/**
+ * Freeze the bill onto an order and assign the vendor's next invoice number (with the prefix from
+ * the vendor's settings). Claim the order first (claimForBilling) so concurrent requests cannot
+ * both bill it. Without a supplyType the vendor's default is used. The vendor's service
+ * charge is added unless applyServiceCharge is false (e.g. waived for the guest).
+ * Discounts are worked out here and stored with their final amounts.
+ * Items saved before prices were denormalized are backfilled from the current menu.
+ * The caller is responsible for saving the order (which clears the billing claim).
+ */
+const freezeBill = async (order, { supplyType, billedBy, applyServiceCharge = true } = {}) => {
+    const missing = order.items.filter(item => item.price === undefined || item.price === null || !item.category);
+    if (missing.length > 0) {
+        const menuItems = await MenuItem.find({
+            _id: { $in: missing.map(item => item.menuItemId) },
+            vendorId: order.vendorId
+        }).select('price category taxRate taxInclusive');
+        const byId = new Map(menuItems.map(item => [item._id.toString(), item]));
+
+        missing.forEach(item => {
+            const details = byId.get(item.menuItemId.toString());
+            item.category = item.category || details?.category;
+            if (item.price === undefined || item.price === null) {
+                item.price = details ? details.price : 0;
+                item.taxRate = details ? details.taxRate : 0;
+                item.taxInclusive = details ? details.taxInclusive : false;
+            }
+        });
+    }
+
+    order.discounts = await calculateDiscounts(order);
+    order.discountTotal = round2(order.discounts.reduce((acc, d) => acc + d.amount, 0));
+
+    const settings = await getVendorSettings(order.vendorId);
+
+    order.billingClaimedAt = undefined;
+    order.bill = {
+        ...computeBill(order.items.filter(item => !item.isVoided), supplyType || settings.taxDefaults.supplyType, {
+            serviceChargeRate: applyServiceCharge ? settings.serviceChargePercent : 0
+        }),
+        grossAmount: order.totalAmount,
+        discountTotal: order.discountTotal,
+        billedAt: new Date(),
+        billedBy
+    };
+
+    // Invoice numbers must have no gaps: check the order first and take the number last
+    await order.validate({ pathsToSkip: ['bill'] });
+    const seq = await Counter.next(order.vendorId, 'invoice');
+    order.bill.invoiceNumber = `${settings.invoicePrefix}${String(seq).padStart(6, '0')}`;
+
+    return order.bill;
+};
+
+// A billing claim older than this is from a request that died and may be taken over
+const BILLING_CLAIM_MS = 60 * 1000;
+
+/**
+ * Atomically claim an unbilled order so only one request bills it (and takes an invoice number).
+ * Returns the claimed order, or null when it does not match, is already billed or is being billed.
+ * Saving the billed order clears the claim; call releaseBillingClaim when billing is abandoned.
+ * @param {object} filter - e.g. { _id, vendorId }
+ */
+const claimForBilling = (filter) => Order.findOneAndUpdate(
+    {
+        ...filter,
+        bill: { $exists: false },
+        $or: [
+            { billingClaimedAt: { $exists: false } },
+            { billingClaimedAt: { $lt: new Date(Date.now() - BILLING_CLAIM_MS) } }
+        ]
+    },
+    { $set: { billingClaimedAt: new Date() } },
+    { new: true }
+);
+
+const releaseBillingClaim = (order) => Order.updateOne(
+    { _id: order._id, bill: { $exists: false } },
+    { $unset: { billingClaimedAt: 1 } }
+);
+
+// Recompute the running item total and the voided value after items are voided
+const recalculateTotals = (order) => {
+    const lineTotal = (item) => (item.price || 0) * item.quantity;
+    order.totalAmount = round2(order.items.filter(item => !item.isVoided).reduce((acc, item) => acc + lineTotal(item), 0));
+    order.voidedAmount = round2(order.items.filter(item => item.isVoided).reduce((acc, item) => acc + lineTotal(item), 0));
+};
+
+// Amount the guest owes: the frozen grand total once billed, otherwise the running item total
+const getBillTotal = (order) => (order.bill ? order.bill.grandTotal : order.totalAmount);
+
+module.exports = {
+    computeBill, freezeBill, claimForBilling, releaseBillingClaim, recalculateTotals, getBillTotal, round2
+};
@@ -0,0 +1,83 @@
+// Offset of a time zone from UTC, in milliseconds, at a given instant
+const timeZoneOffset = (date, timeZone) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(date);
+    const get = (type) => Number(parts.find(p => p.type === type).value);
+
+    const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+    return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// The UTC instant of a wall-clock time in a time zone (DST-aware)
+const zonedTime = (dateString, [hours, minutes, seconds, ms], timeZone) => {
+    const [year, month, day] = dateString.slice(0, 10).split('-').map(Number);
+    const guess = Date.UTC(year, month - 1, day, hours, minutes, seconds, ms);
+
+    const offset = timeZoneOffset(new Date(guess), timeZone);
+    const corrected = timeZoneOffset(new Date(guess - offset), timeZone);
+    return new Date(guess - corrected);
+};
+
+/**
+ * Day of the week (0 = Sunday) and minutes past midnight of an instant on a time zone's wall clock.
+ * Without a time zone the server's local clock is used.
+ * @param {Date} date
+ * @param {string} [timeZone]
+ * @returns {{ day: number, minutes: number }}
+ */
+const wallClock = (date, timeZone) => {
+    if (!timeZone) return { day: date.getDay(), minutes: date.getHours() * 60 + date.getMinutes() };
+
+    const local = new Date(date.getTime() + timeZoneOffset(date, timeZone));
+    return { day: local.getUTCDay(), minutes: local.getUTCHours() * 60 + local.getUTCMinutes() };
+};
+
+/**
+ * Whether a string is a valid IANA time zone name (e.g. 'Asia/Kolkata').
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+const isValidTimeZone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (err) {
+        return false;
+    }
+};
+
+/**
+ * Build a Mongo range filter from `startDate`/`endDate` query strings.
+ * The end date is inclusive of the whole day. Returns null when either bound is missing.
+ * With a time zone, day boundaries are that zone's midnights instead of the server's.
+ *
+ * @param {string} startDate - e.g. '2025-01-01'
+ * @param {string} endDate - e.g. '2025-01-31'
+ * @param {string} [timeZone] - IANA zone, e.g. 'Asia/Kolkata'
+ * @returns {{ $gte: Date, $lte: Date } | null}
+ */
+const buildDateRange = (startDate, endDate, timeZone) => {
+    if (!startDate || !endDate) return null;
+
+    if (timeZone && /^\d{4}-\d{2}-\d{2}/.test(startDate) && /^\d{4}-\d{2}-\d{2}/.test(endDate)) {
+        return {
+            $gte: zonedTime(startDate, [0, 0, 0, 0], timeZone),
+            $lte: zonedTime(endDate, [23, 59, 59, 999], timeZone)
+        };
+    }
+
+    // Note: Ensuring endDate includes the whole day
+    const endOfDay = new Date(endDate);
+    endOfDay.setHours(23, 59, 59, 999);
+
+    return {
+        $gte: new Date(startDate),
+        $lte: endOfDay
+    };
+};
+
+module.exports = { buildDateRange, isValidTimeZone, wallClock };
@@ -0,0 +1,166 @@
+const DiscountRule = require('../models/DiscountRule');
+const { round2 } = require('./money');
+const { wallClock } = require('./dateRange');
+const { getVendorTimeZone } = require('./vendorSettings');
+
+const toMinutes = (hhmm) => {
+    const [hours, minutes] = hhmm.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+/**
+ * Whether a rule is live at a moment: active, inside its validity dates and inside its weekly
+ * time window. Windows may wrap past midnight (e.g. 22:00-02:00).
+ * Days and times are read on the vendor's clock (`timeZone`), not the server's.
+ */
+const isRuleActiveAt = (rule, at, timeZone) => {
+    if (!rule.isActive) return false;
+    if (rule.validFrom && at < rule.validFrom) return false;
+    if (rule.validTo && at > rule.validTo) return false;
+
+    const { daysOfWeek, startTime, endTime } = rule.schedule || {};
+    const { day, minutes } = wallClock(at, timeZone);
+    if (daysOfWeek && daysOfWeek.length > 0 && !daysOfWeek.includes(day)) return false;
+
+    if (startTime && endTime) {
+        const start = toMinutes(startTime);
+        const end = toMinutes(endTime);
+        const inWindow = start <= end
+            ? minutes >= start && minutes < end
+            : minutes >= start || minutes < end;
+        if (!inWindow) return false;
+    }
+
+    return true;
+};
+
+const ruleMatchesItem = (rule, item) => {
+    if (rule.scope === 'Item') return rule.menuItemIds.some(id => id.toString() === item.menuItemId.toString());
+    if (rule.scope === 'Category') return rule.categories.includes(item.category);
+    return false;
+};
+
+// Discount a rule (or manual entry) gives on a base amount, capped at the base and at maxDiscount
+const discountAmount = (rule, base, quantity = 1) => {
+    let amount = rule.kind === 'Percentage' ? base * rule.value / 100 : rule.value * quantity;
+    if (rule.maxDiscount !== undefined && rule.maxDiscount !== null) amount = Math.min(amount, rule.maxDiscount);
+    return round2(Math.min(amount, base));
+};
+
+/**
+ * Work out every discount on an order at billing time.
+ *
+ * - Item/Category rules: each line gets the single best eligible rule (automatic rules live when
+ *   the line was ordered, plus any coupon on the order). Discounts do not stack per line.
+ * - Order rules: the best automatic order rule, the coupon and manual discounts apply in turn on
+ *   what is left after item discounts.
+ *
+ * Sets `item.discount` on each line (order-level discounts are spread by line value so GST is
+ * charged on the discounted price) and returns the discount entries with their final amounts.
+ */
+const calculateDiscounts = async (order, now = new Date()) => {
+    const items = order.items.filter(item => !item.isVoided);
+    const couponEntries = order.discounts.filter(d => d.source === 'Coupon');
+    const manualEntries = order.discounts.filter(d => d.source === 'Manual');
+
+    const [autoRules, couponRules, timeZone] = await Promise.all([
+        DiscountRule.find({ vendorId: order.vendorId, isActive: true, couponCode: { $in: [null, ''] } }),
+        DiscountRule.find({ _id: { $in: couponEntries.map(d => d.ruleId) }, vendorId: order.vendorId }),
+        getVendorTimeZone(order.vendorId)
+    ]);
+
+    // Coupon entries keep who applied them and when
+    const toEntry = (source, rule, extra = {}) => {
+        const stored = source === 'Coupon'
+            ? couponEntries.find(d => d.ruleId.toString() === rule._id.toString())
+            : null;
+        return {
+            source,
+            ruleId: rule._id,
+            code: rule.couponCode,
+            name: rule.name,
+            kind: rule.kind,
+            scope: rule.scope,
+            value: rule.value,
+            appliedBy: stored?.appliedBy,
+            appliedAt: stored?.appliedAt,
+            ...extra
+        };
+    };
+
+    const lineNet = new Map();
+    const itemRuleTotals = new Map(); // ruleId -> { rule, source, amount }
+
+    items.forEach(item => {
+        const gross = item.price * item.quantity;
+        let best = null;
+
+        const candidates = [
+            ...autoRules.filter(rule => isRuleActiveAt(rule, item.orderedAt || now, timeZone)).map(rule => ({ rule, source: 'Auto' })),
+            ...couponRules.map(rule => ({ rule, source: 'Coupon' }))
+        ].filter(({ rule }) => rule.scope !== 'Order' && ruleMatchesItem(rule, item));
+
+        candidates.forEach(candidate => {
+            const amount = discountAmount(candidate.rule, gross, item.quantity);
+            if (amount > 0 && (!best || amount > best.amount)) best = { ...candidate, amount };
+        });
+
+        item.discount = best ? best.amount : 0;
+        lineNet.set(item._id.toString(), gross - item.discount);
+
+        if (best) {
+            const key = best.rule._id.toString();
+            const total = itemRuleTotals.get(key) || { rule: best.rule, source: best.source, amount: 0 };
+            total.amount = round2(total.amount + best.amount);
+            itemRuleTotals.set(key, total);
+        }
+    });
+
+    const applied = [...itemRuleTotals.values()].map(({ rule, source, amount }) => toEntry(source, rule, { amount }));
+
+    // Order-level discounts, each on the amount remaining after the previous ones
+    let remaining = round2([...lineNet.values()].reduce((acc, value) => acc + value, 0));
+    const itemsNet = remaining;
+    const orderLevel = [];
+
+    const bestAuto = autoRules
+        .filter(rule => rule.scope === 'Order' && isRuleActiveAt(rule, now, timeZone) && remaining >= rule.minOrderAmount)
+        .map(rule => ({ rule, amount: discountAmount(rule, remaining) }))
+        .sort((a, b) => b.amount - a.amount)[0];
+    if (bestAuto && bestAuto.amount > 0) {
+        orderLevel.push(toEntry('Auto', bestAuto.rule, { amount: bestAuto.amount }));
+        remaining = round2(remaining - bestAuto.amount);
+    }
+
+    couponRules
+        .filter(rule => rule.scope === 'Order' && remaining >= rule.minOrderAmount)
+        .forEach(rule => {
+            const amount = discountAmount(rule, remaining);
+            orderLevel.push(toEntry('Coupon', rule, { amount }));
+            remaining = round2(remaining - amount);
+        });
+
+    manualEntries.forEach(entry => {
+        const amount = discountAmount(entry, remaining);
+        orderLevel.push({ ...entry.toObject(), amount });
+        remaining = round2(remaining - amount);
+    });
+
+    // Coupons that matched nothing are kept (at zero) so their use stays on record
+    couponEntries
+        .filter(entry => ![...applied, ...orderLevel].some(d => d.ruleId?.toString() === entry.ruleId.toString()))
+        .forEach(entry => applied.push({ ...entry.toObject(), amount: 0 }));
+
+    // Spread order-level discounts across lines in proportion to their value
+    const orderDiscount = round2(itemsNet - remaining);
+    if (orderDiscount > 0 && itemsNet > 0) {
+        items.forEach(item => {
+            const share = lineNet.get(item._id.toString()) / itemsNet;
+            item.discount = round2(item.discount + orderDiscount * share);
+        });
+    }
+
+    return [...applied, ...orderLevel];
+};
+
+module.exports = { isRuleActiveAt, calculateDiscounts };
@@ -0,0 +1,11 @@
+/**
+ * Create an Error carrying an HTTP status code, for helpers that validate input
+ * on behalf of a controller. Controllers answer it with `err.statusCode` and `err.message`.
+ *
+ * @param {number} statusCode - e.g. 400
+ * @param {string} msg
+ * @returns {Error}
+ */
+const httpError = (statusCode, msg) => Object.assign(new Error(msg), { statusCode });
+
+module.exports = httpError;
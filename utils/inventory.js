@@ -0,0 +1,81 @@
+const MenuItem = require('../models/MenuItem');
+const Ingredient = require('../models/Ingredient');
+const InventoryTransaction = require('../models/InventoryTransaction');
+const { emitToPermission } = require('../config/socket');
+
+// Everyone who can see ingredient stock is alerted when an ingredient needs reordering
+const INVENTORY_ALERT_PERMISSION = 'inventory.view';
+
+// Total ingredient usage for a set of order items, from each dish's recipe
+const ingredientUsage = async (items, vendorId) => {
+    const menuItems = await MenuItem.find({
+        _id: { $in: [...new Set(items.map(item => item.menuItemId.toString()))] },
+        vendorId,
+        'recipe.0': { $exists: true }
+    }).select('recipe');
+    const recipes = new Map(menuItems.map(item => [item._id.toString(), item.recipe]));
+
+    const usage = new Map();
+    items.forEach(item => {
+        (recipes.get(item.menuItemId.toString()) || []).forEach(line => {
+            const id = line.ingredientId.toString();
+            usage.set(id, (usage.get(id) || 0) + line.quantity * item.quantity);
+        });
+    });
+    return usage;
+};
+
+// Apply signed stock changes and log one Consumption transaction per ingredient
+const applyUsage = async (usage, sign, vendorId, { orderId, userId, reason } = {}) => {
+    if (usage.size === 0) return;
+
+    const transactions = [];
+    for (const [ingredientId, qty] of usage) {
+        const ingredient = await Ingredient.findOneAndUpdate(
+            { _id: ingredientId, vendorId },
+            { $inc: { currentStock: sign * qty } },
+            { new: true }
+        );
+        if (!ingredient) continue; // Recipe references a deleted ingredient
+
+        transactions.push({
+            vendorId,
+            ingredientId,
+            type: 'Consumption',
+            quantity: sign * qty,
+            unitCost: ingredient.costPerUnit,
+            orderId,
+            reason,
+            createdBy: userId
+        });
+
+        if (sign < 0 && ingredient.currentStock <= ingredient.reorderLevel) {
+            emitToPermission(vendorId, INVENTORY_ALERT_PERMISSION, 'inventory:low_stock', {
+                ingredientId: ingredient._id,
+                name: ingredient.name,
+                currentStock: ingredient.currentStock,
+                unit: ingredient.unit,
+                reorderLevel: ingredient.reorderLevel
+            });
+        }
+    }
+
+    await InventoryTransaction.insertMany(transactions);
+};
+
+/**
+ * Deduct recipe ingredients for ordered items. Orders are never blocked by ingredient
+ * stock; it is allowed to go negative so discrepancies show up in the stock report.
+ */
+const consumeIngredients = async (items, vendorId, context) => {
+    const usage = await ingredientUsage(items, vendorId);
+    await applyUsage(usage, -1, vendorId, context);
+};
+
+// Put back ingredients for items that were voided before being prepared
+const returnIngredients = async (items, vendorId, context) => {
+    const usage = await ingredientUsage(items, vendorId);
+    await applyUsage(usage, 1, vendorId, context);
+};
+
+module.exports = { consumeIngredients, returnIngredients };
@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+const Invite = require('../models/Invite');
+const { hashSecret } = require('./secrets');
+
+// Invite codes are typed by hand, so they avoid look-alike characters (0/O, 1/I/L)
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 10;
+
+// A new code, e.g. 'K7QXM-9PAWT'
+const newInviteCode = () => {
+    const chars = Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]);
+    return `${chars.slice(0, 5).join('')}-${chars.slice(5).join('')}`;
+};
+
+// Codes are matched without dashes, spaces or case
+const normaliseCode = (code) => String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+const hashInviteCode = (code) => hashSecret(normaliseCode(code));
+
+// Invites that can still be used: not revoked, not expired and with uses left
+const usableInvite = (now = new Date()) => ({
+    revokedAt: null,
+    expiresAt: { $gt: now },
+    $expr: { $lt: ['$uses', '$maxUses'] }
+});
+
+// A usable invite for a code, or null. Does not use it up.
+const findUsableInvite = (code) => Invite.findOne({ codeHash: hashInviteCode(code), ...usableInvite() });
+
+/**
+ * Take one use of an invite atomically, so concurrent sign-ups cannot exceed maxUses.
+ * Returns the invite, or null when the code is unknown, expired, revoked or used up.
+ */
+const redeemInvite = (code) => Invite.findOneAndUpdate(
+    { codeHash: hashInviteCode(code), ...usableInvite() },
+    { $inc: { uses: 1 } },
+    { new: true }
+);
+
+// Give a use back when the account could not be created after all
+const releaseInvite = (inviteId) => Invite.updateOne({ _id: inviteId, uses: { $gt: 0 } }, { $inc: { uses: -1 } });
+
+// Record who joined with an invite
+const recordInviteUse = (inviteId, userId) => Invite.updateOne({ _id: inviteId }, { $push: { usedBy: { userId } } });
+
+module.exports = { newInviteCode, hashInviteCode, findUsableInvite, redeemInvite, releaseInvite, recordInviteUse };
@@ -0,0 +1,147 @@
+const PDFDocument = require('pdfkit');
+
+const THERMAL_WIDTH = 42; // Characters per line on an 80mm thermal printer
+
+const money = (value) => Number(value || 0).toFixed(2);
+
+// Left text and right text on one fixed-width line
+const spread = (left, right, width = THERMAL_WIDTH) => {
+    const space = Math.max(1, width - left.length - right.length);
+    return `${left}${' '.repeat(space)}${right}`;
+};
+
+const center = (text, width = THERMAL_WIDTH) => {
+    const pad = Math.max(0, Math.floor((width - text.length) / 2));
+    return `${' '.repeat(pad)}${text}`;
+};
+
+// Address and phone lines from the vendor's settings, skipping blanks
+const addressLines = (settings) => {
+    const { address = {}, contact = {} } = settings;
+    return [
+        [address.line1, address.line2].filter(Boolean).join(', '),
+        [address.city, address.state, address.postalCode].filter(Boolean).join(', '),
+        contact.phone ? `Ph: ${contact.phone}` : ''
+    ].filter(Boolean);
+};
+
+// Bill time on the vendor's clock
+const billedAt = (bill, settings) => bill.billedAt.toLocaleString('en-IN', { timeZone: settings.timeZone });
+
+/**
+ * Plain-text invoice laid out for thermal receipt printers.
+ * @param {Order} order - Order with a frozen `bill`
+ * @param {Vendor} vendor
+ * @param {Object} settings - The vendor's settings (utils/vendorSettings)
+ * @returns {string}
+ */
+const renderInvoiceText = (order, vendor, settings) => {
+    const { bill } = order;
+    const rule = '-'.repeat(THERMAL_WIDTH);
+    const lines = [
+        center(vendor.name),
+        ...addressLines(settings).map(line => center(line.slice(0, THERMAL_WIDTH))),
+        center(`GSTIN: ${vendor.gstNumber}`),
+        center(`FSSAI: ${vendor.foodLicenseNumber}`),
+        rule,
+        spread(`Invoice: ${bill.invoiceNumber}`, `Table: ${order.tableNumber}`),
+        `Date: ${billedAt(bill, settings)}`,
+        rule
+    ];
+
+    order.items.filter(item => !item.isVoided).forEach(item => {
+        const amount = money(item.price * item.quantity);
+        lines.push(spread(`${item.quantity} x ${item.name}`.slice(0, THERMAL_WIDTH - amount.length - 1), amount));
+        (item.addons || []).forEach(addon => lines.push(`    + ${addon}`));
+    });
+
+    lines.push(rule);
+    if (bill.discountTotal > 0) {
+        lines.push(spread('Gross', money(bill.grossAmount)));
+        (order.discounts || []).filter(d => d.amount > 0).forEach(d => {
+            lines.push(spread(`Less: ${d.code || d.name}`.slice(0, 30), `-${money(d.amount)}`));
+        });
+    }
+    lines.push(spread('Subtotal', money(bill.subtotal)));
+    if (bill.serviceCharge > 0) {
+        lines.push(spread(`Service charge @ ${bill.serviceChargeRate}%`, money(bill.serviceCharge)));
+    }
+    bill.taxLines.forEach(line => {
+        lines.push(spread(`${line.name} @ ${line.rate}%`, money(line.amount)));
+    });
+    lines.push(
+        spread('Round off', money(bill.roundOff)),
+        rule,
+        spread('GRAND TOTAL', money(bill.grandTotal)),
+        rule,
+        ...(settings.receiptFooter ? settings.receiptFooter.split('\n').map(line => center(line)) : [])
+    );
+
+    return lines.join('\n') + '\n';
+};
+
+/**
+ * Stream an A4/receipt-style PDF invoice into a writable stream (e.g. the Express response).
+ */
+const streamInvoicePdf = (order, vendor, settings, stream) => {
+    const { bill } = order;
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    doc.pipe(stream);
+
+    doc.fontSize(18).text(vendor.name, { align: 'center' });
+    doc.fontSize(10);
+    addressLines(settings).forEach(line => doc.text(line, { align: 'center' }));
+    doc
+        .text(`GSTIN: ${vendor.gstNumber}`, { align: 'center' })
+        .text(`Food Licence (FSSAI): ${vendor.foodLicenseNumber}`, { align: 'center' })
+        .moveDown();
+
+    doc.fontSize(12).text('TAX INVOICE', { align: 'center' }).moveDown(0.5);
+    doc.fontSize(10)
+        .text(`Invoice No: ${bill.invoiceNumber}`)
+        .text(`Date: ${billedAt(bill, settings)}`)
+        .text(`Table: ${order.tableNumber}`)
+        .moveDown();
+
+    const row = (cols) => {
+        const y = doc.y;
+        doc.text(cols[0], 50, y, { width: 250 });
+        doc.text(cols[1], 300, y, { width: 50, align: 'right' });
+        doc.text(cols[2], 360, y, { width: 80, align: 'right' });
+        doc.text(cols[3], 450, y, { width: 95, align: 'right' });
+        doc.moveDown(0.3);
+    };
+
+    row(['Item', 'Qty', 'Rate', 'Amount']);
+    order.items.filter(item => !item.isVoided).forEach(item => {
+        const label = item.addons && item.addons.length > 0 ? `${item.name} (${item.addons.join(', ')})` : item.name;
+        row([label, String(item.quantity), money(item.price), money(item.price * item.quantity)]);
+    });
+    doc.moveDown();
+
+    const total = (label, value) => {
+        const y = doc.y;
+        doc.text(label, 300, y, { width: 140, align: 'right' });
+        doc.text(money(value), 450, y, { width: 95, align: 'right' });
+        doc.moveDown(0.3);
+    };
+
+    if (bill.discountTotal > 0) {
+        total('Gross amount', bill.grossAmount);
+        total('Discount', -bill.discountTotal);
+    }
+    total('Taxable value', bill.subtotal);
+    if (bill.serviceCharge > 0) total(`Service charge @ ${bill.serviceChargeRate}%`, bill.serviceCharge);
+    bill.taxLines.forEach(line => total(`${line.name} @ ${line.rate}%`, line.amount));
+    total('Round off', bill.roundOff);
+    doc.font('Helvetica-Bold');
+    total('Grand Total', bill.grandTotal);
+
+    if (settings.receiptFooter) {
+        doc.font('Helvetica').moveDown().text(settings.receiptFooter, 50, doc.y, { align: 'center' });
+    }
+
+    doc.end();
+};
+
+module.exports = { renderInvoiceText, streamInvoicePdf };
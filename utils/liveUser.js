@@ -0,0 +1,49 @@
+const User = require('../models/User');
+const { getUserOutletIds } = require('./organisations');
+
+// Account state looked up on every protected request, cached briefly per user.
+// Anything that changes approval, suspension, role or existence calls invalidateUser() so this
+// process sees the change at once; other processes see it within CACHE_TTL_MS.
+const CACHE_TTL_MS = 30 * 1000;
+const cache = new Map(); // userId -> { user, expiresAt }
+
+// Drop expired entries so the map cannot grow without bound
+setInterval(() => {
+    const now = Date.now();
+    for (const [userId, entry] of cache) {
+        if (entry.expiresAt <= now) cache.delete(userId);
+    }
+}, CACHE_TTL_MS).unref();
+
+/**
+ * Current role/approval/suspension of a user and the outlets they may work at,
+ * or null when the account no longer exists.
+ * @returns {Promise<{ id: string, role: string, vendorId: string, outletIds: string[], isApproved: boolean, isSuspended: boolean } | null>}
+ */
+const getLiveUser = async (userId) => {
+    const key = userId.toString();
+    const cached = cache.get(key);
+    if (cached && cached.expiresAt > Date.now()) return cached.user;
+
+    const found = await User.findById(userId).select('role vendorId outletIds organisationId isApproved isSuspended').lean();
+    const user = found
+        ? {
+            id: found._id.toString(),
+            role: found.role,
+            vendorId: found.vendorId.toString(),
+            outletIds: await getUserOutletIds(found),
+            isApproved: found.isApproved,
+            isSuspended: Boolean(found.isSuspended)
+        }
+        : null;
+
+    cache.set(key, { user, expiresAt: Date.now() + CACHE_TTL_MS });
+    return user;
+};
+
+// Forget a user's cached state after it changes
+const invalidateUser = (userId) => {
+    cache.delete(userId.toString());
+};
+
+module.exports = { getLiveUser, invalidateUser };
@@ -0,0 +1,67 @@
+const httpError = require('./httpError');
+
+/**
+ * Validate an order item's modifier selections against the menu item's modifier groups.
+ * Throws a 400 error for unknown groups/options, unavailable options, or selection counts
+ * outside a group's min/max.
+ *
+ * @param {MenuItem} menuItem
+ * @param {Array<{ group: string, option: string }>} [selections=[]]
+ * @returns {{ modifiers: Array, addons: string[], priceDelta: number }}
+ */
+const resolveModifiers = (menuItem, selections = []) => {
+    if (!Array.isArray(selections)) {
+        throw httpError(400, `Modifiers for ${menuItem.name} must be an array of { group, option }.`);
+    }
+
+    const groups = menuItem.modifierGroups || [];
+    const chosenByGroup = new Map();
+
+    selections.forEach(selection => {
+        const group = groups.find(g => g.name === selection?.group);
+        if (!group) {
+            throw httpError(400, `Unknown modifier group '${selection?.group}' for ${menuItem.name}.`);
+        }
+
+        const option = group.options.find(o => o.name === selection.option);
+        if (!option) {
+            throw httpError(400, `Unknown option '${selection.option}' in '${group.name}' for ${menuItem.name}.`);
+        }
+        if (!option.isAvailable) {
+            throw httpError(400, `Option '${option.name}' in '${group.name}' is currently unavailable.`);
+        }
+
+        const chosen = chosenByGroup.get(group.name) || [];
+        if (chosen.some(o => o.name === option.name)) {
+            throw httpError(400, `Option '${option.name}' in '${group.name}' was selected more than once.`);
+        }
+        chosen.push(option);
+        chosenByGroup.set(group.name, chosen);
+    });
+
+    groups.forEach(group => {
+        const count = (chosenByGroup.get(group.name) || []).length;
+        if (count < group.minSelect) {
+            throw httpError(400, `'${group.name}' requires at least ${group.minSelect} selection(s) for ${menuItem.name}.`);
+        }
+        if (count > group.maxSelect) {
+            throw httpError(400, `'${group.name}' allows at most ${group.maxSelect} selection(s) for ${menuItem.name}.`);
+        }
+    });
+
+    const modifiers = [];
+    // Keep the menu's group order so KOT lines read consistently
+    groups.forEach(group => {
+        (chosenByGroup.get(group.name) || []).forEach(option => {
+            modifiers.push({ group: group.name, option: option.name, priceDelta: option.priceDelta });
+        });
+    });
+
+    return {
+        modifiers,
+        addons: modifiers.map(m => `${m.group}: ${m.option}`),
+        priceDelta: modifiers.reduce((acc, m) => acc + m.priceDelta, 0)
+    };
+};
+
+module.exports = { resolveModifiers };
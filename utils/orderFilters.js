@@ -0,0 +1,25 @@
+const { buildDateRange } = require('./dateRange');
+
+/**
+ * Filter for Billed/Completed orders, optionally limited to a date range on `updatedAt`.
+ * Shared by the completed-orders list and the exports so both return the same orders.
+ *
+ * @param {string|ObjectId} vendorId
+ * @param {{ startDate?: string, endDate?: string }} query
+ * @param {string} [timeZone] - Day boundaries in this zone instead of the server's
+ */
+const completedOrdersFilter = (vendorId, { startDate, endDate }, timeZone) => {
+    const filter = {
+        vendorId,
+        status: { $in: ['Billed', 'Completed'] }
+    };
+
+    const dateRange = buildDateRange(startDate, endDate, timeZone);
+    if (dateRange) {
+        filter.updatedAt = dateRange;
+    }
+
+    return filter;
+};
+
+module.exports = { completedOrdersFilter };
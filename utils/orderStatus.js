@@ -0,0 +1,110 @@
+const httpError = require('./httpError');
+
+/**
+ * Order state machine. Keys are the current status, values the statuses it may move to.
+ * - New orders open straight in Kitchen; Pending only remains for orders stored before that.
+ * - Ready/Served may go back to Kitchen when add-ons or a re-fire come in.
+ * - Completed may only be reopened to Billed (to correct payments), and needs order.status.reopen.
+ * - Cancelled is final.
+ */
+const ORDER_TRANSITIONS = {
+    Pending: ['Kitchen', 'Cancelled'],
+    Kitchen: ['Ready', 'Billed', 'Cancelled'],
+    Ready: ['Served', 'Kitchen', 'Billed', 'Cancelled'],
+    Served: ['Billed', 'Kitchen', 'Cancelled'],
+    Billed: ['Completed'],
+    Completed: ['Billed'],
+    Cancelled: []
+};
+
+// Kitchen progress of a single line. A line can be bumped straight to Ready without Preparing.
+const ITEM_TRANSITIONS = {
+    Queued: ['Preparing', 'Ready'],
+    Preparing: ['Ready', 'Queued'],
+    Ready: ['Served', 'Preparing'],
+    Served: []
+};
+const ITEM_STATUSES = Object.keys(ITEM_TRANSITIONS);
+
+const canTransition = (from, to) => (ORDER_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Move an order to a new status and append the transition to its history. Does not save.
+ * Throws a 400 error when the state machine does not allow the move.
+ */
+const setOrderStatus = (order, status, userId, note) => {
+    if (order.status === status) return false;
+    if (!canTransition(order.status, status)) {
+        throw httpError(400, `Cannot move an order from ${order.status} to ${status}.`);
+    }
+
+    order.statusHistory.push({ from: order.status, status, changedBy: userId, note });
+    order.status = status;
+    return true;
+};
+
+/**
+ * Move one line to a new kitchen status, stamping when it started, was ready and was served.
+ * Throws a 400 error when the move is not allowed.
+ */
+const setItemStatus = (item, status, userId) => {
+    if (item.isVoided) {
+        throw httpError(400, `${item.name} has been voided.`);
+    }
+    if (item.kitchenStatus === status) return false;
+    if (!(ITEM_TRANSITIONS[item.kitchenStatus] || []).includes(status)) {
+        throw httpError(400, `Cannot move ${item.name} from ${item.kitchenStatus} to ${status}.`);
+    }
+
+    const now = new Date();
+    if (status === 'Preparing') item.startedAt = now;
+    if (status === 'Ready') {
+        item.readyAt = now;
+        item.readyBy = userId;
+    }
+    if (status === 'Served') item.servedAt = now;
+    // Sent back: the line will be timed again
+    if (status === 'Queued' || status === 'Preparing') {
+        item.readyAt = undefined;
+        item.readyBy = undefined;
+    }
+    item.kitchenStatus = status;
+    return true;
+};
+
+/**
+ * Bring every active line up to at least the given kitchen status (used when the whole
+ * order is marked Ready or Served at once). Lines already further along are left alone.
+ */
+const advanceItems = (order, status, userId) => {
+    const rank = ITEM_STATUSES.indexOf(status);
+    order.items
+        .filter(item => !item.isVoided && ITEM_STATUSES.indexOf(item.kitchenStatus) < rank)
+        .forEach(item => {
+            if (status === 'Served' && item.kitchenStatus !== 'Ready') setItemStatus(item, 'Ready', userId);
+            setItemStatus(item, status, userId);
+        });
+};
+
+/**
+ * Derive the order status from its lines after a line moved: all lines Ready makes a Kitchen
+ * order Ready, all lines Served makes it Served. Returns true when the order status changed.
+ */
+const rollUpItemStatus = (order, userId) => {
+    const active = order.items.filter(item => !item.isVoided);
+    if (active.length === 0) return false;
+
+    const all = (statuses) => active.every(item => statuses.includes(item.kitchenStatus));
+    if (all(['Served']) && ['Kitchen', 'Ready'].includes(order.status)) {
+        if (order.status === 'Kitchen') setOrderStatus(order, 'Ready', userId, 'All items ready');
+        return setOrderStatus(order, 'Served', userId, 'All items served');
+    }
+    if (all(['Ready', 'Served']) && order.status === 'Kitchen') {
+        return setOrderStatus(order, 'Ready', userId, 'All items ready');
+    }
+    return false;
+};
+
+module.exports = {
+    ORDER_TRANSITIONS, ITEM_STATUSES, canTransition, setOrderStatus, setItemStatus, advanceItems, rollUpItemStatus
+};
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const Organisation = require('../models/Organisation');
+const Vendor = require('../models/Vendor');
+const httpError = require('./httpError');
+
+/**
+ * Every outlet a user may work at: all outlets of their organisation for its owner,
+ * otherwise their home outlet plus any outlets they were assigned to.
+ * @param {{ vendorId, outletIds?, organisationId? }} user
+ * @returns {Promise<string[]>}
+ */
+const getUserOutletIds = async (user) => {
+    if (user.organisationId) {
+        const outlets = await Vendor.find({ organisationId: user.organisationId }).select('_id').lean();
+        return outlets.map(outlet => outlet._id.toString());
+    }
+    return [...new Set([user.vendorId, ...(user.outletIds || [])].map(id => id.toString()))];
+};
+
+// Staff who work at an outlet, whether it is their home outlet or one they were assigned to
+const atOutlet = (vendorId) => ({ $or: [{ vendorId }, { outletIds: vendorId }] });
+
+// The organisation owned by a user, or null
+const getOwnOrganisation = (userId) => Organisation.findOne({ ownerUser: userId });
+
+/**
+ * Outlets a report covers. Defaults to the current outlet; the organisation owner may pass
+ * ?outlets=all or a comma-separated list of outlet IDs to consolidate.
+ * Throws 400/403 errors for outlets outside the owner's organisation.
+ * @returns {Promise<mongoose.Types.ObjectId[]>}
+ */
+const resolveReportOutlets = async (req) => {
+    // ?outlets=a&outlets=b arrives as an array; treat it like ?outlets=a,b
+    const outlets = [].concat(req.query.outlets || []).join(',');
+    if (!outlets) return [new mongoose.Types.ObjectId(req.user.vendorId)];
+
+    const organisation = await getOwnOrganisation(req.user.id);
+    if (!organisation) {
+        throw httpError(403, 'Only the organisation owner can report across outlets.');
+    }
+
+    const ownOutlets = (await Vendor.find({ organisationId: organisation._id }).select('_id').lean())
+        .map(outlet => outlet._id.toString());
+    const requested = outlets === 'all' ? ownOutlets : outlets.split(',').map(id => id.trim()).filter(Boolean);
+    if (!requested.every(id => ownOutlets.includes(id))) {
+        throw httpError(400, 'One or more outlets do not belong to your organisation.');
+    }
+
+    return requested.map(id => new mongoose.Types.ObjectId(id));
+};
+
+module.exports = { getUserOutletIds, atOutlet, getOwnOrganisation, resolveReportOutlets };
@@ -0,0 +1,85 @@
+const Role = require('../models/Role');
+const { BUILT_IN_ROLES, OWNER_ROLE } = require('../config/permissions');
+
+// Roles are read on every guarded request, so each vendor's set is cached briefly.
+// Role changes clear the cache straight away (single API process).
+const CACHE_TTL_MS = 60 * 1000;
+const cache = new Map(); // vendorId -> { roles, expiresAt }
+
+const toRole = (name, { description, permissions, manualDiscountCap }, isBuiltIn, isCustomised = false) => ({
+    name,
+    description,
+    permissions: new Set(permissions),
+    manualDiscountCap,
+    isBuiltIn,
+    isCustomised
+});
+
+/**
+ * Every role of a vendor: built-ins (with the vendor's overrides applied) plus custom roles.
+ * @returns {Promise<Map<string, { name, description, permissions: Set<string>, manualDiscountCap, isBuiltIn, isCustomised }>>}
+ */
+const getVendorRoles = async (vendorId) => {
+    const key = vendorId.toString();
+    const cached = cache.get(key);
+    if (cached && cached.expiresAt > Date.now()) return cached.roles;
+
+    const roles = new Map(Object.entries(BUILT_IN_ROLES).map(([name, role]) => [name, toRole(name, role, true)]));
+
+    const stored = await Role.find({ vendorId }).lean();
+    stored.forEach(role => {
+        // The owner role is fixed so a Vendor can never lock themselves out
+        if (role.name === OWNER_ROLE) return;
+        roles.set(role.name, toRole(role.name, role, Boolean(BUILT_IN_ROLES[role.name]), true));
+    });
+
+    cache.set(key, { roles, expiresAt: Date.now() + CACHE_TTL_MS });
+    return roles;
+};
+
+/**
+ * One role of a vendor, or null when it does not exist (e.g. a custom role that was deleted).
+ */
+const getRole = async (vendorId, name) => {
+    const roles = await getVendorRoles(vendorId);
+    return roles.get(name) || null;
+};
+
+/**
+ * Names of the vendor's roles that hold a permission (used to target socket events).
+ * @returns {Promise<string[]>}
+ */
+const rolesWithPermission = async (vendorId, permission) => {
+    const roles = await getVendorRoles(vendorId);
+    return [...roles.values()].filter(role => role.permissions.has(permission)).map(role => role.name);
+};
+
+/**
+ * Permissions in `permissions` that the caller does not hold themselves. Staff can only hand out
+ * (through roles, role changes or invites) what they already have; the owner can hand out anything.
+ * @param {import('express').Request} req - after authorize(), so `req.permissions` is set
+ * @param {Iterable<string>} permissions
+ * @returns {string[]}
+ */
+const permissionsBeyondCaller = (req, permissions) => {
+    if (req.user.role === OWNER_ROLE) return [];
+    return [...permissions].filter(permission => !req.permissions.has(permission));
+};
+
+/**
+ * Whether a manual discount cap is higher than the caller's own. Like permissions, staff cannot
+ * hand out a bigger cap than they have; the owner can.
+ * @param {import('express').Request} req - after authorize(), so `req.role` is set
+ * @param {number} cap
+ * @returns {boolean}
+ */
+const capBeyondCaller = (req, cap) => req.user.role !== OWNER_ROLE && Number(cap || 0) > (req.role?.manualDiscountCap || 0);
+
+// Forget a vendor's cached roles after they change
+const clearRoleCache = (vendorId) => {
+    cache.delete(vendorId.toString());
+};
+
+module.exports = {
+    getVendorRoles, getRole, rolesWithPermission, permissionsBeyondCaller, capBeyondCaller, clearRoleCache
+};
@@ -0,0 +1,21 @@
+const crypto = require('crypto');
+
+// Random bearer secrets (refresh tokens, device keys) and the hashes we store in their place
+
+const newSecret = () => crypto.randomBytes(32).toString('base64url');
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Bearer keys look like `<documentId>.<secret>` so the document can be found without scanning hashes
+const formatKey = (id, secret) => `${id}.${secret}`;
+
+/**
+ * Split a `<documentId>.<secret>` key. Returns null when it is malformed.
+ * @returns {{ id: string, secret: string } | null}
+ */
+const parseKey = (key) => {
+    const [id, secret, ...rest] = String(key || '').split('.');
+    if (!id || !secret || rest.length > 0 || !/^[0-9a-f]{24}$/i.test(id)) return null;
+    return { id, secret };
+};
+
+module.exports = { newSecret, hashSecret, formatKey, parseKey };
@@ -0,0 +1,129 @@
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const { newSecret, hashSecret, formatKey, parseKey } = require('./secrets');
+const { disconnectSessions } = require('../config/socket');
+
+// Access tokens are short-lived; the refresh token keeps a device logged in for a whole shift and beyond
+const ACCESS_TOKEN_TTL = '15m';
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+// PIN logins on shared terminals get one short session and no refresh token
+const PIN_SESSION_TTL_SECONDS = 15 * 60;
+
+/**
+ * Sign a short-lived access token for a user, bound to a session.
+ * @param {number|string} [expiresIn] - Defaults to ACCESS_TOKEN_TTL
+ * @param {string} [vendorId] - The outlet the session works at; defaults to the user's home outlet
+ * @returns {string}
+ */
+const signAccessToken = (user, sessionId, expiresIn = ACCESS_TOKEN_TTL, vendorId = user.vendorId) => {
+    const payload = {
+        user: {
+            id: user.id,
+            role: user.role,
+            isApproved: user.isApproved,
+            vendorId
+        },
+        sid: sessionId.toString()
+    };
+    return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn });
+};
+
+/**
+ * Open a session for a user who just proved who they are.
+ * @param {{ terminalId?: string, ttlMs?: number, vendorId?: string }} [options] - Terminal PIN sessions are short and
+ *   bound to the device (and its outlet)
+ * @returns {Promise<{ session: Session, refreshToken: string }>}
+ */
+const createSession = async (user, req, { terminalId, ttlMs = REFRESH_TOKEN_TTL_MS, vendorId = user.vendorId } = {}) => {
+    const secret = newSecret();
+    const session = await Session.create({
+        userId: user._id,
+        vendorId,
+        refreshTokenHash: hashSecret(secret),
+        terminalId,
+        userAgent: req.get('user-agent'),
+        ip: req.ip,
+        expiresAt: new Date(Date.now() + ttlMs)
+    });
+    return { session, refreshToken: formatKey(session._id, secret) };
+};
+
+/**
+ * Exchange a refresh token for a new one (rotation). Presenting an already-rotated token means it
+ * was copied, so the whole session is revoked.
+ * @returns {Promise<{ session: Session, refreshToken: string } | null>} null when the token is unusable
+ */
+const rotateSession = async (refreshToken, req) => {
+    const key = parseKey(refreshToken);
+    if (!key) return null;
+    const { secret } = key;
+
+    const session = await Session.findById(key.id);
+    if (!session || session.revokedAt || session.expiresAt < new Date()) return null;
+    // Terminal PIN sessions end with their access token
+    if (session.terminalId) return null;
+
+    const nextSecret = newSecret();
+    // Compare-and-swap on the hash so two concurrent refreshes cannot both succeed
+    const rotated = await Session.findOneAndUpdate(
+        { _id: session._id, refreshTokenHash: hashSecret(secret), revokedAt: null },
+        {
+            $set: {
+                refreshTokenHash: hashSecret(nextSecret),
+                lastUsedAt: new Date(),
+                expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+                userAgent: req.get('user-agent') || session.userAgent,
+                ip: req.ip
+            }
+        },
+        { new: true }
+    );
+
+    if (!rotated) {
+        await revokeSessions({ _id: session._id }, { reason: 'Refresh token reuse' });
+        return null;
+    }
+
+    return { session: rotated, refreshToken: formatKey(rotated._id, nextSecret) };
+};
+
+/**
+ * Revoke every active session matching a filter and drop their live socket connections.
+ * @param {object} filter - e.g. { userId } or { _id: sessionId, userId }
+ * @param {{ reason: string, revokedBy?: string }} details
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const revokeSessions = async (filter, { reason, revokedBy }) => {
+    const active = await Session.find({ ...filter, revokedAt: null }).select('_id');
+    if (active.length === 0) return 0;
+
+    const ids = active.map(session => session._id);
+    await Session.updateMany(
+        { _id: { $in: ids } },
+        { $set: { revokedAt: new Date(), revokedReason: reason, revokedBy } }
+    );
+    disconnectSessions(ids);
+
+    return ids.length;
+};
+
+/**
+ * Whether the session behind an access token is still live.
+ * @returns {Promise<boolean>}
+ */
+const isSessionActive = async (sessionId) => {
+    if (!sessionId) return false;
+    const session = await Session.exists({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } });
+    return Boolean(session);
+};
+
+module.exports = {
+    ACCESS_TOKEN_TTL_SECONDS,
+    PIN_SESSION_TTL_SECONDS,
+    signAccessToken,
+    createSession,
+    rotateSession,
+    revokeSessions,
+    isSessionActive
+};
@@ -0,0 +1,84 @@
+const ExcelJS = require('exceljs');
+
+// Quote a CSV cell when it contains a delimiter, quote or newline. Text that a spreadsheet
+// would read as a formula (= + - @) is prefixed with ' so it stays text.
+const csvCell = (value) => {
+    if (value === undefined || value === null) return '';
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Thrown from addRow once the client has gone, so the caller stops reading (and closes its cursor)
+const clientGone = () => Object.assign(new Error('Client disconnected during export'), { code: 'EXPORT_CLIENT_GONE' });
+
+// Wait until the response can take more data; rejects if the client disconnects meanwhile
+const waitForDrain = (res) => new Promise((resolve, reject) => {
+    const settle = (err) => {
+        res.off('drain', onDrain);
+        res.off('close', onGone);
+        res.off('error', onGone);
+        if (err) reject(err);
+        else resolve();
+    };
+    const onDrain = () => settle();
+    const onGone = () => settle(clientGone());
+
+    res.once('drain', onDrain);
+    res.once('close', onGone);
+    res.once('error', onGone);
+});
+
+/**
+ * Stream rows to the response as CSV or XLSX without holding the whole file in memory.
+ *
+ * @param {Response} res - Express response
+ * @param {'csv'|'xlsx'} format
+ * @param {string} fileName - Without extension
+ * @param {Array<{ header: string, key: string, width?: number }>} columns
+ * @returns {{ addRow: (row: object) => Promise<void>, end: () => Promise<void> }}
+ *   addRow rejects (err.code 'EXPORT_CLIENT_GONE') once the client has disconnected.
+ */
+const createSheetWriter = (res, format, fileName, columns) => {
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}.${format}"`);
+    const ensureConnected = () => {
+        if (res.destroyed || res.writableEnded) throw clientGone();
+    };
+
+    if (format === 'xlsx') {
+        res.type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false, useSharedStrings: false });
+        const sheet = workbook.addWorksheet(fileName.slice(0, 31));
+        sheet.columns = columns.map(({ header, key, width }) => ({ header, key, width: width || 15 }));
+
+        return {
+            addRow: async (row) => {
+                ensureConnected();
+                sheet.addRow(row).commit();
+            },
+            end: async () => {
+                sheet.commit();
+                await workbook.commit();
+            }
+        };
+    }
+
+    res.type('text/csv');
+    res.write(columns.map(c => csvCell(c.header)).join(',') + '\n');
+
+    return {
+        // Wait for the socket to drain so large exports never pile up in memory
+        addRow: async (row) => {
+            ensureConnected();
+            const line = columns.map(c => csvCell(row[c.key])).join(',') + '\n';
+            if (!res.write(line)) {
+                await waitForDrain(res);
+            }
+        },
+        end: async () => {
+            res.end();
+        }
+    };
+};
+
+module.exports = { createSheetWriter };
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const Shift = require('../models/Shift');
+const ShiftSchedule = require('../models/ShiftSchedule');
+const Order = require('../models/Order');
+const { round2 } = require('./money');
+
+// Staff may clock in this long before a rostered start and still be matched to it
+const EARLY_CLOCK_IN_MINUTES = 120;
+
+// The user's open shift at an outlet, or null
+const getOpenShift = (userId, vendorId) => Shift.findOne({ userId, vendorId, status: 'Open' });
+
+/**
+ * The rostered shift a clock-in belongs to: the earliest one for this user that has not ended,
+ * starts within EARLY_CLOCK_IN_MINUTES and has not been clocked against yet. Null when unscheduled.
+ */
+const findScheduleForClockIn = async (vendorId, userId, at) => {
+    const candidates = await ShiftSchedule.find({
+        vendorId,
+        userId,
+        startsAt: { $lte: new Date(at.getTime() + EARLY_CLOCK_IN_MINUTES * 60000) },
+        endsAt: { $gt: at }
+    }).sort({ startsAt: 1 });
+    if (candidates.length === 0) return null;
+
+    const used = await Shift.distinct('scheduleId', { scheduleId: { $in: candidates.map(s => s._id) } });
+    const usedIds = new Set(used.map(String));
+    return candidates.find(schedule => !usedIds.has(schedule.id)) || null;
+};
+
+// Minutes late against a rostered start; arrivals within the grace period are on time
+const lateMinutesFor = (schedule, clockInAt, graceMinutes = 0) => {
+    if (!schedule) return 0;
+    const minutes = Math.floor((clockInAt - schedule.startsAt) / 60000);
+    return minutes > graceMinutes ? minutes : 0;
+};
+
+/**
+ * Cash a cashier took (payments and tips) and refunded while their drawer was open
+ * (from `drawer.openedAt` to `until`).
+ * @returns {Promise<{ cashSales: number, cashTips: number, cashRefunds: number, expectedCash: number }>}
+ */
+const drawerCashTotals = async (drawer, until = new Date()) => {
+    const window = { $gte: drawer.openedAt, $lte: until };
+    const vendorId = new mongoose.Types.ObjectId(drawer.vendorId);
+    const userId = new mongoose.Types.ObjectId(drawer.userId);
+
+    const [sales, tips, refunds] = await Promise.all([
+        Order.aggregate([
+            { $match: { vendorId, 'payments.receivedAt': window } },
+            { $unwind: '$payments' },
+            { $match: { 'payments.method': 'Cash', 'payments.receivedBy': userId, 'payments.receivedAt': window } },
+            { $group: { _id: null, amount: { $sum: '$payments.amount' } } }
+        ]),
+        Order.aggregate([
+            { $match: { vendorId, 'tips.receivedAt': window } },
+            { $unwind: '$tips' },
+            { $match: { 'tips.method': 'Cash', 'tips.receivedBy': userId, 'tips.receivedAt': window } },
+            { $group: { _id: null, amount: { $sum: '$tips.amount' } } }
+        ]),
+        Order.aggregate([
+            { $match: { vendorId, 'refunds.refundedAt': window } },
+            { $unwind: '$refunds' },
+            { $match: { 'refunds.method': 'Cash', 'refunds.refundedBy': userId, 'refunds.refundedAt': window } },
+            { $group: { _id: null, amount: { $sum: '$refunds.amount' } } }
+        ])
+    ]);
+
+    const cashSales = round2(sales[0]?.amount || 0);
+    const cashTips = round2(tips[0]?.amount || 0);
+    const cashRefunds = round2(refunds[0]?.amount || 0);
+    return { cashSales, cashTips, cashRefunds, expectedCash: round2(drawer.openingFloat + cashSales + cashTips - cashRefunds) };
+};
+
+module.exports = { getOpenShift, findScheduleForClockIn, lateMinutesFor, drawerCashTotals };
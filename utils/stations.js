@@ -0,0 +1,71 @@
+const KitchenStation = require('../models/KitchenStation');
+const { emitToStation } = require('../config/socket');
+
+/**
+ * Route order lines to kitchen stations, denormalising the station onto each line.
+ * A line goes to the station listing its menu item, else the one listing its category,
+ * else the default station. Lines no station claims keep no station and show on every screen.
+ * Expects `category` to be set already (see calculateTotalAmount).
+ */
+const assignStations = async (items, vendorId) => {
+    const stations = await KitchenStation.find({ vendorId, isActive: true }).sort({ name: 1 });
+    if (stations.length === 0) return;
+
+    const byItem = new Map();
+    const byCategory = new Map();
+    stations.forEach(station => {
+        station.menuItemIds.forEach(id => byItem.set(id.toString(), station));
+        station.categories.forEach(category => byCategory.set(category, station));
+    });
+    const fallback = stations.find(station => station.isDefault);
+
+    items.forEach(item => {
+        const station = byItem.get(item.menuItemId.toString()) || byCategory.get(item.category) || fallback;
+        item.stationId = station?._id;
+        item.station = station?.name;
+    });
+};
+
+// Lines of an order that belong to a station (or to no station) and still need cooking
+const stationItems = (order, stationId) => order.items.filter(item =>
+    !item.isVoided &&
+    (!item.stationId || item.stationId.toString() === stationId.toString()) &&
+    ['Queued', 'Preparing'].includes(item.kitchenStatus)
+);
+
+/**
+ * Send each station only its own lines, plus the lines no station claims.
+ * Station screens subscribe with the 'station:join' socket event.
+ * @param {string} event - Emitted as 'station:<event>', e.g. 'station:order_new'
+ */
+const emitToStations = async (order, event, items) => {
+    const unrouted = items.filter(item => !item.stationId);
+    const groups = new Map();
+    items.filter(item => item.stationId).forEach(item => {
+        const key = item.stationId.toString();
+        groups.set(key, [...(groups.get(key) || []), item]);
+    });
+
+    if (unrouted.length > 0) {
+        try {
+            const stations = await KitchenStation.find({ vendorId: order.vendorId, isActive: true }).select('_id').lean();
+            stations.forEach(station => {
+                const key = station._id.toString();
+                groups.set(key, [...(groups.get(key) || []), ...unrouted]);
+            });
+        } catch (err) {
+            console.error('Station lookup failed:', err.message);
+        }
+    }
+
+    groups.forEach((lines, stationId) => {
+        emitToStation(order.vendorId, stationId, `station:${event}`, {
+            orderId: order._id,
+            tableNumber: order.tableNumber,
+            status: order.status,
+            items: lines
+        });
+    });
+};
+
+module.exports = { assignStations, stationItems, emitToStations };
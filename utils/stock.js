@@ -0,0 +1,84 @@
+const MenuItem = require('../models/MenuItem');
+const httpError = require('./httpError');
+const { emitToPermission } = require('../config/socket');
+
+// Everyone who manages dish stock is alerted when a dish runs low
+const STOCK_ALERT_PERMISSION = 'menu.edit_stock';
+
+// Sum quantities per menu item, since one dish can appear on several order lines
+const quantitiesByItem = (items) => items.reduce((acc, item) => {
+    const id = item.menuItemId.toString();
+    acc.set(id, (acc.get(id) || 0) + item.quantity);
+    return acc;
+}, new Map());
+
+/**
+ * Give stock back for items that were decremented (failed save, voided items).
+ * An item that reserveStock switched off because it ran out is made available again;
+ * items switched off by hand stay off.
+ */
+const restoreStock = async (items, vendorId) => {
+    const quantities = quantitiesByItem(items);
+
+    for (const [id, qty] of quantities) {
+        await MenuItem.updateOne(
+            { _id: id, vendorId, trackStock: true },
+            [{
+                $set: {
+                    isAvailable: { $cond: [{ $and: ['$autoDisabled', { $gt: [{ $add: ['$stock', qty] }, 0] }] }, true, '$isAvailable'] },
+                    autoDisabled: { $cond: [{ $gt: [{ $add: ['$stock', qty] }, 0] }, false, '$autoDisabled'] },
+                    stock: { $add: ['$stock', qty] }
+                }
+            }]
+        );
+    }
+};
+
+/**
+ * Atomically decrement stock for every tracked item in an order.
+ * If any item lacks stock, decrements already made are rolled back and a 400 error is thrown.
+ * Items reaching zero are marked unavailable; items at or below their threshold raise a
+ * `menu:low_stock` event.
+ *
+ * @param {Array} items - Order items with `menuItemId` and `quantity`
+ * @param {string|ObjectId} vendorId
+ */
+const reserveStock = async (items, vendorId) => {
+    const quantities = quantitiesByItem(items);
+    const tracked = await MenuItem.find({
+        _id: { $in: [...quantities.keys()] },
+        vendorId,
+        trackStock: true
+    }).select('_id');
+
+    const reserved = [];
+    for (const { _id } of tracked) {
+        const qty = quantities.get(_id.toString());
+        const item = await MenuItem.findOneAndUpdate(
+            { _id, vendorId, stock: { $gte: qty } },
+            { $inc: { stock: -qty } },
+            { new: true }
+        );
+
+        if (!item) {
+            await restoreStock(reserved, vendorId);
+            const current = await MenuItem.findById(_id).select('name stock');
+            throw httpError(400, `Insufficient stock for ${current.name}: ${Math.max(current.stock, 0)} left, ${qty} requested.`);
+        }
+        reserved.push({ menuItemId: _id, quantity: qty });
+
+        if (item.stock <= 0) {
+            await MenuItem.updateOne({ _id, stock: { $lte: 0 }, isAvailable: true }, { isAvailable: false, autoDisabled: true });
+        }
+        if (item.stock <= item.lowStockThreshold) {
+            emitToPermission(vendorId, STOCK_ALERT_PERMISSION, 'menu:low_stock', {
+                menuItemId: item._id,
+                name: item.name,
+                stock: item.stock,
+                lowStockThreshold: item.lowStockThreshold
+            });
+        }
+    }
+};
+
+module.exports = { reserveStock, restoreStock };
@@ -0,0 +1,50 @@
+const Table = require('../models/Table');
+const Order = require('../models/Order');
+const httpError = require('./httpError');
+
+// Order statuses that mean the guests are still at the table
+const OPEN_ORDER_STATUSES = ['Pending', 'Kitchen', 'Ready', 'Served', 'Billed'];
+
+/**
+ * Find the vendor's table by number, following a merge to the table that holds the party.
+ * Throws a 400 error when the table number is not a whole number or the table does not exist.
+ */
+const resolveTable = async (vendorId, tableNumber) => {
+    if (!Number.isInteger(Number(tableNumber))) {
+        throw httpError(400, 'Table number must be a whole number.');
+    }
+    let table = await Table.findOne({ vendorId, number: tableNumber });
+    if (!table) {
+        throw httpError(400, `Table ${tableNumber} does not exist for this shop.`);
+    }
+    if (table.mergedInto) {
+        table = await Table.findById(table.mergedInto);
+    }
+    return table;
+};
+
+const occupyTable = (vendorId, tableNumber) =>
+    Table.updateOne({ vendorId, number: tableNumber }, { status: 'Occupied' });
+
+/**
+ * Free a table once it has no open orders left. Tables merged into it are split off and freed too.
+ */
+const releaseTableIfIdle = async (vendorId, tableNumber) => {
+    const openOrders = await Order.countDocuments({
+        vendorId,
+        tableNumber,
+        status: { $in: OPEN_ORDER_STATUSES }
+    });
+    if (openOrders > 0) return;
+
+    const table = await Table.findOneAndUpdate(
+        { vendorId, number: tableNumber, status: 'Occupied' },
+        { status: 'Free' },
+        { new: true }
+    );
+    if (table) {
+        await Table.updateMany({ vendorId, mergedInto: table._id }, { mergedInto: null, status: 'Free' });
+    }
+};
+
+module.exports = { OPEN_ORDER_STATUSES, resolveTable, occupyTable, releaseTableIfIdle };
@@ -0,0 +1,19 @@
+const cloudinary = require('../config/cloudinary');
+const streamifier = require('streamifier');
+
+// Upload an in-memory file (from multer) to Cloudinary and resolve with its HTTPS URL
+const uploadToCloudinary = (buffer) =>
+    new Promise((resolve, reject) => {
+        const stream = cloudinary.uploader.upload_stream((err, result) => {
+            if (result) {
+                console.log("Image uploaded to Cloudinary:", result.secure_url);
+                resolve(result.secure_url);
+            } else {
+                console.error("Cloudinary upload error:", err);
+                reject(err);
+            }
+        });
+        streamifier.createReadStream(buffer).pipe(stream);
+    });
+
+module.exports = { uploadToCloudinary };
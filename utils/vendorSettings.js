@@ -0,0 +1,33 @@
+const VendorSettings = require('../models/VendorSettings');
+
+// Settings are read on every bill and report, so they are cached briefly per vendor.
+// Saving settings calls invalidateVendorSettings(); other processes see changes within CACHE_TTL_MS.
+const CACHE_TTL_MS = 60 * 1000;
+const cache = new Map(); // vendorId -> { settings, expiresAt }
+
+/**
+ * A vendor's settings as a plain object. Vendors that never saved any get the schema defaults.
+ * @param {string|ObjectId} vendorId
+ * @returns {Promise<Object>}
+ */
+const getVendorSettings = async (vendorId) => {
+    const key = vendorId.toString();
+    const cached = cache.get(key);
+    if (cached && cached.expiresAt > Date.now()) return cached.settings;
+
+    const found = await VendorSettings.findOne({ vendorId }).lean();
+    const settings = found || new VendorSettings({ vendorId }).toObject();
+
+    cache.set(key, { settings, expiresAt: Date.now() + CACHE_TTL_MS });
+    return settings;
+};
+
+// Time zone of a vendor, for day boundaries
+const getVendorTimeZone = async (vendorId) => (await getVendorSettings(vendorId)).timeZone;
+
+// Forget a vendor's cached settings after they change
+const invalidateVendorSettings = (vendorId) => {
+    cache.delete(vendorId.toString());
+};
+
+module.exports = { getVendorSettings, getVendorTimeZone, invalidateVendorSettings };